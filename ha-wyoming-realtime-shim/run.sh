@@ -15,29 +15,54 @@ if bashio::fs.directory_exists "/etc/pulse"; then
 fi
 
 # Get configuration from HA add-on options
-CONFIG_PATH="/data/options.json"
+export CONFIG_PATH="/data/options.json"
 
 # Export configuration as environment variables
 export OPENAI_API_KEY="$(bashio::config 'openai_api_key')"
 export REALTIME_API_URL="$(bashio::config 'realtime_api_url')"
+export REALTIME_AUTH_MODE="$(bashio::config 'realtime_auth_mode')"
+export AZURE_DEPLOYMENT="$(bashio::config 'azure_deployment')"
+export AZURE_API_VERSION="$(bashio::config 'azure_api_version')"
 export MODEL="$(bashio::config 'model')"
+export VOICE="$(bashio::config 'voice')"
+export TRANSCRIPTION_MODEL="$(bashio::config 'transcription_model')"
+export REALTIME_BACKEND="$(bashio::config 'realtime_backend')"
+export SIMULATOR_SCENARIO="$(bashio::config 'simulator_scenario')"
 export AUDIO_FORMAT="$(bashio::config 'audio_format')"
 export HA_URL="$(bashio::config 'ha_url')"
 export HA_TOKEN="$(bashio::config 'ha_token')"
 export ALLOWED_DOMAINS="$(bashio::config 'allowed_domains')"
 export ENTITY_WHITELIST="$(bashio::config 'entity_whitelist')"
+export ALLOWED_ROUTINES="$(bashio::config 'allowed_routines')"
 export CONFIRM_HIGH_RISK_ACTIONS="$(bashio::config 'confirm_high_risk_actions')"
+export CONFIRM_TARGET_THRESHOLD="$(bashio::config 'confirm_target_threshold')"
 export ENABLE_TTS_MIRROR="$(bashio::config 'enable_tts_mirror')"
 export TTS_SERVICE="$(bashio::config 'tts_service')"
 export TTS_MEDIA_PLAYER="$(bashio::config 'tts_media_player')"
 export HTTP_PORT="$(bashio::config 'http_port')"
+export WYOMING_PORT="$(bashio::config 'wyoming_port')"
+export WYOMING_SERVICE_NAME="$(bashio::config 'wyoming_service_name')"
+export LANGUAGES="$(bashio::config 'languages')"
+export ENABLE_ZEROCONF="$(bashio::config 'enable_zeroconf')"
 export VAD_ENABLED_DEFAULT="$(bashio::config 'vad_enabled_default')"
+export TURN_DETECTION="$(bashio::config 'turn_detection')"
+export VAD_THRESHOLD="$(bashio::config 'vad_threshold')"
+export VAD_PREFIX_PADDING_MS="$(bashio::config 'vad_prefix_padding_ms')"
+export VAD_SILENCE_DURATION_MS="$(bashio::config 'vad_silence_duration_ms')"
+export SEMANTIC_VAD_EAGERNESS="$(bashio::config 'semantic_vad_eagerness')"
+export MAX_CONCURRENT_SESSIONS="$(bashio::config 'max_concurrent_sessions')"
 export SESSION_SILENCE_TIMEOUT_MS="$(bashio::config 'session_silence_timeout_ms')"
 export SESSION_MAX_DURATION_MS="$(bashio::config 'session_max_duration_ms')"
+export DAILY_TOKEN_LIMIT="$(bashio::config 'daily_token_limit')"
+export MONTHLY_TOKEN_LIMIT="$(bashio::config 'monthly_token_limit')"
+export SESSION_TOKEN_LIMIT="$(bashio::config 'session_token_limit')"
+export DAILY_AUDIO_MINUTES_LIMIT="$(bashio::config 'daily_audio_minutes_limit')"
+export BUDGET_WARNING_PERCENT="$(bashio::config 'budget_warning_percent')"
 
 # Validate required configuration
-if bashio::var.is_empty "${OPENAI_API_KEY}"; then
-    bashio::log.fatal "OpenAI API key is required! Please configure 'openai_api_key'."
+# Local realtime servers may run without authentication
+if [ "${REALTIME_AUTH_MODE}" != "none" ] && bashio::var.is_empty "${OPENAI_API_KEY}"; then
+    bashio::log.fatal "API key is required! Please configure 'openai_api_key' or set 'realtime_auth_mode' to none."
     bashio::exit.nok
 fi
 
@@ -48,10 +73,12 @@ fi
 
 # Log startup information
 bashio::log.info "Starting HA Wyoming Realtime Shim..."
+bashio::log.info "Realtime endpoint: ${REALTIME_API_URL} (${REALTIME_AUTH_MODE} auth)"
 bashio::log.info "Model: ${MODEL}"
+bashio::log.info "Voice: ${VOICE}"
 bashio::log.info "Audio format: ${AUDIO_FORMAT}"
 bashio::log.info "HTTP API port: ${HTTP_PORT}"
-bashio::log.info "Wyoming protocol port: 10600"
+bashio::log.info "Wyoming protocol port: ${WYOMING_PORT}"
 
 # Change to app directory
 cd /app
@@ -0,0 +1,333 @@
+/**
+ * Audio Format Conversion
+ * PCM decoding, channel mixing, resampling and G.711 companding between clients and the realtime backend
+ */
+
+import { Transform, TransformCallback } from 'stream';
+import { RealtimeAudioFormat } from './types';
+
+/**
+ * Raw PCM layout; width is bytes per sample as in the Wyoming protocol
+ */
+export interface PcmFormat {
+  rate: number;
+  width: number;
+  channels: number;
+}
+
+// Realtime pcm16 audio is always 24kHz, 16-bit, mono
+export const REALTIME_PCM_FORMAT: PcmFormat = { rate: 24000, width: 2, channels: 1 };
+
+// G.711 carries 8kHz mono; it is decoded to 16-bit PCM at the realtime client
+export const G711_PCM_FORMAT: PcmFormat = { rate: 8000, width: 2, channels: 1 };
+
+export const REALTIME_AUDIO_FORMATS: RealtimeAudioFormat[] = ['pcm16', 'g711_ulaw', 'g711_alaw'];
+
+export const MIN_SAMPLE_RATE = 8000;
+export const MAX_SAMPLE_RATE = 48000;
+export const SUPPORTED_WIDTHS = [1, 2, 3, 4];
+export const SUPPORTED_CHANNELS = [1, 2];
+
+/**
+ * Return a reason the format cannot be converted, or null if it can
+ */
+export function validatePcmFormat(format: Partial<Record<keyof PcmFormat, unknown>>): string | null {
+  const { rate, width, channels } = format;
+
+  if (typeof rate !== 'number' || !Number.isInteger(rate) || rate < MIN_SAMPLE_RATE || rate > MAX_SAMPLE_RATE) {
+    return `Sample rate must be between ${MIN_SAMPLE_RATE} and ${MAX_SAMPLE_RATE} Hz, got ${String(rate)}`;
+  }
+  if (typeof width !== 'number' || !SUPPORTED_WIDTHS.includes(width)) {
+    return `Sample width must be 8, 16, 24 or 32 bits, got ${String(width)} bytes`;
+  }
+  if (typeof channels !== 'number' || !SUPPORTED_CHANNELS.includes(channels)) {
+    return `Only mono and stereo audio supported, got ${String(channels)} channels`;
+  }
+  return null;
+}
+
+export function isSameFormat(a: PcmFormat, b: PcmFormat): boolean {
+  return a.rate === b.rate && a.width === b.width && a.channels === b.channels;
+}
+
+/**
+ * Number of milliseconds covered by a buffer of the given format
+ */
+export function bytesToMs(bytes: number, format: PcmFormat): number {
+  return (bytes / (format.rate * format.width * format.channels)) * 1000;
+}
+
+/**
+ * PCM layout exchanged with a realtime client using the given wire format
+ */
+export function realtimePcmFormat(format: RealtimeAudioFormat): PcmFormat {
+  return format === 'pcm16' ? REALTIME_PCM_FORMAT : G711_PCM_FORMAT;
+}
+
+/**
+ * Number of milliseconds covered by audio as it is sent in the given wire format
+ */
+export function realtimeAudioMs(bytes: number, format: RealtimeAudioFormat): number {
+  // G.711 is one byte per 8kHz sample
+  return format === 'pcm16' ? bytesToMs(bytes, REALTIME_PCM_FORMAT) : bytes / 8;
+}
+
+/**
+ * Encode 16-bit PCM from realtimePcmFormat() for the wire
+ */
+export function encodeRealtimeAudio(pcm: Buffer, format: RealtimeAudioFormat): Buffer {
+  if (format === 'pcm16') {
+    return pcm;
+  }
+
+  const encode = format === 'g711_ulaw' ? linearToUlaw : linearToAlaw;
+  const output = Buffer.alloc(Math.floor(pcm.length / 2));
+  for (let index = 0; index < output.length; index++) {
+    output[index] = encode(pcm.readInt16LE(index * 2));
+  }
+  return output;
+}
+
+/**
+ * Decode wire audio to 16-bit PCM in realtimePcmFormat()
+ */
+export function decodeRealtimeAudio(data: Buffer, format: RealtimeAudioFormat): Buffer {
+  if (format === 'pcm16') {
+    return data;
+  }
+
+  const table = format === 'g711_ulaw' ? ULAW_DECODE : ALAW_DECODE;
+  const output = Buffer.alloc(data.length * 2);
+  for (let index = 0; index < data.length; index++) {
+    output.writeInt16LE(table[data[index] as number] as number, index * 2);
+  }
+  return output;
+}
+
+/**
+ * Stateful converter for one continuous stream. Keeps partial frames and
+ * resampler phase between chunks so arbitrary chunk boundaries are safe.
+ */
+export class AudioConverter {
+  private readonly from: PcmFormat;
+  private readonly to: PcmFormat;
+  private readonly passthrough: boolean;
+  private remainder: Buffer = Buffer.alloc(0);
+  private previousSample: number | null = null;
+  private position = 0;
+
+  constructor(from: PcmFormat, to: PcmFormat) {
+    const fromError = validatePcmFormat(from);
+    if (fromError) {
+      throw new Error(fromError);
+    }
+    const toError = validatePcmFormat(to);
+    if (toError) {
+      throw new Error(toError);
+    }
+
+    this.from = { ...from };
+    this.to = { ...to };
+    this.passthrough = isSameFormat(from, to);
+  }
+
+  convert(chunk: Buffer): Buffer {
+    if (this.passthrough) {
+      return chunk;
+    }
+
+    const frameSize = this.from.width * this.from.channels;
+    const input = this.remainder.length > 0 ? Buffer.concat([this.remainder, chunk]) : chunk;
+    const usable = input.length - (input.length % frameSize);
+    this.remainder = Buffer.from(input.subarray(usable));
+
+    if (usable === 0) {
+      return Buffer.alloc(0);
+    }
+
+    const mono = decodeToMono(input.subarray(0, usable), this.from);
+    const resampled = this.from.rate === this.to.rate ? mono : this.resample(mono);
+    return encodeFromMono(resampled, this.to);
+  }
+
+  /**
+   * Drop buffered partial frames and resampler state, e.g. at audio-stop
+   */
+  reset(): void {
+    this.remainder = Buffer.alloc(0);
+    this.previousSample = null;
+    this.position = 0;
+  }
+
+  /**
+   * Linear interpolation resampler carrying the last sample across chunks
+   */
+  private resample(samples: Float32Array): Float32Array {
+    const step = this.from.rate / this.to.rate;
+    const hasPrevious = this.previousSample !== null;
+    const length = samples.length + (hasPrevious ? 1 : 0);
+    const at = (index: number): number =>
+      hasPrevious ? (index === 0 ? this.previousSample as number : samples[index - 1] as number) : samples[index] as number;
+
+    const output: number[] = [];
+    let t = this.position;
+    while (t < length - 1) {
+      const index = Math.floor(t);
+      const fraction = t - index;
+      output.push(at(index) * (1 - fraction) + at(index + 1) * fraction);
+      t += step;
+    }
+
+    this.previousSample = at(length - 1);
+    this.position = t - (length - 1);
+    return Float32Array.from(output);
+  }
+}
+
+/**
+ * Node stream wrapper around AudioConverter
+ */
+export function createConversionStream(from: PcmFormat, to: PcmFormat): Transform {
+  const converter = new AudioConverter(from, to);
+
+  return new Transform({
+    transform(chunk: Buffer, _encoding: BufferEncoding, callback: TransformCallback) {
+      const converted = converter.convert(chunk);
+      callback(null, converted.length > 0 ? converted : undefined);
+    },
+  });
+}
+
+/**
+ * Convert a complete buffer in one go
+ */
+export function convertAudio(audio: Buffer, from: PcmFormat, to: PcmFormat): Buffer {
+  return new AudioConverter(from, to).convert(audio);
+}
+
+function decodeToMono(buffer: Buffer, format: PcmFormat): Float32Array {
+  const frameSize = format.width * format.channels;
+  const frames = buffer.length / frameSize;
+  const output = new Float32Array(frames);
+
+  for (let frame = 0; frame < frames; frame++) {
+    let sum = 0;
+    for (let channel = 0; channel < format.channels; channel++) {
+      sum += readSample(buffer, frame * frameSize + channel * format.width, format.width);
+    }
+    output[frame] = sum / format.channels;
+  }
+
+  return output;
+}
+
+function encodeFromMono(samples: Float32Array, format: PcmFormat): Buffer {
+  const frameSize = format.width * format.channels;
+  const output = Buffer.alloc(samples.length * frameSize);
+
+  for (let frame = 0; frame < samples.length; frame++) {
+    const value = Math.max(-1, Math.min(1, samples[frame] as number));
+    for (let channel = 0; channel < format.channels; channel++) {
+      writeSample(output, frame * frameSize + channel * format.width, format.width, value);
+    }
+  }
+
+  return output;
+}
+
+/**
+ * Read one sample as a float in [-1, 1). 8-bit PCM is unsigned, wider is signed little-endian.
+ */
+function readSample(buffer: Buffer, offset: number, width: number): number {
+  switch (width) {
+    case 1:
+      return (buffer.readUInt8(offset) - 128) / 128;
+    case 2:
+      return buffer.readInt16LE(offset) / 32768;
+    case 3:
+      return buffer.readIntLE(offset, 3) / 8388608;
+    case 4:
+      return buffer.readInt32LE(offset) / 2147483648;
+    default:
+      throw new Error(`Unsupported sample width: ${width}`);
+  }
+}
+
+function writeSample(buffer: Buffer, offset: number, width: number, value: number): void {
+  switch (width) {
+    case 1:
+      buffer.writeUInt8(Math.min(255, Math.round(value * 128 + 128)), offset);
+      break;
+    case 2:
+      buffer.writeInt16LE(Math.min(32767, Math.round(value * 32768)), offset);
+      break;
+    case 3:
+      buffer.writeIntLE(Math.min(8388607, Math.round(value * 8388608)), offset, 3);
+      break;
+    case 4:
+      buffer.writeInt32LE(Math.min(2147483647, Math.round(value * 2147483648)), offset);
+      break;
+    default:
+      throw new Error(`Unsupported sample width: ${width}`);
+  }
+}
+
+const ULAW_BIAS = 0x84;
+const ULAW_CLIP = 32635;
+// Upper bounds of the A-law segments, on the 13-bit magnitude
+const ALAW_SEGMENT_ENDS = [0x1f, 0x3f, 0x7f, 0xff, 0x1ff, 0x3ff, 0x7ff, 0xfff];
+
+/**
+ * ITU-T G.711 μ-law, as used by North American and Japanese telephony
+ */
+function linearToUlaw(sample: number): number {
+  const sign = sample < 0 ? 0x80 : 0;
+  let magnitude = Math.min(Math.abs(sample), ULAW_CLIP) + ULAW_BIAS;
+
+  let exponent = 7;
+  for (let mask = 0x4000; (magnitude & mask) === 0 && exponent > 0; mask >>= 1) {
+    exponent--;
+  }
+  const mantissa = (magnitude >> (exponent + 3)) & 0x0f;
+  magnitude = sign | (exponent << 4) | mantissa;
+  return ~magnitude & 0xff;
+}
+
+function ulawToLinear(value: number): number {
+  const inverted = ~value & 0xff;
+  const exponent = (inverted >> 4) & 0x07;
+  const magnitude = ((((inverted & 0x0f) << 3) + ULAW_BIAS) << exponent) - ULAW_BIAS;
+  return inverted & 0x80 ? -magnitude : magnitude;
+}
+
+/**
+ * ITU-T G.711 A-law, as used by European and most other telephony
+ */
+function linearToAlaw(sample: number): number {
+  const mask = sample >= 0 ? 0xd5 : 0x55;
+  const magnitude = (sample >= 0 ? sample : -sample - 1) >> 3;
+
+  const segment = ALAW_SEGMENT_ENDS.findIndex(end => magnitude <= end);
+  if (segment === -1) {
+    return 0x7f ^ mask;
+  }
+  const mantissa = (segment < 2 ? magnitude >> 1 : magnitude >> segment) & 0x0f;
+  return ((segment << 4) | mantissa) ^ mask;
+}
+
+function alawToLinear(value: number): number {
+  const toggled = value ^ 0x55;
+  const segment = (toggled & 0x70) >> 4;
+  let magnitude = (toggled & 0x0f) << 4;
+
+  if (segment === 0) {
+    magnitude += 8;
+  } else {
+    magnitude = (magnitude + 0x108) << (segment - 1);
+  }
+  return toggled & 0x80 ? magnitude : -magnitude;
+}
+
+// Decoding is a lookup; there are only 256 codes
+const ULAW_DECODE = Int16Array.from({ length: 256 }, (_, code) => ulawToLinear(code));
+const ALAW_DECODE = Int16Array.from({ length: 256 }, (_, code) => alawToLinear(code));
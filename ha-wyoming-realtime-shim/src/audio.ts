@@ -4,9 +4,13 @@
  */
 
 import { EventEmitter } from 'events';
-import { Readable, Writable } from 'stream';
+import { Readable, Writable, pipeline } from 'stream';
 import { logger } from './logging';
-import { AudioDevice, AudioStreamConfig } from './types';
+import { AudioDevice, AudioStreamConfig, DeviceType } from './types';
+import { PcmFormat, createConversionStream, isSameFormat, validatePcmFormat } from './audio-format';
+
+// Capture is delivered in chunks of this length
+const CAPTURE_CHUNK_MS = 20;
 
 export class AudioDeviceManager extends EventEmitter {
   private devices: AudioDevice[] = [];
@@ -32,23 +36,46 @@ export class AudioDeviceManager extends EventEmitter {
     return this.devices.find(d => d.type === 'input' && d.isDefault);
   }
 
+  /**
+   * Open a capture stream in the requested format, converting from the
+   * closest format the device supports natively
+   */
   async createCaptureStream(config: AudioStreamConfig): Promise<Readable> {
-    if (config.sampleRate !== 16000) {
-      throw new Error('Only 16kHz sample rate supported');
-    }
+    const requested = toPcmFormat(config);
+    const native = this.selectNativeFormat('input', requested, config.deviceId);
 
-    // Mock readable stream for testing
+    // Mock capture: silence at the device's real-time rate, like a sound card delivers it
+    const chunkBytes = Math.round((native.rate * CAPTURE_CHUNK_MS) / 1000) * native.width * native.channels;
+    let timer: NodeJS.Timeout | undefined;
     const stream = new Readable({
       read() {
-        // Generate silence
-        this.push(Buffer.alloc(1024));
-      }
+        timer ??= setTimeout(() => {
+          timer = undefined;
+          this.push(Buffer.alloc(chunkBytes));
+        }, CAPTURE_CHUNK_MS);
+      },
+      destroy(error, callback) {
+        clearTimeout(timer);
+        callback(error);
+      },
     });
 
-    return stream;
+    if (isSameFormat(native, requested)) {
+      return stream;
+    }
+
+    logger.debug('Converting capture audio', { native, requested });
+    return pipeline(stream, createConversionStream(native, requested), () => undefined);
   }
 
-  async createPlaybackStream(_config: AudioStreamConfig): Promise<Writable> {
+  /**
+   * Open a playback stream accepting the given format, converting to the
+   * closest format the device supports natively
+   */
+  async createPlaybackStream(config: AudioStreamConfig): Promise<Writable> {
+    const requested = toPcmFormat(config);
+    const native = this.selectNativeFormat('output', requested, config.deviceId);
+
     // Mock writable stream for testing
     const stream = new Writable({
       write(_chunk, _encoding, callback) {
@@ -56,7 +83,43 @@ export class AudioDeviceManager extends EventEmitter {
       }
     });
 
-    return stream;
+    if (isSameFormat(native, requested)) {
+      return stream;
+    }
+
+    logger.debug('Converting playback audio', { native, requested });
+    const converter = createConversionStream(requested, native);
+    pipeline(converter, stream, () => undefined);
+    return converter;
+  }
+
+  /**
+   * Pick the device format closest to the requested one
+   */
+  private selectNativeFormat(type: DeviceType, requested: PcmFormat, deviceId?: string): PcmFormat {
+    const error = validatePcmFormat(requested);
+    if (error) {
+      throw new Error(error);
+    }
+
+    const device = this.devices.find(d => d.type === type && (deviceId ? d.deviceId === deviceId : d.isDefault));
+    if (!device) {
+      throw new Error(`No ${type} audio device available${deviceId ? `: ${deviceId}` : ''}`);
+    }
+
+    const { supportedSampleRates, supportedBitDepths, supportedChannels } = device.capabilities;
+    const rates = [...supportedSampleRates].sort((a, b) => a - b);
+    const rate = rates.includes(requested.rate)
+      ? requested.rate
+      : rates.find(r => r > requested.rate) ?? rates[rates.length - 1] ?? requested.rate;
+    const bitDepth = supportedBitDepths.includes(requested.width * 8)
+      ? requested.width * 8
+      : supportedBitDepths[0] ?? 16;
+    const channels = supportedChannels.includes(requested.channels)
+      ? requested.channels
+      : supportedChannels[0] ?? 1;
+
+    return { rate, width: bitDepth / 8, channels };
   }
 
   async refreshDevices(): Promise<void> {
@@ -154,3 +217,11 @@ export class AudioDeviceManager extends EventEmitter {
     // Cleanup resources
   }
 }
+
+function toPcmFormat(config: AudioStreamConfig): PcmFormat {
+  return {
+    rate: config.sampleRate,
+    width: config.bitDepth / 8,
+    channels: config.channels,
+  };
+}
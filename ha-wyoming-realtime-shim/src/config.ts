@@ -3,15 +3,26 @@
  * Handles add-on configuration loading, validation, and environment setup
  */
 
+import { EventEmitter } from 'events';
+import * as fs from 'fs';
 import Ajv, { JSONSchemaType } from 'ajv';
 import addFormats from 'ajv-formats';
 import { logger } from './logging';
+import { ConfigEventMap, EmitterEvents } from './types';
 
 export interface Configuration {
   // OpenAI Settings
   openaiApiKey: string;
   realtimeApiUrl: string;
+  realtimeAuthMode: string;
+  azureDeployment: string;
+  azureApiVersion: string;
   model: string;
+  voice: string;
+  transcriptionModel: string;
+  realtimeBackend: string;
+  simulatorScenario: string;
+  simulatorPort: number;
   
   // Home Assistant Settings
   haUrl: string;
@@ -20,7 +31,9 @@ export interface Configuration {
   // Security Settings
   allowedDomains: string[];
   entityWhitelist: string[];
+  allowedRoutines: string[];
   confirmHighRiskActions: boolean;
+  confirmTargetThreshold: number;
   
   // Audio Settings
   audioFormat: string;
@@ -32,11 +45,29 @@ export interface Configuration {
   
   // Server Settings
   httpPort: number;
+  wyomingPort: number;
+  wyomingServiceName: string;
+  languages: string[];
+  enableZeroconf: boolean;
   
   // Voice Settings
   vadEnabledDefault: boolean;
+  turnDetection: string;
+  vadThreshold: number;
+  vadPrefixPaddingMs: number;
+  vadSilenceDurationMs: number;
+  semanticVadEagerness: string;
+  maxConcurrentSessions: number;
   sessionSilenceTimeoutMs: number;
   sessionMaxDurationMs: number;
+  
+  // Budget Settings
+  usageLedgerPath: string;
+  dailyTokenLimit: number;
+  monthlyTokenLimit: number;
+  sessionTokenLimit: number;
+  dailyAudioMinutesLimit: number;
+  budgetWarningPercent: number;
 }
 
 const configSchema: JSONSchemaType<Configuration> = {
@@ -44,8 +75,8 @@ const configSchema: JSONSchemaType<Configuration> = {
   properties: {
     openaiApiKey: {
       type: 'string',
-      pattern: '^sk-[a-zA-Z0-9\\-_]{32,}$',
-      description: 'OpenAI API key starting with sk-',
+      pattern: '^\\S*$',
+      description: 'API key for the realtime backend; may be empty when auth mode is none',
     },
     realtimeApiUrl: {
       type: 'string',
@@ -53,10 +84,49 @@ const configSchema: JSONSchemaType<Configuration> = {
       pattern: '^wss?://',
       description: 'WebSocket URL for OpenAI Realtime API',
     },
+    realtimeAuthMode: {
+      type: 'string',
+      enum: ['bearer', 'azure', 'none'],
+      description: 'Bearer key (OpenAI), Azure api-key header, or no auth for local servers',
+    },
+    azureDeployment: {
+      type: 'string',
+      description: 'Azure OpenAI realtime deployment name',
+    },
+    azureApiVersion: {
+      type: 'string',
+      minLength: 1,
+      description: 'Azure OpenAI API version',
+    },
     model: {
       type: 'string',
-      enum: ['gpt-realtime'],
-      description: 'OpenAI model to use',
+      minLength: 1,
+      description: 'Realtime model to use',
+    },
+    voice: {
+      type: 'string',
+      enum: ['alloy', 'echo', 'fable', 'onyx', 'nova', 'shimmer'],
+      description: 'Voice used for spoken responses',
+    },
+    transcriptionModel: {
+      type: 'string',
+      enum: ['gpt-4o-mini-transcribe', 'gpt-4o-transcribe', 'whisper-1'],
+      description: 'Model that transcribes user audio; whisper-1 does not stream partial transcripts',
+    },
+    realtimeBackend: {
+      type: 'string',
+      enum: ['openai', 'simulator'],
+      description: 'Realtime API, or the built-in simulator for offline development',
+    },
+    simulatorScenario: {
+      type: 'string',
+      description: 'Scenario file the simulator plays; empty for fallback answers only',
+    },
+    simulatorPort: {
+      type: 'integer',
+      minimum: 1024,
+      maximum: 65535,
+      description: 'Local port for the realtime simulator',
     },
     haUrl: {
       type: 'string',
@@ -88,14 +158,29 @@ const configSchema: JSONSchemaType<Configuration> = {
       uniqueItems: true,
       description: 'List of specific entities allowed for control',
     },
+    allowedRoutines: {
+      type: 'array',
+      items: {
+        type: 'string',
+        pattern: '^(scene|script|automation)\\.([a-z0-9_]+|\\*)$',
+      },
+      uniqueItems: true,
+      description: 'Scenes, scripts and automations the assistant may run; "script.*" allows a whole domain',
+    },
     confirmHighRiskActions: {
       type: 'boolean',
       description: 'Require confirmation for potentially dangerous actions',
     },
+    confirmTargetThreshold: {
+      type: 'integer',
+      minimum: 1,
+      maximum: 100,
+      description: 'Entities one call may reach, areas and devices expanded, before it needs confirmation',
+    },
     audioFormat: {
       type: 'string',
-      enum: ['pcm16'],
-      description: 'Audio format for capture and playback',
+      enum: ['pcm16', 'g711_ulaw', 'g711_alaw'],
+      description: 'Audio encoding on the realtime link; G.711 is 8kHz and uses a sixth of the bandwidth',
     },
     enableTtsMirror: {
       type: 'boolean',
@@ -115,10 +200,70 @@ const configSchema: JSONSchemaType<Configuration> = {
       maximum: 65535,
       description: 'HTTP server port for control API',
     },
+    wyomingPort: {
+      type: 'integer',
+      minimum: 1024,
+      maximum: 65535,
+      description: 'TCP port for the Wyoming protocol server',
+    },
+    wyomingServiceName: {
+      type: 'string',
+      minLength: 1,
+      maxLength: 63,
+      description: 'Name advertised in Wyoming info and over zeroconf',
+    },
+    languages: {
+      type: 'array',
+      items: {
+        type: 'string',
+        pattern: '^[a-z]{2,3}(-[A-Za-z0-9]+)*$',
+      },
+      minItems: 1,
+      uniqueItems: true,
+      description: 'Languages advertised to Home Assistant for speech-to-text, voices and conversation',
+    },
+    enableZeroconf: {
+      type: 'boolean',
+      description: 'Advertise the Wyoming service over mDNS for auto-discovery',
+    },
     vadEnabledDefault: {
       type: 'boolean',
       description: 'Enable voice activity detection by default',
     },
+    turnDetection: {
+      type: 'string',
+      enum: ['server_vad', 'semantic_vad'],
+      description: 'Detector that ends hands-free turns: silence-based or semantic',
+    },
+    vadThreshold: {
+      type: 'number',
+      minimum: 0,
+      maximum: 1,
+      description: 'Server VAD activation threshold; higher needs louder speech',
+    },
+    vadPrefixPaddingMs: {
+      type: 'integer',
+      minimum: 0,
+      maximum: 2000,
+      description: 'Audio kept from before speech was detected, in milliseconds',
+    },
+    vadSilenceDurationMs: {
+      type: 'integer',
+      minimum: 100,
+      maximum: 5000,
+      description: 'Silence that ends a turn with server VAD, in milliseconds',
+    },
+    semanticVadEagerness: {
+      type: 'string',
+      enum: ['low', 'medium', 'high', 'auto'],
+      description: 'How quickly semantic VAD ends a turn',
+    },
+    maxConcurrentSessions: {
+      type: 'integer',
+      minimum: 1,
+      maximum: 20,
+      description: 'Maximum number of simultaneous Wyoming voice sessions',
+    },
     sessionSilenceTimeoutMs: {
       type: 'integer',
       minimum: 1000,
@@ -131,33 +276,95 @@ const configSchema: JSONSchemaType<Configuration> = {
       maximum: 1800000,
       description: 'Maximum session duration in milliseconds',
     },
+    usageLedgerPath: {
+      type: 'string',
+      minLength: 1,
+      description: 'File that keeps token and audio usage across restarts',
+    },
+    dailyTokenLimit: {
+      type: 'integer',
+      minimum: 0,
+      description: 'Tokens allowed per day across all sessions; 0 disables the cap',
+    },
+    monthlyTokenLimit: {
+      type: 'integer',
+      minimum: 0,
+      description: 'Tokens allowed per calendar month; 0 disables the cap',
+    },
+    sessionTokenLimit: {
+      type: 'integer',
+      minimum: 0,
+      description: 'Tokens one voice session may use before it is ended; 0 disables the cap',
+    },
+    dailyAudioMinutesLimit: {
+      type: 'integer',
+      minimum: 0,
+      description: 'Minutes of audio sent and received per day; 0 disables the cap',
+    },
+    budgetWarningPercent: {
+      type: 'integer',
+      minimum: 1,
+      maximum: 100,
+      description: 'Share of a cap at which a warning is logged',
+    },
   },
   required: [
     'openaiApiKey',
     'realtimeApiUrl',
+    'realtimeAuthMode',
+    'azureDeployment',
+    'azureApiVersion',
     'model',
+    'voice',
+    'transcriptionModel',
+    'realtimeBackend',
+    'simulatorScenario',
+    'simulatorPort',
     'haUrl',
     'haToken',
     'allowedDomains',
     'entityWhitelist',
+    'allowedRoutines',
     'confirmHighRiskActions',
+    'confirmTargetThreshold',
     'audioFormat',
     'enableTtsMirror',
     'ttsService',
     'ttsMediaPlayer',
     'httpPort',
+    'wyomingPort',
+    'wyomingServiceName',
+    'languages',
+    'enableZeroconf',
     'vadEnabledDefault',
+    'turnDetection',
+    'vadThreshold',
+    'vadPrefixPaddingMs',
+    'vadSilenceDurationMs',
+    'semanticVadEagerness',
+    'maxConcurrentSessions',
     'sessionSilenceTimeoutMs',
     'sessionMaxDurationMs',
+    'usageLedgerPath',
+    'dailyTokenLimit',
+    'monthlyTokenLimit',
+    'sessionTokenLimit',
+    'dailyAudioMinutesLimit',
+    'budgetWarningPercent',
   ],
   additionalProperties: false,
 };
 
-export class ConfigManager {
+// Home Assistant rewrites the options file when they are saved in the add-on UI
+const OPTIONS_POLL_INTERVAL_MS = 5000;
+
+export class ConfigManager extends EventEmitter<EmitterEvents<ConfigEventMap>> {
   private ajv: Ajv;
   private config: Configuration | null = null;
+  private optionsPath: string | undefined;
 
   constructor() {
+    super();
     this.ajv = new Ajv({ allErrors: true, strict: true });
     addFormats(this.ajv);
   }
@@ -171,9 +378,17 @@ export class ConfigManager {
 
       const config: Configuration = {
         // OpenAI Settings
-        openaiApiKey: this.getRequiredEnv('OPENAI_API_KEY'),
+        openaiApiKey: this.getEnv('OPENAI_API_KEY', ''),
         realtimeApiUrl: this.getEnv('REALTIME_API_URL', 'wss://api.openai.com/v1/realtime'),
+        realtimeAuthMode: this.getEnv('REALTIME_AUTH_MODE', 'bearer'),
+        azureDeployment: this.getEnv('AZURE_DEPLOYMENT', ''),
+        azureApiVersion: this.getEnv('AZURE_API_VERSION', '2024-10-01-preview'),
         model: this.getEnv('MODEL', 'gpt-realtime'),
+        voice: this.getEnv('VOICE', 'alloy'),
+        transcriptionModel: this.getEnv('TRANSCRIPTION_MODEL', 'gpt-4o-mini-transcribe'),
+        realtimeBackend: this.getEnv('REALTIME_BACKEND', 'openai'),
+        simulatorScenario: this.getEnv('SIMULATOR_SCENARIO', ''),
+        simulatorPort: this.getEnvNumber('SIMULATOR_PORT', 10700),
         
         // Home Assistant Settings
         haUrl: this.getRequiredEnv('HA_URL'),
@@ -182,7 +397,9 @@ export class ConfigManager {
         // Security Settings
         allowedDomains: this.parseJsonArray('ALLOWED_DOMAINS', ['light', 'switch', 'climate']),
         entityWhitelist: this.parseJsonArray('ENTITY_WHITELIST', []),
+        allowedRoutines: this.parseJsonArray('ALLOWED_ROUTINES', []),
         confirmHighRiskActions: this.getEnvBoolean('CONFIRM_HIGH_RISK_ACTIONS', true),
+        confirmTargetThreshold: this.getEnvNumber('CONFIRM_TARGET_THRESHOLD', 5),
         
         // Audio Settings
         audioFormat: this.getEnv('AUDIO_FORMAT', 'pcm16'),
@@ -194,11 +411,29 @@ export class ConfigManager {
         
         // Server Settings
         httpPort: this.getEnvNumber('HTTP_PORT', 5000),
+        wyomingPort: this.getEnvNumber('WYOMING_PORT', 10600),
+        wyomingServiceName: this.getEnv('WYOMING_SERVICE_NAME', 'openai-realtime'),
+        languages: this.parseJsonArray('LANGUAGES', ['en']),
+        enableZeroconf: this.getEnvBoolean('ENABLE_ZEROCONF', true),
         
         // Voice Settings
         vadEnabledDefault: this.getEnvBoolean('VAD_ENABLED_DEFAULT', false),
+        turnDetection: this.getEnv('TURN_DETECTION', 'server_vad'),
+        vadThreshold: this.getEnvFloat('VAD_THRESHOLD', 0.5),
+        vadPrefixPaddingMs: this.getEnvNumber('VAD_PREFIX_PADDING_MS', 300),
+        vadSilenceDurationMs: this.getEnvNumber('VAD_SILENCE_DURATION_MS', 800),
+        semanticVadEagerness: this.getEnv('SEMANTIC_VAD_EAGERNESS', 'auto'),
+        maxConcurrentSessions: this.getEnvNumber('MAX_CONCURRENT_SESSIONS', 3),
         sessionSilenceTimeoutMs: this.getEnvNumber('SESSION_SILENCE_TIMEOUT_MS', 30000),
         sessionMaxDurationMs: this.getEnvNumber('SESSION_MAX_DURATION_MS', 300000),
+        
+        // Budget Settings
+        usageLedgerPath: this.getEnv('USAGE_LEDGER_PATH', '/data/usage.json'),
+        dailyTokenLimit: this.getEnvNumber('DAILY_TOKEN_LIMIT', 0),
+        monthlyTokenLimit: this.getEnvNumber('MONTHLY_TOKEN_LIMIT', 0),
+        sessionTokenLimit: this.getEnvNumber('SESSION_TOKEN_LIMIT', 0),
+        dailyAudioMinutesLimit: this.getEnvNumber('DAILY_AUDIO_MINUTES_LIMIT', 0),
+        budgetWarningPercent: this.getEnvNumber('BUDGET_WARNING_PERCENT', 80),
       };
 
       await this.validateConfiguration(config);
@@ -239,20 +474,29 @@ export class ConfigManager {
    * Perform additional custom validations beyond schema
    */
   private async performCustomValidations(config: Configuration): Promise<void> {
-    // Validate OpenAI API key format
-    if (!config.openaiApiKey.startsWith('sk-')) {
-      throw new Error('OpenAI API key must start with "sk-"');
-    }
-
     // Validate URL formats
+    let realtimeUrl: URL;
     try {
-      new URL(config.realtimeApiUrl);
+      realtimeUrl = new URL(config.realtimeApiUrl);
       new URL(config.haUrl);
     } catch (error) {
       const errorMessage = error instanceof Error ? error.message : String(error);
       throw new Error(`Invalid URL format: ${errorMessage}`);
     }
 
+    // Validate credentials for the realtime backend; the simulator needs none
+    const simulated = config.realtimeBackend === 'simulator';
+    if (!simulated && config.realtimeAuthMode !== 'none' && !config.openaiApiKey) {
+      throw new Error(`An API key is required for ${config.realtimeAuthMode} authentication`);
+    }
+    if (!simulated && config.realtimeAuthMode === 'bearer' && realtimeUrl.hostname === 'api.openai.com'
+      && !/^sk-[a-zA-Z0-9\-_]{32,}$/.test(config.openaiApiKey)) {
+      throw new Error('OpenAI API key must start with "sk-"');
+    }
+    if (!simulated && config.realtimeAuthMode === 'azure' && !config.azureDeployment) {
+      throw new Error('Azure authentication requires a deployment name');
+    }
+
     // Validate domain names
     const validDomainPattern = /^[a-z_]+$/;
     for (const domain of config.allowedDomains) {
@@ -269,15 +513,35 @@ export class ConfigManager {
       }
     }
 
+    // Routines are named one by one or as a whole domain
+    const validRoutinePattern = /^(scene|script|automation)\.([a-z0-9_]+|\*)$/;
+    for (const routine of config.allowedRoutines) {
+      if (!validRoutinePattern.test(routine)) {
+        throw new Error(`Invalid routine: ${routine} (expected a scene, script or automation entity ID, or e.g. script.*)`);
+      }
+    }
+
     // Validate timeout values
     if (config.sessionSilenceTimeoutMs >= config.sessionMaxDurationMs) {
       throw new Error('Session silence timeout must be less than maximum duration');
     }
 
+    // A month must allow at least one day's worth of tokens
+    if (config.dailyTokenLimit > 0 && config.monthlyTokenLimit > 0
+      && config.monthlyTokenLimit < config.dailyTokenLimit) {
+      throw new Error('Monthly token limit must not be lower than the daily token limit');
+    }
+
     // Validate port availability
     if (config.httpPort < 1024 || config.httpPort > 65535) {
       throw new Error(`HTTP port must be between 1024 and 65535, got ${config.httpPort}`);
     }
+    if (config.wyomingPort === config.httpPort) {
+      throw new Error('Wyoming port must differ from the HTTP port');
+    }
+    if (simulated && [config.httpPort, config.wyomingPort].includes(config.simulatorPort)) {
+      throw new Error('Simulator port must differ from the HTTP and Wyoming ports');
+    }
 
     logger.debug('Custom configuration validations passed');
   }
@@ -300,12 +564,71 @@ export class ConfigManager {
   }
 
   /**
-   * Reload configuration
+   * Reload configuration and tell listeners; a configuration that fails validation keeps the current one
    */
   async reloadConfiguration(): Promise<Configuration> {
     logger.info('Reloading configuration');
+    const previous = this.config;
     this.config = null;
-    return this.loadConfiguration();
+
+    let config: Configuration;
+    try {
+      config = await this.loadConfiguration();
+    } catch (error) {
+      this.config = previous;
+      throw error;
+    }
+
+    this.emit('changed', config);
+    return config;
+  }
+
+  /**
+   * Reload whenever the add-on options file changes
+   */
+  watchOptions(optionsPath: string): void {
+    this.unwatchOptions();
+    this.optionsPath = optionsPath;
+    fs.watchFile(optionsPath, { interval: OPTIONS_POLL_INTERVAL_MS }, this.handleOptionsChange).unref();
+  }
+
+  unwatchOptions(): void {
+    if (this.optionsPath) {
+      fs.unwatchFile(this.optionsPath, this.handleOptionsChange);
+      this.optionsPath = undefined;
+    }
+  }
+
+  private handleOptionsChange = (current: fs.Stats, previous: fs.Stats): void => {
+    if (!this.optionsPath || current.mtimeMs === previous.mtimeMs) {
+      return;
+    }
+
+    try {
+      this.applyOptions(JSON.parse(fs.readFileSync(this.optionsPath, 'utf8')));
+    } catch (error) {
+      const errorMessage = error instanceof Error ? error.message : String(error);
+      logger.error('Failed to read add-on options', { path: this.optionsPath, error: errorMessage });
+      return;
+    }
+
+    this.reloadConfiguration().catch((error) => {
+      logger.error('Configuration reload failed; keeping the running configuration', { error: error.message });
+    });
+  };
+
+  /**
+   * Export add-on options the way run.sh does: each option as its upper-case environment variable
+   */
+  private applyOptions(options: Record<string, unknown>): void {
+    for (const [key, value] of Object.entries(options)) {
+      const name = key.toUpperCase();
+      if (value === null || value === undefined) {
+        delete process.env[name];
+      } else {
+        process.env[name] = typeof value === 'object' ? JSON.stringify(value) : String(value);
+      }
+    }
   }
 
   /**
@@ -348,6 +671,19 @@ export class ConfigManager {
     return parsed;
   }
 
+  /**
+   * Get environment variable as a decimal number
+   */
+  private getEnvFloat(name: string, defaultValue: number): number {
+    const value = process.env[name];
+    if (!value) return defaultValue;
+    const parsed = parseFloat(value);
+    if (isNaN(parsed)) {
+      throw new Error(`Environment variable ${name} must be a number, got: ${value}`);
+    }
+    return parsed;
+  }
+
   /**
    * Parse JSON array from environment variable
    */
@@ -376,15 +712,33 @@ export class ConfigManager {
     }
 
     return {
+      realtimeApiUrl: this.config.realtimeApiUrl,
+      realtimeAuthMode: this.config.realtimeAuthMode,
+      realtimeBackend: this.config.realtimeBackend,
       model: this.config.model,
+      voice: this.config.voice,
+      transcriptionModel: this.config.transcriptionModel,
+      audioFormat: this.config.audioFormat,
       httpPort: this.config.httpPort,
+      wyomingPort: this.config.wyomingPort,
+      wyomingServiceName: this.config.wyomingServiceName,
+      languages: this.config.languages,
+      enableZeroconf: this.config.enableZeroconf,
       allowedDomains: this.config.allowedDomains,
       entityWhitelistCount: this.config.entityWhitelist.length,
+      allowedRoutines: this.config.allowedRoutines,
       confirmHighRiskActions: this.config.confirmHighRiskActions,
+      confirmTargetThreshold: this.config.confirmTargetThreshold,
       vadEnabledDefault: this.config.vadEnabledDefault,
+      turnDetection: this.config.turnDetection,
+      maxConcurrentSessions: this.config.maxConcurrentSessions,
       sessionSilenceTimeoutMs: this.config.sessionSilenceTimeoutMs,
       sessionMaxDurationMs: this.config.sessionMaxDurationMs,
       enableTtsMirror: this.config.enableTtsMirror,
+      dailyTokenLimit: this.config.dailyTokenLimit,
+      monthlyTokenLimit: this.config.monthlyTokenLimit,
+      sessionTokenLimit: this.config.sessionTokenLimit,
+      dailyAudioMinutesLimit: this.config.dailyAudioMinutesLimit,
     };
   }
 }
@@ -6,6 +6,11 @@
 import express, { Request, Response } from 'express';
 import { logger } from './logging';
 import { v4 as uuidv4 } from 'uuid';
+import { ServiceInfoOptions, buildServiceInfo, getPackageVersion } from './service-info';
+import { UsageLedger } from './usage';
+import { SecurityController } from './security';
+import { TextTurnOptions, TurnOutcome, TurnAction } from './realtime';
+import { ConnectionState, UsageTotals } from './types';
 
 interface SessionState {
   sessionId: string;
@@ -14,14 +19,144 @@ interface SessionState {
   startTime: Date;
 }
 
-export function createControlAPI(): express.Application {
+export interface ControlAPIOptions {
+  serviceInfo: ServiceInfoOptions;
+  getRealtimeState: () => ConnectionState;
+  usage: UsageLedger;
+  security: SecurityController;
+  voice: VoiceControl;
+}
+
+/**
+ * Hooks the control endpoints drive on the shared realtime conversation
+ */
+export interface VoiceControl {
+  /** Stream the microphone with turn detection off until stopPtt() or the timeout */
+  startPtt(timeoutMs?: number): Promise<void>;
+  /** Commit what was said and ask for the answer */
+  stopPtt(): Promise<void>;
+  /** False once a PTT session was released, including by its timeout or a used-up budget */
+  isPttActive(): boolean;
+  /** False once hands-free listening was turned off, including by a used-up budget */
+  isVadEnabled(): boolean;
+  setVad(enabled: boolean): Promise<void>;
+  /** Typed user message through the normal tool loop */
+  textCommand(text: string, options: TextTurnOptions): Promise<TurnOutcome>;
+}
+
+const MAX_TEXT_COMMAND_LENGTH = 2000;
+const RECENT_CONFIRMATIONS = 10;
+
+/**
+ * Check a /text_command body; returns an error message or the turn options
+ */
+function parseTextCommand(body: any): { error: string } | { text: string; timeoutMs?: number } {
+  const { text, timeout_ms } = body ?? {};
+
+  if (typeof text !== 'string' || !text.trim()) {
+    return { error: 'Text is required' };
+  }
+  if (text.length > MAX_TEXT_COMMAND_LENGTH) {
+    return { error: `Text must be at most ${MAX_TEXT_COMMAND_LENGTH} characters` };
+  }
+  if (timeout_ms !== undefined) {
+    if (typeof timeout_ms !== 'number' || timeout_ms < 1000 || timeout_ms > 120000) {
+      return { error: 'Timeout must be between 1000 and 120000 ms' };
+    }
+    return { text: text.trim(), timeoutMs: timeout_ms };
+  }
+  return { text: text.trim() };
+}
+
+function formatAction(action: TurnAction): Record<string, unknown> {
+  return {
+    call_id: action.call_id,
+    name: action.name,
+    arguments: action.arguments,
+    result: action.result ?? null,
+  };
+}
+
+function formatUsageTotals(totals: UsageTotals): Record<string, number> {
+  return {
+    sessions: totals.sessions,
+    responses: totals.responses,
+    total_tokens: totals.totalTokens,
+    input_tokens: totals.inputTokens,
+    output_tokens: totals.outputTokens,
+    input_text_tokens: totals.inputTextTokens,
+    input_audio_tokens: totals.inputAudioTokens,
+    cached_tokens: totals.cachedTokens,
+    output_text_tokens: totals.outputTextTokens,
+    output_audio_tokens: totals.outputAudioTokens,
+    audio_input_minutes: Math.round(totals.audioInputSeconds / 6) / 10,
+    audio_output_minutes: Math.round(totals.audioOutputSeconds / 6) / 10,
+  };
+}
+
+/**
+ * Pending confirmation tickets and the latest ticket audit entries
+ */
+function formatConfirmations(security: SecurityController): Record<string, unknown> {
+  return {
+    pending: security.getPendingTickets().map(ticket => ({
+      ticket_id: ticket.id,
+      action: ticket.tool,
+      arguments: ticket.arguments,
+      prompt: ticket.prompt,
+      created_at: ticket.createdAt.toISOString(),
+      expires_at: ticket.expiresAt.toISOString(),
+    })),
+    recent: security
+      .getAuditLog()
+      .filter(entry => entry.ticket_id)
+      .slice(-RECENT_CONFIRMATIONS)
+      .map(entry => ({
+        ticket_id: entry.ticket_id,
+        event: entry.action,
+        allowed: entry.allowed,
+        timestamp: entry.timestamp.toISOString(),
+      })),
+  };
+}
+
+export function createControlAPI(options: ControlAPIOptions): express.Application {
   const app = express();
   let currentSession: SessionState | null = null;
-  let vadEnabled = false;
 
   app.use(express.json());
   app.use(express.urlencoded({ extended: true }));
 
+  /**
+   * Forget a PTT or VAD session the voice layer has already ended, e.g. by a timeout or a used-up budget
+   */
+  const releaseEndedSession = (): void => {
+    if (currentSession?.status !== 'active') {
+      return;
+    }
+    if ((currentSession.mode === 'ptt' && !options.voice.isPttActive())
+      || (currentSession.mode === 'vad' && !options.voice.isVadEnabled())) {
+      currentSession = null;
+    }
+  };
+
+  /**
+   * Refuse to start a session once a daily or monthly budget is used up
+   */
+  const rejectOverBudget = (res: Response): boolean => {
+    const exceeded = options.usage.checkBudget();
+    if (!exceeded) {
+      return false;
+    }
+    res.status(429).json({
+      error: 'budget_exceeded',
+      message: `Usage limit ${exceeded.limit} reached (${exceeded.used} of ${exceeded.cap})`,
+      limit: exceeded.limit,
+      timestamp: new Date().toISOString(),
+    });
+    return true;
+  };
+
   // Error handler
   app.use((err: any, _req: Request, res: Response, next: any) => {
     if (err instanceof SyntaxError) {
@@ -34,7 +169,7 @@ export function createControlAPI(): express.Application {
     return next(err);
   });
 
-  app.post('/start_ptt', (req: Request, res: Response) => {
+  app.post('/start_ptt', async (req: Request, res: Response) => {
     try {
       const { timeout_ms } = req.body;
 
@@ -49,6 +184,8 @@ export function createControlAPI(): express.Application {
         }
       }
 
+      releaseEndedSession();
+
       // Check if session already active
       if (currentSession && currentSession.status === 'active') {
         return res.status(400).json({
@@ -58,6 +195,12 @@ export function createControlAPI(): express.Application {
         });
       }
 
+      if (rejectOverBudget(res)) {
+        return res;
+      }
+
+      await options.voice.startPtt(timeout_ms);
+
       // Create new session
       currentSession = {
         sessionId: uuidv4(),
@@ -90,7 +233,7 @@ export function createControlAPI(): express.Application {
     }
   });
 
-  app.post('/stop_ptt', (_req: Request, res: Response) => {
+  app.post('/stop_ptt', async (_req: Request, res: Response) => {
     if (!currentSession || currentSession.status !== 'active') {
       return res.status(400).json({
         error: 'no_active_session',
@@ -99,6 +242,20 @@ export function createControlAPI(): express.Application {
       });
     }
 
+    if (currentSession.mode === 'ptt') {
+      try {
+        await options.voice.stopPtt();
+      } catch (error) {
+        const errorMessage = error instanceof Error ? error.message : String(error);
+        logger.error('Failed to commit PTT audio', { error: errorMessage });
+        return res.status(503).json({
+          error: 'openai-error',
+          message: 'Failed to send the recorded audio',
+          timestamp: new Date().toISOString(),
+        });
+      }
+    }
+
     currentSession.status = 'ended';
 
     logger.info('PTT session stopped', { 
@@ -116,9 +273,15 @@ export function createControlAPI(): express.Application {
     return res.json(response);
   });
 
-  app.post('/toggle_vad', (_req: Request, res: Response) => {
+  app.post('/toggle_vad', async (_req: Request, res: Response) => {
     try {
-      vadEnabled = !vadEnabled;
+      releaseEndedSession();
+      const vadEnabled = !options.voice.isVadEnabled();
+      if (vadEnabled && rejectOverBudget(res)) {
+        return res;
+      }
+
+      await options.voice.setVad(vadEnabled);
 
       logger.info('VAD mode toggled', { vad_enabled: vadEnabled });
 
@@ -153,10 +316,11 @@ export function createControlAPI(): express.Application {
   });
 
   app.get('/status', (_req: Request, res: Response) => {
+    releaseEndedSession();
     const response: any = {
       service_status: 'running',
       timestamp: new Date().toISOString(),
-      vad_enabled: vadEnabled,
+      vad_enabled: options.voice.isVadEnabled(),
       audio_devices: [
         {
           device_id: 'default_input',
@@ -173,8 +337,9 @@ export function createControlAPI(): express.Application {
           is_available: true,
         }
       ],
-      openai_connection: 'connected',
+      openai_connection: options.getRealtimeState(),
       ha_connection: 'connected',
+      confirmations: formatConfirmations(options.security),
     };
 
     if (currentSession) {
@@ -201,6 +366,10 @@ export function createControlAPI(): express.Application {
         });
       }
 
+      if (rejectOverBudget(res)) {
+        return res;
+      }
+
       currentSession = {
         sessionId: uuidv4(),
         mode: 'voice_assistant',
@@ -240,6 +409,10 @@ export function createControlAPI(): express.Application {
         });
       }
 
+      if (rejectOverBudget(res)) {
+        return res;
+      }
+
       currentSession = {
         sessionId: uuidv4(),
         mode: 'command',
@@ -309,18 +482,172 @@ export function createControlAPI(): express.Application {
     }
   });
 
+  // Typed command through the same assistant and tools, answered as text only
+  app.post('/text_command', async (req: Request, res: Response) => {
+    const command = parseTextCommand(req.body);
+    if ('error' in command) {
+      return res.status(400).json({
+        error: 'invalid_text',
+        message: command.error,
+        timestamp: new Date().toISOString(),
+      });
+    }
+    if (rejectOverBudget(res)) {
+      return res;
+    }
+
+    try {
+      const outcome = await options.voice.textCommand(command.text, {
+        modalities: ['text'],
+        ...(command.timeoutMs !== undefined && { timeoutMs: command.timeoutMs }),
+      });
+
+      logger.info('Text command handled', {
+        status: outcome.status,
+        actions: outcome.actions.map(action => action.name),
+      });
+
+      return res.json({
+        status: outcome.status,
+        text: outcome.text,
+        actions: outcome.actions.map(formatAction),
+        timestamp: new Date().toISOString(),
+      });
+    } catch (error) {
+      const errorMessage = error instanceof Error ? error.message : String(error);
+      logger.error('Text command failed', { error: errorMessage });
+      return res.status(errorMessage.includes('timeout') ? 504 : 503).json({
+        error: 'openai-error',
+        message: errorMessage,
+        timestamp: new Date().toISOString(),
+      });
+    }
+  });
+
+  // Server-sent events variant: text deltas and actions as they happen, then the outcome
+  app.post('/text_command/stream', async (req: Request, res: Response) => {
+    const command = parseTextCommand(req.body);
+    if ('error' in command) {
+      return res.status(400).json({
+        error: 'invalid_text',
+        message: command.error,
+        timestamp: new Date().toISOString(),
+      });
+    }
+    if (rejectOverBudget(res)) {
+      return res;
+    }
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+    });
+    const sendEvent = (event: string, data: Record<string, unknown>) => {
+      if (!res.writableEnded && !res.destroyed) {
+        res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+      }
+    };
+
+    // A client that hangs up stops its turn rather than leaving the model talking to nobody
+    const disconnect = new AbortController();
+    res.on('close', () => {
+      if (!res.writableEnded) {
+        logger.info('Streamed text command client disconnected');
+        disconnect.abort();
+      }
+    });
+
+    try {
+      const outcome = await options.voice.textCommand(command.text, {
+        modalities: ['text'],
+        signal: disconnect.signal,
+        ...(command.timeoutMs !== undefined && { timeoutMs: command.timeoutMs }),
+        onText: (delta) => sendEvent('text', { delta }),
+        onAction: (action) => sendEvent('action', formatAction(action)),
+      });
+
+      logger.info('Streamed text command handled', {
+        status: outcome.status,
+        actions: outcome.actions.map(action => action.name),
+      });
+
+      sendEvent('done', {
+        status: outcome.status,
+        text: outcome.text,
+        actions: outcome.actions.map(formatAction),
+        timestamp: new Date().toISOString(),
+      });
+    } catch (error) {
+      if (disconnect.signal.aborted) {
+        return res.end();
+      }
+      const errorMessage = error instanceof Error ? error.message : String(error);
+      logger.error('Streamed text command failed', { error: errorMessage });
+      sendEvent('error', {
+        error: 'openai-error',
+        message: errorMessage,
+        timestamp: new Date().toISOString(),
+      });
+    }
+
+    return res.end();
+  });
+
+  // Same programs, models and voices the Wyoming describe reply advertises
+  app.get('/info', (_req: Request, res: Response) => {
+    const info = buildServiceInfo(options.serviceInfo);
+
+    return res.json({
+      name: options.serviceInfo.serviceName,
+      version: getPackageVersion(),
+      model: options.serviceInfo.model,
+      transcription_model: options.serviceInfo.transcriptionModel,
+      default_voice: options.serviceInfo.voice,
+      ...info.data,
+      timestamp: new Date().toISOString(),
+    });
+  });
+
+  // Spend against the configured caps, from the persistent usage ledger
+  app.get('/usage', (_req: Request, res: Response) => {
+    const summary = options.usage.getSummary();
+
+    return res.json({
+      date: summary.date,
+      month: summary.month,
+      today: formatUsageTotals(summary.today),
+      month_to_date: formatUsageTotals(summary.monthToDate),
+      limits: {
+        daily_tokens: summary.limits.dailyTokens,
+        monthly_tokens: summary.limits.monthlyTokens,
+        session_tokens: summary.limits.sessionTokens,
+        daily_audio_minutes: summary.limits.dailyAudioMinutes,
+        warning_percent: summary.limits.warningPercent,
+      },
+      budgets: summary.budgets,
+      budget_exceeded: summary.exceeded !== null,
+      rate_limits: summary.rateLimits,
+      rate_limits_updated: summary.rateLimitsUpdated?.toISOString() ?? null,
+      timestamp: new Date().toISOString(),
+    });
+  });
+
   app.get('/health', (_req: Request, res: Response) => {
     try {
       const memoryUsage = process.memoryUsage();
       const memoryPercentage = (memoryUsage.heapUsed / memoryUsage.heapTotal) * 100;
 
+      const realtimeState = options.getRealtimeState();
+
       const healthStatus = {
         status: 'healthy',
-        version: '1.0.5',
+        version: getPackageVersion(),
         timestamp: new Date().toISOString(),
+        openai_connection: realtimeState,
         checks: {
           audio_devices: true,
-          openai_api: true,
+          openai_api: realtimeState === 'connected',
           home_assistant: true,
           memory_usage: Math.round(memoryPercentage),
         },
@@ -343,7 +670,7 @@ export function createControlAPI(): express.Application {
       logger.error('Health check failed', { error: errorMessage });
       return res.status(503).json({
         status: 'unhealthy',
-        version: '1.0.5',
+        version: getPackageVersion(),
         timestamp: new Date().toISOString(),
         checks: {
           audio_devices: false,
@@ -0,0 +1,325 @@
+/**
+ * Entity Resolver
+ * Finds entities by spoken name, alias, area and domain using the Home Assistant registries
+ */
+
+import { logger } from './logging';
+import { HABridge } from './ha-bridge';
+import { SecurityController } from './security';
+import {
+  HAEntity,
+  HAEntityRegistryEntry,
+  HADeviceRegistryEntry,
+  HAAreaRegistryEntry,
+  TargetExpansion,
+} from './types';
+
+// Registries change rarely; states are read fresh for every search
+const REGISTRY_TTL_MS = 5 * 60 * 1000;
+const DEFAULT_LIMIT = 5;
+const MAX_LIMIT = 20;
+// Below this a candidate is more likely noise than a mishearing
+const MIN_SCORE = 0.5;
+// Word similarity that still counts as the same word, e.g. "livingroom" for "living room" or a typo
+const MIN_WORD_SIMILARITY = 0.75;
+
+export interface EntityResolverOptions {
+  haBridge: HABridge;
+  securityController: SecurityController;
+}
+
+export interface EntityQuery {
+  /** Spoken name or description, e.g. "kitchen lamp" */
+  query?: string;
+  area?: string;
+  domain?: string;
+  limit?: number;
+}
+
+export interface EntityCandidate {
+  entity_id: string;
+  name: string;
+  domain: string;
+  area: string | null;
+  area_id: string | null;
+  device: string | null;
+  device_id: string | null;
+  state: string;
+  /** 1 is an exact match */
+  score: number;
+}
+
+interface Registries {
+  entities: Map<string, HAEntityRegistryEntry>;
+  devices: Map<string, HADeviceRegistryEntry>;
+  areas: Map<string, HAAreaRegistryEntry>;
+  loadedAt: number;
+}
+
+/**
+ * Everything an entity can be called by, already normalized
+ */
+interface EntityNames {
+  name: string;
+  names: string[][];
+  area: HAAreaRegistryEntry | undefined;
+  areaNames: string[][];
+  device: string | null;
+}
+
+export class EntityResolver {
+  private registries: Registries | undefined;
+  private loading: Promise<Registries> | undefined;
+
+  constructor(private options: EntityResolverOptions) {}
+
+  /**
+   * Ranked candidates the security configuration permits
+   */
+  async find(query: EntityQuery): Promise<EntityCandidate[]> {
+    const nameQuery = tokens(query.query ?? '');
+    const areaQuery = tokens(query.area ?? '');
+    const domain = query.domain?.trim().toLowerCase() || undefined;
+    if (nameQuery.length === 0 && areaQuery.length === 0 && !domain) {
+      throw new Error('Give a name, area or domain to search for');
+    }
+
+    const limit = Math.max(1, Math.min(MAX_LIMIT, Math.floor(query.limit ?? DEFAULT_LIMIT)));
+    const [registries, states] = await Promise.all([this.getRegistries(), this.options.haBridge.getStates()]);
+
+    const candidates: EntityCandidate[] = [];
+    for (const entity of states) {
+      const entityDomain = entity.entity_id.split('.')[0] || '';
+      // "lights" is as good as "light"
+      if (domain && entityDomain !== domain && `${entityDomain}s` !== domain) {
+        continue;
+      }
+      if (!this.options.securityController.isEntityAllowed(entity.entity_id)) {
+        continue;
+      }
+
+      const registryEntry = registries.entities.get(entity.entity_id);
+      if (registryEntry?.disabled_by || registryEntry?.hidden_by) {
+        continue;
+      }
+
+      const names = describeEntity(entity, registryEntry, registries);
+      const score = scoreEntity(names, nameQuery, areaQuery);
+      if (score < MIN_SCORE) {
+        continue;
+      }
+
+      candidates.push({
+        entity_id: entity.entity_id,
+        name: names.name,
+        domain: entityDomain,
+        area: names.area?.name ?? null,
+        area_id: names.area?.area_id ?? null,
+        device: names.device,
+        device_id: registryEntry?.device_id ?? null,
+        state: entity.state,
+        score: Math.round(score * 100) / 100,
+      });
+    }
+
+    return candidates
+      .sort((a, b) => b.score - a.score || a.name.localeCompare(b.name))
+      .slice(0, limit);
+  }
+
+  /**
+   * Entities of a domain that Home Assistant acts on for area and device targets.
+   * Like Home Assistant, this skips hidden, disabled and configuration entities.
+   */
+  async expandTarget(target: { area_id: string[]; device_id: string[] }, domain: string): Promise<TargetExpansion> {
+    const registries = await this.getRegistries();
+    const unknown = [
+      ...target.area_id.filter(areaId => !registries.areas.has(areaId)),
+      ...target.device_id.filter(deviceId => !registries.devices.has(deviceId)),
+    ];
+
+    const entityIds: string[] = [];
+    for (const entry of registries.entities.values()) {
+      if (!entry.entity_id.startsWith(`${domain}.`) || entry.disabled_by || entry.hidden_by || entry.entity_category) {
+        continue;
+      }
+
+      const device = entry.device_id ? registries.devices.get(entry.device_id) : undefined;
+      const areaId = entry.area_id ?? device?.area_id ?? null;
+      const inArea = areaId !== null && target.area_id.includes(areaId);
+      const onDevice = entry.device_id !== null && target.device_id.includes(entry.device_id);
+      if (inArea || onDevice) {
+        entityIds.push(entry.entity_id);
+      }
+    }
+
+    return { entityIds, unknown };
+  }
+
+  /**
+   * Forget cached registries, e.g. after entities were added or renamed
+   */
+  invalidate(): void {
+    this.registries = undefined;
+  }
+
+  private async getRegistries(): Promise<Registries> {
+    if (this.registries && Date.now() - this.registries.loadedAt < REGISTRY_TTL_MS) {
+      return this.registries;
+    }
+    if (!this.loading) {
+      this.loading = this.loadRegistries().finally(() => {
+        this.loading = undefined;
+      });
+    }
+    return this.loading;
+  }
+
+  private async loadRegistries(): Promise<Registries> {
+    const { haBridge } = this.options;
+    let entities: HAEntityRegistryEntry[];
+    let devices: HADeviceRegistryEntry[];
+    let areas: HAAreaRegistryEntry[];
+
+    try {
+      [entities, devices, areas] = await Promise.all([
+        haBridge.listEntityRegistry(),
+        haBridge.listDeviceRegistry(),
+        haBridge.listAreaRegistry(),
+      ]);
+    } catch (error) {
+      // Nothing is cached, so the next search tries again; registry access needs an admin token
+      const errorMessage = error instanceof Error ? error.message : String(error);
+      logger.warn('Failed to load entity registries', { error: errorMessage });
+      throw new Error(`Entity registries unavailable: ${errorMessage}`);
+    }
+
+    this.registries = {
+      entities: new Map(entities.map(entry => [entry.entity_id, entry])),
+      devices: new Map(devices.map(entry => [entry.id, entry])),
+      areas: new Map(areas.map(entry => [entry.area_id, entry])),
+      loadedAt: Date.now(),
+    };
+
+    logger.debug('Entity registries loaded', { entities: entities.length, devices: devices.length, areas: areas.length });
+    return this.registries;
+  }
+}
+
+function describeEntity(
+  entity: HAEntity,
+  registryEntry: HAEntityRegistryEntry | undefined,
+  registries: Registries
+): EntityNames {
+  const device = registryEntry?.device_id ? registries.devices.get(registryEntry.device_id) : undefined;
+  // An entity's own area overrides its device's
+  const areaId = registryEntry?.area_id ?? device?.area_id ?? null;
+  const area = areaId ? registries.areas.get(areaId) : undefined;
+  const deviceName = device?.name_by_user || device?.name || null;
+
+  const friendlyName = entity.attributes['friendly_name'];
+  const objectName = entity.entity_id.replace(/^[^.]+\./, '').replace(/_/g, ' ');
+  const name = typeof friendlyName === 'string' && friendlyName ? friendlyName : objectName;
+
+  const rawNames = [
+    name,
+    objectName,
+    registryEntry?.name,
+    registryEntry?.original_name,
+    ...(registryEntry?.aliases ?? []),
+    deviceName,
+  ];
+
+  return {
+    name,
+    names: rawNames.filter((value): value is string => !!value).map(tokens),
+    area,
+    areaNames: area ? [area.name, ...(area.aliases ?? [])].map(tokens) : [],
+    device: deviceName,
+  };
+}
+
+/**
+ * Best match of the name query against every name, alone or prefixed by the area
+ * ("kitchen lamp" for a lamp named "Lamp" in the Kitchen), times how well the area matches
+ */
+function scoreEntity(names: EntityNames, nameQuery: string[], areaQuery: string[]): number {
+  let score = 1;
+
+  if (nameQuery.length > 0) {
+    const withArea = names.areaNames.flatMap(areaName => names.names.map(name => [...areaName, ...name]));
+    score = Math.max(0, ...[...names.names, ...withArea].map(name => phraseSimilarity(nameQuery, name)));
+  }
+  if (areaQuery.length > 0) {
+    score *= Math.max(0, ...names.areaNames.map(areaName => phraseSimilarity(areaQuery, areaName)));
+  }
+
+  return score;
+}
+
+/**
+ * Share of query words found in the candidate, with a small penalty for candidate words the query left out
+ */
+function phraseSimilarity(query: string[], candidate: string[]): number {
+  if (candidate.length === 0) {
+    return 0;
+  }
+  if (query.join(' ') === candidate.join(' ')) {
+    return 1;
+  }
+  // Spoken names often run words together or split them
+  if (query.join('') === candidate.join('')) {
+    return 0.95;
+  }
+
+  let total = 0;
+  let matched = 0;
+  for (const word of query) {
+    const best = Math.max(...candidate.map(other => wordSimilarity(word, other)));
+    if (best >= MIN_WORD_SIMILARITY) {
+      total += best;
+      matched++;
+    }
+  }
+
+  const coverage = total / query.length;
+  const precision = Math.min(1, matched / candidate.length);
+  return coverage * (0.85 + 0.15 * precision) * 0.98;
+}
+
+function wordSimilarity(a: string, b: string): number {
+  if (a === b) {
+    return 1;
+  }
+  if (a.length >= 3 && b.startsWith(a)) {
+    return 0.9;
+  }
+  return 1 - editDistance(a, b) / Math.max(a.length, b.length);
+}
+
+function editDistance(a: string, b: string): number {
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const substitution = (previous[j - 1] as number) + (a[i - 1] === b[j - 1] ? 0 : 1);
+      current.push(Math.min(substitution, (previous[j] as number) + 1, (current[j - 1] as number) + 1));
+    }
+    previous = current;
+  }
+
+  return previous[b.length] as number;
+}
+
+/**
+ * Lowercase words without accents or punctuation
+ */
+function tokens(text: string): string[] {
+  return text
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean);
+}
@@ -6,8 +6,16 @@
 import { EventEmitter } from 'events';
 import WS from 'ws';
 import { logger } from './logging';
-import { HAServiceCallRequest, HAEntity } from './types';
-import { SecurityController } from './security';
+import {
+  HAServiceCallRequest,
+  HAEntity,
+  HAEntityRegistryEntry,
+  HADeviceRegistryEntry,
+  HAAreaRegistryEntry,
+  ConfirmationTicket,
+  HAServiceDescriptions,
+} from './types';
+import { SecurityController, ConfirmationRequiredError } from './security';
 
 interface HABridgeConfig {
   url: string;
@@ -118,13 +126,30 @@ export class HABridge extends EventEmitter {
     }
   }
 
-  async callService(serviceCall: HAServiceCallRequest, options: { timeout?: number } = {}): Promise<any> {
+  async callService(
+    serviceCall: HAServiceCallRequest,
+    options: { timeout?: number; confirmation?: ConfirmationTicket } = {}
+  ): Promise<any> {
+    let target: NonNullable<HAServiceCallRequest['target']> = {
+      ...serviceCall.target,
+      ...(serviceCall.entity_id && { entity_id: serviceCall.entity_id }),
+    };
+
     // Security validation
     if (this.config.securityController) {
-      const validation = await this.config.securityController.validateServiceCall(serviceCall);
+      const validation = await this.config.securityController.validateServiceCall(serviceCall, {
+        ...(options.confirmation && { confirmation: options.confirmation }),
+      });
       if (!validation.allowed) {
+        if (validation.requiresConfirmation) {
+          throw new ConfirmationRequiredError(validation.confirmationPrompt ?? 'Are you sure?');
+        }
         throw new Error(validation.reason);
       }
+
+      // Home Assistant would expand areas and devices against its live registries, which may
+      // have changed since the check; send exactly the entities that were checked instead
+      target = checkedTarget(validation.entityIds ?? []);
     }
 
     const id = this.messageId++;
@@ -133,9 +158,7 @@ export class HABridge extends EventEmitter {
       type: 'call_service',
       domain: serviceCall.domain,
       service: serviceCall.service,
-      ...(serviceCall.entity_id && {
-        target: { entity_id: serviceCall.entity_id }
-      }),
+      ...(Object.keys(target).length > 0 && { target }),
       ...(serviceCall.data && { service_data: serviceCall.data }),
     };
 
@@ -161,6 +184,22 @@ export class HABridge extends EventEmitter {
     return this.sendRequest(message);
   }
 
+  async getServices(): Promise<HAServiceDescriptions> {
+    return this.sendRequest({ id: this.messageId++, type: 'get_services' });
+  }
+
+  async listEntityRegistry(): Promise<HAEntityRegistryEntry[]> {
+    return this.sendRequest({ id: this.messageId++, type: 'config/entity_registry/list' });
+  }
+
+  async listDeviceRegistry(): Promise<HADeviceRegistryEntry[]> {
+    return this.sendRequest({ id: this.messageId++, type: 'config/device_registry/list' });
+  }
+
+  async listAreaRegistry(): Promise<HAAreaRegistryEntry[]> {
+    return this.sendRequest({ id: this.messageId++, type: 'config/area_registry/list' });
+  }
+
   async subscribeEvents(eventType?: string): Promise<number> {
     const id = this.messageId++;
     const message = {
@@ -218,3 +257,11 @@ export class HABridge extends EventEmitter {
     return this.reconnecting;
   }
 }
+
+function checkedTarget(entityIds: string[]): NonNullable<HAServiceCallRequest['target']> {
+  if (entityIds.length === 0) {
+    return {};
+  }
+  // "all" is a keyword Home Assistant only accepts on its own
+  return { entity_id: entityIds.includes('all') ? 'all' : entityIds };
+}
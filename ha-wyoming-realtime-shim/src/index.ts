@@ -5,20 +5,79 @@
 
 import * as http from 'http';
 import * as net from 'net';
+import { Readable } from 'stream';
+import { v4 as uuidv4 } from 'uuid';
 import { configManager, Configuration } from './config';
 import { logger, setCorrelationId } from './logging';
 import { createWyomingServer } from './wyoming';
-import { OpenAIRealtimeClient } from './realtime';
+import { ServiceInfoOptions, buildServiceInfo, getPackageVersion } from './service-info';
+import { ZeroconfResponder } from './zeroconf';
+import { SessionManager } from './session-manager';
+import {
+  OpenAIRealtimeClient,
+  ReconnectOptions,
+  RealtimeAuthMode,
+  SessionSettings,
+  TurnMode,
+  TurnDetectionOptions,
+  TextTurnOptions,
+  TurnOutcome,
+} from './realtime';
 import { HABridge } from './ha-bridge';
 import { AudioDeviceManager } from './audio';
-import { SecurityController } from './security';
+import { SecurityController, ConfirmationRequiredError } from './security';
 import { createControlAPI } from './control-api';
-import { VoiceResponseGenerator } from './prompt';
+import { VoiceResponseGenerator, generateSystemInstructions, generateFunctionTools } from './prompt';
+import { ToolHandlers } from './tool-handlers';
+import { EntityResolver } from './entity-resolver';
+import { UsageLedger, BudgetExceededError } from './usage';
+import { AssistantPlayback } from './playback';
+import { RealtimeSimulator } from './simulator';
+import { PcmFormat, bytesToMs, realtimePcmFormat } from './audio-format';
+import {
+  HAEntity,
+  HAServiceCallRequest,
+  BudgetLimits,
+  SemanticVadEagerness,
+  RealtimeAudioFormat,
+  ConfirmationTicket,
+  BudgetStatus,
+} from './types';
+
+// Entity additions and renames often come in bursts, e.g. when an integration loads
+const ENTITY_REFRESH_DELAY_MS = 2000;
+// A release that never arrives must not stream the microphone to the paid API for ever
+const DEFAULT_PTT_TIMEOUT_MS = 60000;
+// Servers and clients are built from these, so a reload only applies them after a restart
+const RESTART_REQUIRED_SETTINGS: (keyof Configuration)[] = [
+  'openaiApiKey',
+  'realtimeApiUrl',
+  'realtimeAuthMode',
+  'azureDeployment',
+  'azureApiVersion',
+  'model',
+  'transcriptionModel',
+  'realtimeBackend',
+  'simulatorScenario',
+  'simulatorPort',
+  'haUrl',
+  'haToken',
+  'audioFormat',
+  'httpPort',
+  'wyomingPort',
+  'enableZeroconf',
+  'maxConcurrentSessions',
+  'sessionSilenceTimeoutMs',
+  'sessionMaxDurationMs',
+  'usageLedgerPath',
+];
 
 interface ApplicationConfig {
   port?: number;
   wyomingPort?: number;
   openaiApiKey?: string;
+  realtimeBackend?: 'openai' | 'simulator';
+  simulatorScenario?: string;
   haToken?: string;
   haUrl?: string;
 }
@@ -28,28 +87,70 @@ export class VoiceServiceApplication {
   private wyomingServer: net.Server;
   private httpServer: http.Server;
   private openaiClient: OpenAIRealtimeClient;
+  private sessionManager: SessionManager;
   private haBridge: HABridge;
   private audioManager: AudioDeviceManager;
+  private playback: AssistantPlayback;
+  private realtimeFormat: PcmFormat;
   private securityController: SecurityController;
   private voiceResponseGenerator: VoiceResponseGenerator;
+  private toolHandlers: ToolHandlers;
+  private entityResolver: EntityResolver;
+  private serviceInfo: ServiceInfoOptions;
+  private usageLedger: UsageLedger;
+  private zeroconf: ZeroconfResponder | undefined;
+  private simulator?: RealtimeSimulator;
+  private entityContext: HAEntity[] = [];
+  private entityContextKey = '';
+  private entityRefreshTimer: NodeJS.Timeout | undefined;
+  private microphone: Readable | undefined;
+  private vadEnabled = false;
+  private pttActive = false;
+  private pttTimer: NodeJS.Timeout | undefined;
+  // Deltas of a cancelled response still in flight must not restart the speaker
+  private interruptedResponseId: string | undefined;
+  private textQueue: Promise<unknown> = Promise.resolve();
   private isRunning = false;
+  private shutdownStarted = false;
 
   constructor(config: Configuration) {
+    // Every realtime client talks to the local simulator instead of the API
+    if (config.realtimeBackend === 'simulator') {
+      this.simulator = new RealtimeSimulator({
+        port: config.simulatorPort,
+        ...(config.simulatorScenario && { scenarioPath: config.simulatorScenario }),
+      });
+    }
+
     this.config = config;
     this.securityController = new SecurityController({
       allowedDomains: config.allowedDomains,
       entityWhitelist: config.entityWhitelist,
+      allowedRoutines: config.allowedRoutines,
       confirmHighRiskActions: config.confirmHighRiskActions,
+      confirmTargetThreshold: config.confirmTargetThreshold,
+    });
+
+    // Spend is recorded from every realtime client, so the ledger comes first
+    this.usageLedger = new UsageLedger({
+      path: config.usageLedgerPath,
+      limits: budgetLimits(config),
     });
 
     this.voiceResponseGenerator = new VoiceResponseGenerator(config);
     this.audioManager = new AudioDeviceManager();
+    // Every realtime client uses the same wire format, so they all exchange this PCM layout
+    this.realtimeFormat = realtimePcmFormat(config.audioFormat as RealtimeAudioFormat);
+    this.playback = new AssistantPlayback(this.audioManager, this.realtimeFormat);
     
-    // Initialize OpenAI client
-    this.openaiClient = new OpenAIRealtimeClient({
-      apiKey: config.openaiApiKey,
-      model: config.model,
-      voice: 'alloy',
+    // Initialize OpenAI client; the shared link keeps retrying for as long as the add-on runs
+    this.openaiClient = this.createRealtimeClient({ maxAttempts: Infinity }, 'ptt');
+
+    // Wyoming connections each get their own realtime session; Home Assistant asks for every response
+    this.sessionManager = new SessionManager({
+      maxSessions: config.maxConcurrentSessions,
+      createClient: () => this.createRealtimeClient({ maxAttempts: 5 }, 'transcribe'),
+      ledger: this.usageLedger,
     });
 
     // Initialize HA bridge
@@ -59,29 +160,249 @@ export class VoiceServiceApplication {
       securityController: this.securityController,
     });
 
+    this.toolHandlers = new ToolHandlers({
+      haBridge: this.haBridge,
+      securityController: this.securityController,
+      responses: this.voiceResponseGenerator,
+    });
+
+    this.entityResolver = new EntityResolver({
+      haBridge: this.haBridge,
+      securityController: this.securityController,
+    });
+    this.securityController.setTargetExpander((target, domain) => this.entityResolver.expandTarget(target, domain));
+    this.securityController.setScriptFieldLookup((entityId) => this.toolHandlers.getScriptFields(entityId));
+
+    // Describe and /info are built from the running configuration
+    this.serviceInfo = serviceInfoOptions(config);
+
     // Initialize servers
-    this.wyomingServer = createWyomingServer();
-    const controlAPI = createControlAPI();
+    this.wyomingServer = createWyomingServer({
+      sessionManager: this.sessionManager,
+      audioManager: this.audioManager,
+      info: this.serviceInfo,
+      realtimeFormat: this.realtimeFormat,
+    });
+    const controlAPI = createControlAPI({
+      serviceInfo: this.serviceInfo,
+      getRealtimeState: () => this.openaiClient.getConnectionState(),
+      usage: this.usageLedger,
+      security: this.securityController,
+      voice: {
+        startPtt: (timeoutMs) => this.startPtt(timeoutMs),
+        stopPtt: () => this.stopPtt(),
+        isPttActive: () => this.pttActive,
+        isVadEnabled: () => this.vadEnabled,
+        setVad: (enabled) => this.setVad(enabled),
+        textCommand: (text, options) => this.runTextCommand(text, options),
+      },
+    });
     this.httpServer = http.createServer(controlAPI);
 
     this.setupEventHandlers();
   }
 
+  /**
+   * Create a realtime client wired to the Home Assistant tool handlers
+   */
+  private createRealtimeClient(reconnect: Partial<ReconnectOptions>, turnMode: TurnMode): OpenAIRealtimeClient {
+    const simulated = this.simulator !== undefined;
+    const client = new OpenAIRealtimeClient({
+      apiKey: this.config.openaiApiKey,
+      url: simulated ? `ws://127.0.0.1:${this.config.simulatorPort}/v1/realtime` : this.config.realtimeApiUrl,
+      authMode: (simulated ? 'none' : this.config.realtimeAuthMode) as RealtimeAuthMode,
+      azureDeployment: this.config.azureDeployment,
+      azureApiVersion: this.config.azureApiVersion,
+      model: this.config.model,
+      transcriptionModel: this.config.transcriptionModel,
+      audioFormat: this.config.audioFormat as RealtimeAudioFormat,
+      session: this.buildSessionSettings(),
+      turnMode,
+      reconnect,
+    });
+
+    // Confirmation tickets are tied to the conversation that raised them
+    const scope = uuidv4();
+    client.on('function_call', async (functionCall) => {
+      await this.handleFunctionCall(client, functionCall, scope);
+    });
+    client.on('conversation_item_created', ({ item }) => {
+      if (item?.role === 'user') {
+        this.securityController.noteUserTurn(scope);
+      }
+    });
+    client.on('connection_state', (event) => {
+      if (event.state === 'disconnected') {
+        this.securityController.endScope(scope);
+      }
+    });
+
+    client.on('error', (error) => {
+      // Server VAD may already have cancelled the response a barge-in cancels
+      if (error.code === 'response_cancel_not_active') {
+        logger.debug('No active response to cancel');
+        return;
+      }
+      logger.error('OpenAI client error', { error: error.message });
+    });
+
+    // Out-of-band announcements cost tokens too, so every response is counted
+    client.on('response_done', (event) => {
+      if (event.usage) {
+        this.usageLedger.recordResponse(event.usage);
+      }
+    });
+    client.on('rate_limit', (limits) => {
+      this.usageLedger.setRateLimits(limits);
+    });
+    client.on('audio_sent', (event) => {
+      this.usageLedger.recordAudio('input', bytesToMs(event.bytes, this.realtimeFormat) / 1000);
+    });
+    client.on('audio_output', (event) => {
+      this.usageLedger.recordAudio('output', bytesToMs(event.audio.length, this.realtimeFormat) / 1000);
+    });
+
+    return client;
+  }
+
+  /**
+   * Session settings for the current configuration and entity context
+   */
+  private buildSessionSettings(): SessionSettings {
+    return {
+      instructions: generateSystemInstructions(this.config, this.entityContext),
+      tools: generateFunctionTools(this.config),
+      voice: this.config.voice,
+      turnDetection: turnDetectionOptions(this.config),
+    };
+  }
+
+  /**
+   * Re-push session.update to the shared client and every open session
+   */
+  private pushSessionSettings(): void {
+    const settings = this.buildSessionSettings();
+    const clients = [this.openaiClient, ...this.sessionManager.getClients()];
+
+    for (const client of clients) {
+      client.updateSession(settings);
+    }
+
+    logger.info('Realtime session settings updated', {
+      clients: clients.length,
+      entities: this.entityContext.length,
+      tools: settings.tools.map(tool => tool.name),
+    });
+  }
+
+  /**
+   * Reload controllable entities from Home Assistant and push them if they changed
+   */
+  private async refreshEntityContext(force = false): Promise<void> {
+    if (this.haBridge.isConnected()) {
+      try {
+        const states = await this.haBridge.getStates();
+        this.entityContext = states.filter(entity => this.securityController.isEntityAllowed(entity.entity_id));
+      } catch (error) {
+        const errorMessage = error instanceof Error ? error.message : String(error);
+        logger.warn('Failed to load entity context', { error: errorMessage });
+      }
+    }
+
+    // Only IDs and names go into the prompt, so plain state changes do not count
+    const key = this.entityContext
+      .map(entity => `${entity.entity_id}=${String(entity.attributes?.friendly_name ?? '')}`)
+      .sort()
+      .join('\n');
+
+    if (force || key !== this.entityContextKey) {
+      this.entityContextKey = key;
+      this.entityResolver.invalidate();
+      this.pushSessionSettings();
+    }
+  }
+
+  private scheduleEntityRefresh(): void {
+    if (this.entityRefreshTimer) {
+      return;
+    }
+    this.entityRefreshTimer = setTimeout(() => {
+      this.entityRefreshTimer = undefined;
+      this.refreshEntityContext().catch(() => undefined);
+    }, ENTITY_REFRESH_DELAY_MS);
+  }
+
+  /**
+   * Apply a reloaded configuration; settings that need a restart keep their running values
+   */
+  private handleConfigChanged = (config: Configuration): void => {
+    const changed = (Object.keys(config) as (keyof Configuration)[])
+      .filter(key => JSON.stringify(config[key]) !== JSON.stringify(this.config[key]));
+    const restartRequired = changed.filter(key => RESTART_REQUIRED_SETTINGS.includes(key));
+    const live = changed.filter(key => !RESTART_REQUIRED_SETTINGS.includes(key));
+
+    if (restartRequired.length > 0) {
+      logger.warn('Restart the add-on to apply changed settings', { settings: restartRequired });
+    }
+    if (live.length === 0) {
+      return;
+    }
+
+    const changes: Partial<Configuration> = Object.fromEntries(live.map(key => [key, config[key]]));
+    this.applyConfiguration(changes).catch((error) => {
+      logger.error('Failed to apply configuration', { error: error.message });
+    });
+  };
+
+  /**
+   * Apply configuration changes at runtime and push them to every realtime session
+   */
+  async applyConfiguration(changes: Partial<Configuration>): Promise<void> {
+    this.config = { ...this.config, ...changes };
+    this.voiceResponseGenerator.updateConfig(this.config);
+    this.securityController.updateConfig({
+      allowedDomains: this.config.allowedDomains,
+      entityWhitelist: this.config.entityWhitelist,
+      allowedRoutines: this.config.allowedRoutines,
+      confirmHighRiskActions: this.config.confirmHighRiskActions,
+      confirmTargetThreshold: this.config.confirmTargetThreshold,
+    });
+    this.usageLedger.updateLimits(budgetLimits(this.config));
+
+    // Updated in place: the Wyoming server and control API hold this object for describe and /info
+    Object.assign(this.serviceInfo, serviceInfoOptions(this.config));
+
+    // Re-announce so Home Assistant sees the current name and info
+    this.zeroconf?.update({
+      name: this.config.wyomingServiceName,
+      txt: this.buildZeroconfTxt(),
+    });
+
+    // Carries the voice and turn detection along with instructions and tools
+    await this.refreshEntityContext(true);
+    logger.info('Configuration applied', { settings: Object.keys(changes) });
+  }
+
   private setupEventHandlers(): void {
     // OpenAI event handlers
-    this.openaiClient.on('function_call', async (functionCall) => {
-      await this.handleFunctionCall(functionCall);
+    this.openaiClient.on('connection_state', (event) => {
+      logger.info('OpenAI Realtime connection state changed', event);
     });
 
     this.openaiClient.on('audio_output', (audioData) => {
+      if (audioData.response_id === this.interruptedResponseId) {
+        return;
+      }
+
       // Stream audio to output device
       logger.debug('Received audio output from OpenAI', {
         audio_length: audioData.audio.length,
       });
+      this.playback.write(audioData);
     });
 
-    this.openaiClient.on('error', (error) => {
-      logger.error('OpenAI client error', { error: error.message });
+    this.openaiClient.on('speech_started', () => {
+      this.handleBargeIn();
     });
 
     // HA bridge event handlers
@@ -93,10 +414,23 @@ export class VoiceServiceApplication {
       logger.warn('Home Assistant disconnected', reason);
     });
 
+    this.haBridge.on('state_changed', (event: { old_state?: HAEntity | null; new_state?: HAEntity | null }) => {
+      const oldName = event.old_state?.attributes?.friendly_name;
+      const newName = event.new_state?.attributes?.friendly_name;
+      if (!event.old_state || !event.new_state || oldName !== newName) {
+        this.scheduleEntityRefresh();
+      }
+    });
+
     this.haBridge.on('hue_event', (event) => {
       this.handleHueRemoteEvent(event);
     });
 
+    // Sessions are refused when they open; the shared microphone already streaming is stopped here
+    this.usageLedger.on('budget_exceeded', (status) => {
+      this.handleBudgetExceeded(status);
+    });
+
     // Audio device event handlers
     this.audioManager.on('device_connected', (device) => {
       logger.info('Audio device connected', { device: device.name });
@@ -111,7 +445,186 @@ export class VoiceServiceApplication {
     process.on('SIGINT', () => this.shutdown());
   }
 
-  private async handleFunctionCall(functionCall: any): Promise<void> {
+  /**
+   * The user started talking over the assistant: silence the speaker, stop
+   * the response and trim the assistant item to what was actually heard
+   */
+  private handleBargeIn(): void {
+    const responding = this.openaiClient.isResponding();
+    const position = this.playback.stop();
+    const unheard = position !== null && position.playedMs < position.receivedMs;
+
+    if (!responding && !unheard) {
+      return;
+    }
+
+    const interrupted = this.openaiClient.getActiveResponseId() ?? position?.responseId;
+    if (interrupted) {
+      this.interruptedResponseId = interrupted;
+    }
+
+    if (responding) {
+      this.openaiClient.cancelResponse().catch(() => undefined);
+    }
+    if (position) {
+      this.openaiClient.truncateItem(position.itemId, position.contentIndex, position.playedMs).catch(() => undefined);
+    }
+
+    logger.info('Assistant interrupted by user speech', {
+      response_id: interrupted,
+      item_id: position?.itemId,
+      played_ms: position?.playedMs,
+      received_ms: position?.receivedMs,
+      response_cancelled: responding,
+    });
+  }
+
+  /**
+   * Push-to-talk: stream the microphone with turn detection off until release
+   */
+  private async startPtt(timeoutMs = DEFAULT_PTT_TIMEOUT_MS): Promise<void> {
+    // Pressing the button talks over the assistant just like speaking does
+    this.handleBargeIn();
+    this.pttActive = true;
+    this.openaiClient.setTurnMode('ptt');
+
+    try {
+      await this.openaiClient.clearAudio();
+      await this.startMicrophone();
+    } catch (error) {
+      // Hands-free listening must not stay off because the button failed
+      this.pttActive = false;
+      if (this.vadEnabled) {
+        this.openaiClient.setTurnMode('vad');
+      }
+      throw error;
+    }
+
+    // A repeated press restarts the timeout instead of leaving the old one running
+    clearTimeout(this.pttTimer);
+    this.pttTimer = setTimeout(() => {
+      this.pttTimer = undefined;
+      logger.warn('PTT not released in time, stopping', { timeout_ms: timeoutMs });
+      this.stopPtt().catch((error) => {
+        const errorMessage = error instanceof Error ? error.message : String(error);
+        logger.error('Failed to commit PTT audio', { error: errorMessage });
+      });
+    }, timeoutMs);
+  }
+
+  /**
+   * Release: commit exactly what was said and ask for the answer
+   */
+  private async stopPtt(): Promise<void> {
+    if (this.pttTimer) {
+      clearTimeout(this.pttTimer);
+      this.pttTimer = undefined;
+    }
+    if (!this.pttActive) {
+      return;
+    }
+    this.pttActive = false;
+
+    if (!this.vadEnabled) {
+      this.stopMicrophone();
+    }
+    await this.openaiClient.commitAudio();
+    await this.openaiClient.createResponse();
+
+    if (this.vadEnabled) {
+      this.openaiClient.setTurnMode('vad');
+    }
+  }
+
+  /**
+   * Hands-free: the configured detector ends turns and starts responses
+   */
+  private async setVad(enabled: boolean): Promise<void> {
+    this.vadEnabled = enabled;
+    // A held PTT button keeps manual turns; the mode follows on release
+    if (this.pttActive) {
+      return;
+    }
+
+    if (enabled) {
+      this.openaiClient.setTurnMode('vad');
+      try {
+        await this.startMicrophone();
+      } catch (error) {
+        this.vadEnabled = false;
+        this.openaiClient.setTurnMode('ptt');
+        throw error;
+      }
+    } else {
+      this.stopMicrophone();
+      this.openaiClient.setTurnMode('ptt');
+    }
+  }
+
+  /**
+   * Typed turns share the voice conversation; the server runs one response at
+   * a time, so they queue behind each other
+   */
+  private runTextCommand(text: string, options: TextTurnOptions): Promise<TurnOutcome> {
+    const turn = this.textQueue.then(() => this.openaiClient.runTextTurn(text, options));
+    this.textQueue = turn.catch(() => undefined);
+    return turn;
+  }
+
+  private async startMicrophone(): Promise<void> {
+    if (this.microphone) {
+      return;
+    }
+
+    const exceeded = this.usageLedger.checkBudget();
+    if (exceeded) {
+      throw new BudgetExceededError(exceeded);
+    }
+
+    const stream = await this.audioManager.createCaptureStream({
+      sampleRate: this.realtimeFormat.rate,
+      bitDepth: this.realtimeFormat.width * 8,
+      channels: this.realtimeFormat.channels,
+    });
+    this.microphone = stream;
+
+    stream.on('data', (chunk: Buffer) => {
+      this.openaiClient.sendAudio(chunk).catch(() => undefined);
+    });
+    stream.on('error', (error) => {
+      logger.error('Microphone capture error', { error: error.message });
+      this.stopMicrophone();
+    });
+  }
+
+  /**
+   * A used-up daily or monthly cap ends push-to-talk and hands-free listening; buffered audio is dropped
+   */
+  private handleBudgetExceeded(status: BudgetStatus): void {
+    if (!this.microphone && !this.pttActive && !this.vadEnabled) {
+      return;
+    }
+
+    logger.warn('Usage budget exhausted, stopping the microphone', { limit: status.limit });
+    clearTimeout(this.pttTimer);
+    this.pttTimer = undefined;
+    this.pttActive = false;
+    this.vadEnabled = false;
+    this.stopMicrophone();
+    this.openaiClient.setTurnMode('ptt');
+    this.openaiClient.clearAudio().catch(() => undefined);
+  }
+
+  private stopMicrophone(): void {
+    if (!this.microphone) {
+      return;
+    }
+    this.microphone.removeAllListeners('data');
+    this.microphone.destroy();
+    this.microphone = undefined;
+  }
+
+  private async handleFunctionCall(client: OpenAIRealtimeClient, functionCall: any, scope: string): Promise<void> {
     const { call_id, name, arguments: args } = functionCall;
     
     logger.info('Handling function call', {
@@ -121,36 +634,31 @@ export class VoiceServiceApplication {
     });
 
     try {
-      let result: any;
-
-      switch (name) {
-        case 'call_service':
-          result = await this.haBridge.callService(args);
-          const successResponse = this.voiceResponseGenerator.generateSuccessResponse(
-            args.domain,
-            args.service,
-            args.entity_id
-          );
-          logger.info('Service call completed', { call_id, result, response: successResponse });
-          break;
-
-        case 'get_state':
-          result = await this.haBridge.getState(args.entity_id);
-          // const stateResponse = this.voiceResponseGenerator.generateStateResponse(result);
-          logger.info('State query completed', { call_id, entity_id: args.entity_id, state: result.state });
-          break;
-
-        default:
-          throw new Error(`Unknown function: ${name}`);
-      }
+      const result = await this.runTool(call_id, name, args, scope);
 
       // Send successful result back to OpenAI
-      await this.openaiClient.sendFunctionResult(call_id, {
+      await client.sendFunctionResult(call_id, {
         success: true,
         result,
       });
 
     } catch (error) {
+      if (error instanceof ConfirmationRequiredError) {
+        // Held server-side; only confirm_action after the user's next turn runs it
+        const ticket = this.securityController.createTicket({ tool: name, arguments: args ?? {}, prompt: error.prompt, scope });
+        logger.info('Function call held for confirmation', { call_id, function: name, ticket_id: ticket.id });
+
+        await client.sendFunctionResult(call_id, {
+          success: false,
+          requires_confirmation: true,
+          ticket_id: ticket.id,
+          confirmation_prompt: ticket.prompt,
+          expires_in_seconds: Math.round((ticket.expiresAt.getTime() - ticket.createdAt.getTime()) / 1000),
+          user_message: ticket.prompt,
+        });
+        return;
+      }
+
       const errorMessage = error instanceof Error ? error.message : String(error);
       logger.error('Function call failed', {
         call_id,
@@ -165,7 +673,7 @@ export class VoiceServiceApplication {
       );
 
       // Send error result back to OpenAI
-      await this.openaiClient.sendFunctionResult(call_id, {
+      await client.sendFunctionResult(call_id, {
         success: false,
         error: errorMessage,
         user_message: errorResponse,
@@ -173,6 +681,91 @@ export class VoiceServiceApplication {
     }
   }
 
+  /**
+   * Run one tool; a confirmed ticket lets its high-risk service calls through
+   */
+  private async runTool(call_id: string, name: string, args: any, scope: string, confirmation?: ConfirmationTicket): Promise<any> {
+    let result: any;
+
+    switch (name) {
+      case 'call_service':
+        result = await this.haBridge.callService(toServiceCallRequest(args), { ...(confirmation && { confirmation }) });
+        const successResponse = this.voiceResponseGenerator.generateSuccessResponse(
+          args.domain,
+          args.service,
+          args.entity_id || args.area_id
+        );
+        logger.info('Service call completed', { call_id, result, response: successResponse });
+        break;
+
+      case 'get_state':
+        result = await this.haBridge.getState(args.entity_id);
+        // const stateResponse = this.voiceResponseGenerator.generateStateResponse(result);
+        logger.info('State query completed', { call_id, entity_id: args.entity_id, state: result.state });
+        break;
+
+      case 'find_entities': {
+        const candidates = await this.entityResolver.find(args ?? {});
+        result = {
+          candidates,
+          ...(candidates.length === 0 && { message: 'No matching devices found that I am allowed to control' }),
+        };
+        logger.info('Entity search completed', { call_id, query: args, matches: candidates.length });
+        break;
+      }
+
+      case 'set_climate':
+        result = await this.toolHandlers.setClimate(args, confirmation);
+        logger.info('Climate update completed', { call_id, entity_id: result.entity_id, services: result.services });
+        break;
+
+      case 'control_media':
+        result = await this.toolHandlers.controlMedia(args, confirmation);
+        logger.info('Media control completed', { call_id, entity_id: result.entity_id, services: result.services });
+        break;
+
+      case 'list_routines': {
+        const routines = await this.toolHandlers.listRoutines(args?.kind);
+        result = {
+          routines,
+          ...(routines.length === 0 && { message: 'No scenes, scripts or automations are available to run' }),
+        };
+        logger.info('Routine list completed', { call_id, count: routines.length });
+        break;
+      }
+
+      case 'run_routine':
+        result = await this.toolHandlers.runRoutine(args, confirmation);
+        logger.info('Routine completed', { call_id, entity_id: result.entity_id, services: result.services });
+        break;
+
+      case 'confirm_action': {
+        if (confirmation) {
+          throw new Error('confirm_action cannot confirm itself');
+        }
+        const ticket = this.securityController.confirmTicket(args?.ticket_id, scope);
+        try {
+          result = await this.runTool(call_id, ticket.tool, ticket.arguments, scope, ticket);
+        } catch (error) {
+          // The replay asked for something other than what the user agreed to
+          if (error instanceof ConfirmationRequiredError) {
+            throw new Error('The confirmed action changed; ask for it again');
+          }
+          throw error;
+        } finally {
+          this.securityController.closeTicket(ticket);
+        }
+        logger.info('Confirmed action completed', { call_id, ticket_id: ticket.id, function: ticket.tool });
+        break;
+      }
+
+      default:
+        throw new Error(`Unknown function: ${name}`);
+    }
+
+    return result;
+  }
+
   private handleHueRemoteEvent(event: any): void {
     const { type, subtype } = event;
 
@@ -204,19 +797,27 @@ export class VoiceServiceApplication {
     }
 
     logger.info('Starting HA Wyoming Realtime Shim application');
+    configManager.on('changed', this.handleConfigChanged);
 
     try {
+      // Earlier spend counts against today's and this month's caps
+      await this.usageLedger.load();
+
       // Start Wyoming server
       await new Promise<void>((resolve, reject) => {
-        this.wyomingServer.listen(10600, '0.0.0.0', (err?: Error) => {
-          if (err) reject(err);
-          else {
-            logger.info('Wyoming server listening on port 10600');
-            resolve();
-          }
+        this.wyomingServer.once('error', reject);
+        this.wyomingServer.listen(this.config.wyomingPort, '0.0.0.0', () => {
+          this.wyomingServer.off('error', reject);
+          logger.info('Wyoming server listening', { port: this.config.wyomingPort });
+          resolve();
         });
       });
 
+      // Advertise Wyoming service for HA auto-discovery
+      if (this.config.enableZeroconf) {
+        await this.startZeroconf();
+      }
+
       // Start HTTP server
       await new Promise<void>((resolve, reject) => {
         this.httpServer.listen(this.config.httpPort, '127.0.0.1', (err?: Error) => {
@@ -228,6 +829,10 @@ export class VoiceServiceApplication {
         });
       });
 
+      if (this.simulator) {
+        await this.simulator.start();
+      }
+
       // Connect to OpenAI
       await this.openaiClient.connect();
       logger.info('OpenAI Realtime client connected');
@@ -236,6 +841,18 @@ export class VoiceServiceApplication {
       await this.haBridge.connect();
       logger.info('Home Assistant bridge connected');
 
+      if (this.config.vadEnabledDefault) {
+        await this.setVad(true).catch((error) => {
+          logger.warn('Failed to start hands-free listening', { error: error.message });
+        });
+      }
+
+      // Tell the model which entities it may control and keep that list current
+      await this.refreshEntityContext();
+      await this.haBridge.subscribeEvents('state_changed').catch((error) => {
+        logger.warn('Failed to subscribe to entity changes', { error: error.message });
+      });
+
       this.isRunning = true;
       logger.info('Application started successfully');
 
@@ -247,17 +864,50 @@ export class VoiceServiceApplication {
     }
   }
 
+  private async startZeroconf(): Promise<void> {
+    const zeroconf = new ZeroconfResponder({
+      name: this.config.wyomingServiceName,
+      port: this.config.wyomingPort,
+      txt: this.buildZeroconfTxt(),
+    });
+
+    try {
+      await zeroconf.start();
+      this.zeroconf = zeroconf;
+    } catch (error) {
+      // Discovery is a convenience; the service still works when added by hand
+      const errorMessage = error instanceof Error ? error.message : String(error);
+      logger.warn('Zeroconf advertisement unavailable', { error: errorMessage });
+    }
+  }
+
+  /**
+   * TXT data mirroring the Wyoming `info` reply
+   */
+  private buildZeroconfTxt(): Record<string, string> {
+    const info = buildServiceInfo(this.serviceInfo);
+    return {
+      version: getPackageVersion(),
+      programs: Object.keys(info.data).join(','),
+      model: this.serviceInfo.model,
+      voice: this.serviceInfo.voice,
+    };
+  }
+
   async stop(): Promise<void> {
     await this.shutdown();
   }
 
   private async shutdown(): Promise<void> {
-    if (!this.isRunning) {
+    // Also runs after a failed start, to release whatever had started by then
+    if (this.shutdownStarted) {
       return;
     }
 
     logger.info('Shutting down application');
+    this.shutdownStarted = true;
     this.isRunning = false;
+    configManager.off('changed', this.handleConfigChanged);
 
     try {
       // Close servers
@@ -270,10 +920,30 @@ export class VoiceServiceApplication {
         }),
       ]);
 
+      // Withdraw zeroconf advertisement
+      if (this.zeroconf) {
+        await this.zeroconf.stop();
+        this.zeroconf = undefined;
+      }
+
+      if (this.entityRefreshTimer) {
+        clearTimeout(this.entityRefreshTimer);
+        this.entityRefreshTimer = undefined;
+      }
+      if (this.pttTimer) {
+        clearTimeout(this.pttTimer);
+        this.pttTimer = undefined;
+      }
+
       // Disconnect clients
+      this.sessionManager.closeAll();
       this.openaiClient.disconnect();
+      await this.simulator?.stop();
       this.haBridge.disconnect();
+      this.stopMicrophone();
+      this.playback.stop();
       this.audioManager.cleanup();
+      await this.usageLedger.flush();
 
       logger.info('Application shutdown complete');
     } catch (error) {
@@ -288,6 +958,66 @@ export class VoiceServiceApplication {
   }
 }
 
+/**
+ * call_service arguments as a service call; area and device IDs become the target,
+ * along with any targets the model put in the service data
+ */
+function toServiceCallRequest(args: any): HAServiceCallRequest {
+  const { entity_id: dataEntityId, area_id: dataAreaId, device_id: dataDeviceId, ...data } = args.data ?? {};
+  const entityId = mergeIds(args.entity_id, dataEntityId);
+  const areaId = mergeIds(args.area_id, dataAreaId);
+  const deviceId = mergeIds(args.device_id, dataDeviceId);
+
+  return {
+    domain: args.domain,
+    service: args.service,
+    ...(entityId && { entity_id: entityId }),
+    ...(Object.keys(data).length > 0 && { data }),
+    ...((areaId || deviceId) && {
+      target: {
+        ...(areaId && { area_id: areaId }),
+        ...(deviceId && { device_id: deviceId }),
+      },
+    }),
+  };
+}
+
+function mergeIds(...values: unknown[]): string | string[] | undefined {
+  const ids = values.flatMap(value => (Array.isArray(value) ? value : value ? [value] : [])).map(String);
+  return ids.length > 1 ? ids : ids[0];
+}
+
+function turnDetectionOptions(config: Configuration): TurnDetectionOptions {
+  return {
+    type: config.turnDetection === 'semantic_vad' ? 'semantic_vad' : 'server_vad',
+    threshold: config.vadThreshold,
+    prefixPaddingMs: config.vadPrefixPaddingMs,
+    silenceDurationMs: config.vadSilenceDurationMs,
+    eagerness: config.semanticVadEagerness as SemanticVadEagerness,
+  };
+}
+
+function serviceInfoOptions(config: Configuration): ServiceInfoOptions {
+  return {
+    serviceName: config.wyomingServiceName,
+    languages: config.languages,
+    model: config.model,
+    transcriptionModel: config.transcriptionModel,
+    voice: config.voice,
+    satellite: true,
+  };
+}
+
+function budgetLimits(config: Configuration): BudgetLimits {
+  return {
+    dailyTokens: config.dailyTokenLimit,
+    monthlyTokens: config.monthlyTokenLimit,
+    sessionTokens: config.sessionTokenLimit,
+    dailyAudioMinutes: config.dailyAudioMinutesLimit,
+    warningPercent: config.budgetWarningPercent,
+  };
+}
+
 /**
  * Start application with configuration
  */
@@ -304,23 +1034,59 @@ export async function startApplication(customConfig?: ApplicationConfig): Promis
       config = {
         openaiApiKey: customConfig.openaiApiKey || 'sk-test-key',
         realtimeApiUrl: 'wss://api.openai.com/v1/realtime',
+        realtimeAuthMode: 'bearer',
+        azureDeployment: '',
+        azureApiVersion: '2024-10-01-preview',
         model: 'gpt-realtime',
+        voice: 'alloy',
+        transcriptionModel: 'gpt-4o-mini-transcribe',
+        realtimeBackend: customConfig.realtimeBackend || 'openai',
+        simulatorScenario: customConfig.simulatorScenario || '',
+        simulatorPort: 10700,
         haUrl: customConfig.haUrl || 'ws://localhost:8123/api/websocket',
         haToken: customConfig.haToken || 'test-token',
         allowedDomains: ['light', 'switch', 'climate'],
         entityWhitelist: [],
+        allowedRoutines: [],
         confirmHighRiskActions: true,
+        confirmTargetThreshold: 5,
         audioFormat: 'pcm16',
         enableTtsMirror: false,
         ttsService: 'tts.piper',
         ttsMediaPlayer: '',
         httpPort: customConfig.port || 5000,
+        wyomingPort: customConfig.wyomingPort || 10600,
+        wyomingServiceName: 'openai-realtime',
+        languages: ['en'],
+        enableZeroconf: false,
+        maxConcurrentSessions: 3,
         vadEnabledDefault: false,
+        turnDetection: 'server_vad',
+        vadThreshold: 0.5,
+        vadPrefixPaddingMs: 300,
+        vadSilenceDurationMs: 800,
+        semanticVadEagerness: 'auto',
         sessionSilenceTimeoutMs: 30000,
         sessionMaxDurationMs: 300000,
+        usageLedgerPath: '/data/usage.json',
+        dailyTokenLimit: 0,
+        monthlyTokenLimit: 0,
+        sessionTokenLimit: 0,
+        dailyAudioMinutesLimit: 0,
+        budgetWarningPercent: 80,
       };
     } else {
       config = await configManager.loadConfiguration();
+
+      // Options saved in the add-on UI, or a SIGHUP, apply without a restart
+      if (process.env.CONFIG_PATH) {
+        configManager.watchOptions(process.env.CONFIG_PATH);
+      }
+      process.on('SIGHUP', () => {
+        configManager.reloadConfiguration().catch((error) => {
+          logger.error('Configuration reload failed; keeping the running configuration', { error: error.message });
+        });
+      });
     }
 
     // Create and start application
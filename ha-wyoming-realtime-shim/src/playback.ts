@@ -0,0 +1,137 @@
+/**
+ * Assistant Playback
+ * Plays realtime assistant audio on the local speaker and tracks how much of it was heard
+ */
+
+import { Writable } from 'stream';
+import { logger } from './logging';
+import { AudioDeviceManager } from './audio';
+import { PcmFormat, REALTIME_PCM_FORMAT, bytesToMs } from './audio-format';
+
+export interface PlaybackChunk {
+  audio: Buffer;
+  response_id: string;
+  item_id: string;
+  content_index: number;
+}
+
+export interface PlaybackPosition {
+  itemId: string;
+  responseId: string;
+  contentIndex: number;
+  /** Audio that reached the speaker and has finished playing */
+  playedMs: number;
+  /** Audio received for the item so far */
+  receivedMs: number;
+}
+
+interface PlaybackItem {
+  itemId: string;
+  responseId: string;
+  contentIndex: number;
+  receivedMs: number;
+}
+
+/**
+ * The speaker consumes audio in real time, so the playhead is where the
+ * queued audio would run out. Gaps between chunks count as silence, not audio.
+ */
+export class AssistantPlayback {
+  private stream: Promise<Writable | undefined> | undefined;
+  private item: PlaybackItem | undefined;
+  private queueEndsAt = 0;
+
+  constructor(
+    private audioManager: AudioDeviceManager,
+    private format: PcmFormat = REALTIME_PCM_FORMAT
+  ) {}
+
+  write(chunk: PlaybackChunk): void {
+    if (!this.item || this.item.itemId !== chunk.item_id || this.item.contentIndex !== chunk.content_index) {
+      this.item = {
+        itemId: chunk.item_id,
+        responseId: chunk.response_id,
+        contentIndex: chunk.content_index,
+        receivedMs: 0,
+      };
+    }
+
+    const now = Date.now();
+    const durationMs = bytesToMs(chunk.audio.length, this.format);
+    this.queueEndsAt = Math.max(this.queueEndsAt, now) + durationMs;
+    this.item.receivedMs += durationMs;
+
+    this.openStream()
+      .then((stream) => stream?.write(chunk.audio))
+      .catch(() => undefined);
+  }
+
+  isPlaying(): boolean {
+    return this.queueEndsAt > Date.now();
+  }
+
+  /**
+   * Where playback of the latest assistant item has got to
+   */
+  getPosition(): PlaybackPosition | null {
+    if (!this.item) {
+      return null;
+    }
+
+    // Audio of an earlier item still queued ahead pushes this one back, down to zero
+    const queuedMs = Math.max(0, this.queueEndsAt - Date.now());
+    return {
+      itemId: this.item.itemId,
+      responseId: this.item.responseId,
+      contentIndex: this.item.contentIndex,
+      playedMs: Math.max(0, Math.floor(this.item.receivedMs - queuedMs)),
+      receivedMs: Math.floor(this.item.receivedMs),
+    };
+  }
+
+  /**
+   * Silence the speaker at once, dropping queued audio, and report what had been played
+   */
+  stop(): PlaybackPosition | null {
+    const position = this.getPosition();
+    const stream = this.stream;
+
+    this.item = undefined;
+    this.queueEndsAt = 0;
+    this.stream = undefined;
+
+    stream?.then((writable) => writable?.destroy()).catch(() => undefined);
+    return position;
+  }
+
+  private openStream(): Promise<Writable | undefined> {
+    if (!this.stream) {
+      const opening = this.audioManager
+        .createPlaybackStream({
+          sampleRate: this.format.rate,
+          bitDepth: this.format.width * 8,
+          channels: this.format.channels,
+        })
+        .then(
+          (stream) => {
+            stream.on('error', (error) => {
+              logger.error('Assistant playback error', { error: error.message });
+              if (this.stream === opening) {
+                this.stream = undefined;
+              }
+            });
+            return stream;
+          },
+          (error) => {
+            logger.error('Failed to open assistant playback', { error: error.message });
+            if (this.stream === opening) {
+              this.stream = undefined;
+            }
+            return undefined;
+          }
+        );
+      this.stream = opening;
+    }
+    return this.stream;
+  }
+}
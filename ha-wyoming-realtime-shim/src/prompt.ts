@@ -3,14 +3,18 @@
  * System instructions and function schemas for Home Assistant integration
  */
 
-import { Tool, Configuration } from './types';
+import { Tool, Configuration, HAEntity } from './types';
+
+// Keep the session prompt small; the model can still query anything else with get_state
+const MAX_CONTEXT_ENTITIES = 150;
 
 /**
  * Generate system instructions for the OpenAI model
  */
-export function generateSystemInstructions(config: Configuration): string {
+export function generateSystemInstructions(config: Configuration, entities: HAEntity[] = []): string {
   const allowedDomains = config.allowedDomains.join(', ');
-  
+  const entityContext = generateEntityContext(entities);
+
   return `You are a helpful voice assistant for controlling a Home Assistant smart home system. You can understand natural language commands and translate them into appropriate device actions.
 
 CAPABILITIES:
@@ -21,10 +25,12 @@ CAPABILITIES:
 
 IMPORTANT GUIDELINES:
 1. Always respond in a friendly, helpful manner
-2. Confirm high-risk actions (turning off all lights, unlocking doors, etc.) before executing
+2. High-risk actions (turning off all lights, unlocking doors, etc.) come back with requires_confirmation: ask the user the confirmation_prompt, and call confirm_action with the ticket_id only after they say yes in their next reply
 3. If asked to control devices outside allowed domains, politely explain you cannot access those systems
 4. Provide clear feedback about what actions you're taking
 5. If a command is unclear, ask for clarification rather than guessing
+6. Never guess an entity ID; when a device is not listed below, look it up with find_entities${config.allowedRoutines.length > 0 ? `
+7. For requests like "movie mode" or "good night", list the scenes, scripts and automations with list_routines and run the one that fits with run_routine; ask for any script fields that are needed` : ''}
 
 LANGUAGE SUPPORT:
 - Respond in the same language the user speaks to you
@@ -32,8 +38,34 @@ LANGUAGE SUPPORT:
 
 SAFETY RULES:
 - Never control security systems without explicit confirmation
+- Never call confirm_action on your own initiative or in the same reply that asked the question
 - Always confirm before making changes that affect multiple devices
-- If unsure about a command, ask for clarification rather than taking action`;
+- If unsure about a command, ask for clarification rather than taking action${entityContext ? `
+
+${entityContext}` : ''}`;
+}
+
+/**
+ * List the entities the model may control, by ID and friendly name
+ */
+export function generateEntityContext(entities: HAEntity[]): string {
+  if (entities.length === 0) {
+    return '';
+  }
+
+  const sorted = [...entities].sort((a, b) => a.entity_id.localeCompare(b.entity_id));
+  const lines = sorted.slice(0, MAX_CONTEXT_ENTITIES).map((entity) => {
+    const name = entity.attributes?.friendly_name;
+    return typeof name === 'string' && name ? `- ${entity.entity_id}: ${name}` : `- ${entity.entity_id}`;
+  });
+
+  if (sorted.length > MAX_CONTEXT_ENTITIES) {
+    lines.push(`- ...and ${sorted.length - MAX_CONTEXT_ENTITIES} more; use find_entities to look them up by name or area`);
+  }
+
+  return `AVAILABLE DEVICES (entity ID: name):
+Only these entities can be controlled. Use the exact entity ID in tool calls.
+${lines.join('\n')}`;
 }
 
 /**
@@ -61,6 +93,14 @@ export function generateFunctionTools(config: Configuration): Tool[] {
             type: 'string',
             description: 'The entity ID to control (optional for domain-wide services)',
           },
+          area_id: {
+            type: 'string',
+            description: 'Area ID to act on every matching entity in a room, e.g. to turn off the kitchen lights (from find_entities)',
+          },
+          device_id: {
+            type: 'string',
+            description: 'Device ID to act on all of its matching entities (from find_entities)',
+          },
           data: {
             type: 'object',
             description: 'Additional service data like brightness, temperature, color',
@@ -114,6 +154,50 @@ export function generateFunctionTools(config: Configuration): Tool[] {
         required: ['entity_id'],
       },
     },
+    {
+      type: 'function',
+      name: 'find_entities',
+      description: 'Look up entity IDs by spoken name, alias, area or domain when the exact ID is not known. Returns the best matches first',
+      parameters: {
+        type: 'object',
+        properties: {
+          query: {
+            type: 'string',
+            description: 'Name or description as the user said it (e.g., "kitchen lamp")',
+          },
+          area: {
+            type: 'string',
+            description: 'Room or area name (e.g., living room)',
+          },
+          domain: {
+            type: 'string',
+            description: 'Limit results to one domain',
+            enum: config.allowedDomains,
+          },
+          limit: {
+            type: 'number',
+            minimum: 1,
+            maximum: 20,
+            description: 'Maximum number of candidates (default 5)',
+          },
+        },
+      },
+    },
+    {
+      type: 'function',
+      name: 'confirm_action',
+      description: 'Carry out an action that returned requires_confirmation, after the user has agreed to its confirmation_prompt in a new reply',
+      parameters: {
+        type: 'object',
+        properties: {
+          ticket_id: {
+            type: 'string',
+            description: 'ticket_id from the blocked call',
+          },
+        },
+        required: ['ticket_id'],
+      },
+    },
   ];
 
   // Add domain-specific tools based on configuration
@@ -151,6 +235,50 @@ export function generateFunctionTools(config: Configuration): Tool[] {
     });
   }
 
+  if (config.allowedRoutines.length > 0) {
+    tools.push(
+      {
+        type: 'function',
+        name: 'list_routines',
+        description: 'List the scenes, scripts and automations you may run, with the fields (variables) each script takes',
+        parameters: {
+          type: 'object',
+          properties: {
+            kind: {
+              type: 'string',
+              enum: ['scene', 'script', 'automation'],
+              description: 'Only list one kind',
+            },
+          },
+        },
+      },
+      {
+        type: 'function',
+        name: 'run_routine',
+        description: 'Activate a scene, run or stop a script, or trigger, enable or disable an automation',
+        parameters: {
+          type: 'object',
+          properties: {
+            entity_id: {
+              type: 'string',
+              description: 'Scene, script or automation entity ID from list_routines',
+            },
+            action: {
+              type: 'string',
+              enum: ['run', 'turn_on', 'turn_off'],
+              description: 'run activates a scene, runs a script or triggers an automation; turn_on and turn_off enable or disable an automation, turn_off also stops a running script',
+            },
+            variables: {
+              type: 'object',
+              description: 'Script fields by name, only for running scripts',
+            },
+          },
+          required: ['entity_id', 'action'],
+        },
+      }
+    );
+  }
+
   if (config.allowedDomains.includes('media_player')) {
     tools.push({
       type: 'function',
@@ -238,6 +366,13 @@ export class VoiceResponseGenerator {
     this.config = config;
   }
 
+  /**
+   * Use a reloaded configuration
+   */
+  updateConfig(config: Configuration): void {
+    this.config = config;
+  }
+
   /**
    * Generate response for successful service call
    */
@@ -254,6 +389,69 @@ export class VoiceResponseGenerator {
     return successPhrases[Math.floor(Math.random() * successPhrases.length)] || 'Action completed successfully.';
   }
 
+  /**
+   * Generate response for a thermostat change
+   */
+  generateClimateResponse(name: string, changes: Record<string, unknown>): string {
+    if (changes['hvac_mode'] === 'off') {
+      return `The ${name} is off.`;
+    }
+
+    const parts: string[] = [];
+    if (changes['hvac_mode']) {
+      parts.push(`in ${String(changes['hvac_mode']).replace('_', '/')} mode`);
+    }
+    if (changes['temperature'] !== undefined) {
+      parts.push(`set to ${String(changes['temperature'])}°C`);
+    }
+    if (changes['fan_mode']) {
+      parts.push(`with the fan on ${String(changes['fan_mode'])}`);
+    }
+    return `The ${name} is now ${parts.join(', ')}.`;
+  }
+
+  /**
+   * Generate response for a media player command
+   */
+  generateMediaResponse(name: string, action: string, volumeLevel?: number): string {
+    const volume = volumeLevel !== undefined ? `${Math.round(volumeLevel * 100)}%` : undefined;
+
+    switch (action) {
+      case 'play':
+        return `Playing on the ${name}${volume ? ` at ${volume} volume` : ''}.`;
+      case 'pause':
+        return `Paused the ${name}.`;
+      case 'stop':
+        return `Stopped the ${name}.`;
+      case 'next':
+        return `Skipped to the next track on the ${name}.`;
+      case 'previous':
+        return `Went back a track on the ${name}.`;
+      default:
+        return volume
+          ? `The ${name} volume is at ${volume}.`
+          : `Turned the ${name} ${action === 'volume_up' ? 'up' : 'down'}.`;
+    }
+  }
+
+  generateRoutineResponse(name: string, kind: string, action: string): string {
+    if (action === 'turn_on' && kind === 'automation') {
+      return `Turned on the ${name} automation.`;
+    }
+    if (action === 'turn_off') {
+      return kind === 'script' ? `Stopped the ${name} script.` : `Turned off the ${name} automation.`;
+    }
+
+    switch (kind) {
+      case 'scene':
+        return `Activated ${name}.`;
+      case 'script':
+        return `Started ${name}.`;
+      default:
+        return `Triggered the ${name} automation.`;
+    }
+  }
+
   /**
    * Generate response for errors
    */
@@ -5,43 +5,184 @@
 
 import { EventEmitter } from 'events';
 import WS from 'ws';
+import { v4 as uuidv4 } from 'uuid';
 import { logger } from './logging';
-import { RealtimeEvent, SessionConfig, Tool } from './types';
+import { PcmFormat, bytesToMs, realtimePcmFormat, encodeRealtimeAudio, decodeRealtimeAudio } from './audio-format';
+import {
+  RealtimeAudioFormat,
+  RealtimeEvent,
+  RealtimeServerEvent,
+  RealtimeResponse,
+  FunctionCallEvent,
+  SessionConfig,
+  SemanticVadEagerness,
+  RealtimeTurnDetection,
+  Tool,
+  ConnectionState,
+  EventMap,
+  EmitterEvents,
+} from './types';
+
+export const REALTIME_VOICES: SessionConfig['voice'][] = ['alloy', 'echo', 'fable', 'onyx', 'nova', 'shimmer'];
+
+export interface ReconnectOptions {
+  initialDelayMs: number;
+  maxDelayMs: number;
+  maxAttempts: number;
+}
+
+const DEFAULT_RECONNECT: ReconnectOptions = {
+  initialDelayMs: 1000,
+  maxDelayMs: 30000,
+  maxAttempts: 10,
+};
+
+// Audio appended while reconnecting is replayed once the link is back
+const MAX_HELD_AUDIO_MS = 15000;
+
+export type RealtimeAuthMode = 'bearer' | 'azure' | 'none';
+
+/**
+ * How a session finds the end of the user's turn:
+ * - vad: the configured detector ends turns and starts responses itself
+ * - transcribe: the detector only segments audio; the caller commits and asks for responses
+ * - ptt: no detection; the caller commits when the button is released
+ */
+export type TurnMode = 'vad' | 'transcribe' | 'ptt';
+
+export interface TurnDetectionOptions {
+  type: 'server_vad' | 'semantic_vad';
+  threshold: number;
+  prefixPaddingMs: number;
+  silenceDurationMs: number;
+  eagerness: SemanticVadEagerness;
+}
 
 interface ClientConfig {
   apiKey: string;
+  url: string;
+  authMode: RealtimeAuthMode;
+  azureDeployment?: string;
+  azureApiVersion?: string;
   model: string;
+  transcriptionModel: string;
+  /** Wire encoding; callers always exchange PCM in getPcmFormat() */
+  audioFormat?: RealtimeAudioFormat;
+  session: SessionSettings;
+  turnMode: TurnMode;
+  reconnect?: Partial<ReconnectOptions>;
+}
+
+/**
+ * Session settings pushed to the server with every session.update
+ */
+export interface SessionSettings {
+  instructions: string;
+  tools: Tool[];
   voice: string;
+  turnDetection: TurnDetectionOptions;
+}
+
+export interface ResponseHandlers {
+  onAudio?: (audio: Buffer) => void;
+}
+
+export interface ResponseOutcome {
+  response_id: string;
+  status: string;
+  transcript: string;
+}
+
+export interface TurnAction {
+  call_id: string;
+  name: string;
+  arguments: Record<string, unknown>;
+  result?: unknown;
+}
+
+export interface TurnOutcome {
+  status: string;
+  text: string;
+  actions: TurnAction[];
+}
+
+export interface TextTurnOptions {
+  modalities?: ('text' | 'audio')[];
+  timeoutMs?: number;
+  /** Answer text as it is generated */
+  onText?: (delta: string) => void;
+  /** A tool call once its result is in */
+  onAction?: (action: TurnAction) => void;
+  /** Abandons the turn and cancels its response, e.g. when the caller has gone away */
+  signal?: AbortSignal;
+}
+
+export interface TranscriptionHandlers {
+  onDelta?: (delta: string, itemId: string) => void;
 }
 
-export class OpenAIRealtimeClient extends EventEmitter {
+export interface TranscriptionStream {
+  /** Commit remaining audio and resolve with the transcript of every segment */
+  finish(timeoutMs?: number): Promise<string>;
+  cancel(): void;
+}
+
+interface PendingTranscription {
+  commitSent: boolean;
+  commitSettled: boolean;
+  resolve: (text: string) => void;
+  reject: (error: Error) => void;
+  timer: NodeJS.Timeout;
+}
+
+export class OpenAIRealtimeClient extends EventEmitter<EmitterEvents<EventMap>> {
   private ws?: WS;
   private config: ClientConfig;
-  private reconnecting = false;
+  private reconnectOptions: ReconnectOptions;
+  private connectionState: ConnectionState = 'disconnected';
+  private manualClose = false;
+  private reconnectAttempt = 0;
+  private reconnectTimer: NodeJS.Timeout | undefined;
+  private heldAudio: Buffer[] = [];
+  private heldAudioBytes = 0;
+  private pendingToolCalls = new Set<string>();
+  private toolFollowUp: Record<string, unknown> | null = null;
+  private responseActive = false;
+  private activeResponseId: string | null = null;
 
   constructor(config: ClientConfig) {
     super();
     this.config = config;
+    this.reconnectOptions = { ...DEFAULT_RECONNECT, ...config.reconnect };
   }
 
   async connect(): Promise<void> {
+    this.manualClose = false;
+    if (this.connectionState !== 'reconnecting') {
+      this.setConnectionState('connecting');
+    }
+
     return new Promise((resolve, reject) => {
-      this.ws = new WS('wss://api.openai.com/v1/realtime', {
-        headers: {
-          'Authorization': `Bearer ${this.config.apiKey}`,
-          'OpenAI-Beta': 'realtime=v1',
-        },
+      const ws = new WS(buildRealtimeUrl(this.config), {
+        headers: buildAuthHeaders(this.config),
       });
+      this.ws = ws;
+      let opened = false;
 
-      this.ws.on('open', () => {
-        logger.info('OpenAI Realtime connected');
+      ws.on('open', () => {
+        opened = true;
+        logger.info('OpenAI Realtime connected', { reconnect_attempts: this.reconnectAttempt });
+        this.reconnectAttempt = 0;
+        // A new socket is a new server session, so configure it again before replaying audio
         this.sendSessionUpdate();
+        this.flushHeldAudio();
+        this.setConnectionState('connected');
         resolve();
       });
 
-      this.ws.on('message', (data) => {
+      ws.on('message', (data) => {
         try {
-          const event = JSON.parse(data.toString()) as RealtimeEvent;
+          const event = JSON.parse(data.toString()) as RealtimeServerEvent;
           this.handleEvent(event);
         } catch (error) {
           const errorMessage = error instanceof Error ? error.message : String(error);
@@ -49,63 +190,103 @@ export class OpenAIRealtimeClient extends EventEmitter {
         }
       });
 
-      this.ws.on('error', (error) => {
+      ws.on('error', (error) => {
         logger.error('OpenAI WebSocket error', { error: error.message });
         reject(error);
       });
 
-      this.ws.on('close', (code, reason) => {
+      ws.on('close', (code, reason) => {
+        if (this.ws === ws) {
+          this.ws = undefined as any;
+        }
+
+        // A failed attempt has already rejected connect(); the caller decides what next
+        if (!opened) {
+          if (this.connectionState !== 'reconnecting') {
+            this.setConnectionState('disconnected');
+          }
+          return;
+        }
+
         logger.info('OpenAI connection closed', { code, reason: reason.toString() });
+        this.pendingToolCalls.clear();
+        this.toolFollowUp = null;
+        this.responseActive = false;
+        this.activeResponseId = null;
         this.emit('disconnect', { code, reason: reason.toString() });
+
+        if (this.manualClose) {
+          this.setConnectionState('disconnected');
+        } else {
+          this.scheduleReconnect();
+        }
       });
     });
   }
 
-  private sendSessionUpdate(): void {
-    const tools: Tool[] = [
-      {
-        type: 'function',
-        name: 'call_service',
-        description: 'Call a Home Assistant service to control devices',
-        parameters: {
-          type: 'object',
-          properties: {
-            domain: { type: 'string' },
-            service: { type: 'string' },
-            entity_id: { type: 'string' },
-            data: { type: 'object' },
-          },
-          required: ['domain', 'service'],
-        },
-      },
-      {
-        type: 'function',
-        name: 'get_state',
-        description: 'Get the current state of a Home Assistant entity',
-        parameters: {
-          type: 'object',
-          properties: {
-            entity_id: { type: 'string' },
-          },
-          required: ['entity_id'],
-        },
-      },
-    ];
+  /**
+   * Retry with jittered exponential backoff until connected or out of attempts
+   */
+  private scheduleReconnect(): void {
+    if (this.manualClose) {
+      return;
+    }
+
+    const { initialDelayMs, maxDelayMs, maxAttempts } = this.reconnectOptions;
+    if (this.reconnectAttempt >= maxAttempts) {
+      logger.error('OpenAI Realtime reconnect failed, giving up', { attempts: this.reconnectAttempt });
+      this.clearHeldAudio();
+      this.setConnectionState('disconnected');
+      return;
+    }
+
+    // Half fixed, half random so many clients dropped together do not retry in lockstep
+    const ceiling = Math.min(maxDelayMs, initialDelayMs * 2 ** this.reconnectAttempt);
+    const delay = Math.round(ceiling / 2 + Math.random() * (ceiling / 2));
+    this.reconnectAttempt++;
+
+    logger.warn('OpenAI Realtime reconnecting', { attempt: this.reconnectAttempt, delay_ms: delay });
+    this.setConnectionState('reconnecting');
+
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = undefined;
+      this.connect().catch((error) => {
+        logger.warn('OpenAI Realtime reconnect attempt failed', {
+          attempt: this.reconnectAttempt,
+          error: error.message,
+        });
+        this.scheduleReconnect();
+      });
+    }, delay);
+  }
 
+  private setConnectionState(state: ConnectionState): void {
+    if (state === this.connectionState) {
+      return;
+    }
+
+    const previous = this.connectionState;
+    this.connectionState = state;
+    this.emit('connection_state', {
+      state,
+      previous,
+      reconnect_attempts: this.reconnectAttempt,
+    });
+  }
+
+  private sendSessionUpdate(): void {
     const sessionConfig: SessionConfig = {
       model: this.config.model,
       modalities: ['text', 'audio'],
-      instructions: 'You are a helpful assistant for controlling a smart home through Home Assistant.',
-      voice: this.config.voice as any,
-      input_audio_format: 'pcm16',
-      output_audio_format: 'pcm16',
-      turn_detection: {
-        type: 'server_vad',
-        threshold: 0.5,
-        prefix_padding_ms: 300,
-        silence_duration_ms: 800,
+      instructions: this.config.session.instructions,
+      voice: this.config.session.voice as any,
+      input_audio_format: this.getAudioFormat(),
+      output_audio_format: this.getAudioFormat(),
+      input_audio_transcription: {
+        model: this.config.transcriptionModel as any,
       },
-      tools,
+      turn_detection: buildTurnDetection(this.config.session.turnDetection, this.config.turnMode),
+      tools: this.config.session.tools,
       tool_choice: 'auto',
       temperature: 0.8,
       max_response_output_tokens: 4096,
@@ -117,54 +298,434 @@ export class OpenAIRealtimeClient extends EventEmitter {
     });
   }
 
-  private handleEvent(event: RealtimeEvent): void {
+  /**
+   * Replace the session settings; applied immediately and on every reconnect
+   */
+  updateSession(settings: SessionSettings): void {
+    this.config.session = settings;
+    if (this.isConnected()) {
+      this.sendSessionUpdate();
+    }
+  }
+
+  /**
+   * Switch turn detection, e.g. between push-to-talk and hands-free
+   */
+  setTurnMode(mode: TurnMode): void {
+    if (this.config.turnMode === mode) {
+      return;
+    }
+    this.config.turnMode = mode;
+    if (this.isConnected()) {
+      this.sendSessionUpdate();
+    }
+  }
+
+  getTurnMode(): TurnMode {
+    return this.config.turnMode;
+  }
+
+  getAudioFormat(): RealtimeAudioFormat {
+    return this.config.audioFormat ?? 'pcm16';
+  }
+
+  /**
+   * PCM layout sendAudio() expects and audio_output delivers
+   */
+  getPcmFormat(): PcmFormat {
+    return realtimePcmFormat(this.getAudioFormat());
+  }
+
+  private handleEvent(event: RealtimeServerEvent): void {
     switch (event.type) {
+      case 'session.created':
+        logger.info('OpenAI Realtime session created', { openai_session_id: event.session.id });
+        this.emit('session_created', event.session);
+        break;
+      case 'session.updated':
+      case 'transcription_session.updated':
+        this.emit('session_updated', event.session);
+        break;
+      case 'conversation.created':
+      case 'conversation.item.retrieved':
+        break;
+      case 'conversation.item.created':
+        this.emit('conversation_item_created', {
+          item: event.item,
+          previous_item_id: event.previous_item_id ?? null,
+        });
+        break;
+      case 'conversation.item.truncated':
+        this.emit('item_truncated', {
+          item_id: event.item_id,
+          content_index: event.content_index,
+          audio_end_ms: event.audio_end_ms,
+        });
+        break;
+      case 'conversation.item.deleted':
+        this.emit('item_deleted', { item_id: event.item_id });
+        break;
+      case 'input_audio_buffer.committed':
+        this.emit('audio_committed', {
+          item_id: event.item_id,
+          previous_item_id: event.previous_item_id,
+        });
+        break;
+      case 'input_audio_buffer.cleared':
+        this.emit('audio_cleared');
+        break;
+      case 'input_audio_buffer.speech_started':
+        this.emit('speech_started', { item_id: event.item_id, audio_start_ms: event.audio_start_ms });
+        break;
+      case 'input_audio_buffer.speech_stopped':
+        this.emit('speech_stopped', { item_id: event.item_id, audio_end_ms: event.audio_end_ms });
+        break;
+      case 'conversation.item.input_audio_transcription.delta':
+        this.emit('transcription_delta', {
+          item_id: event.item_id,
+          delta: event.delta,
+        });
+        break;
+      case 'conversation.item.input_audio_transcription.completed':
+        this.emit('transcription', {
+          item_id: event.item_id,
+          transcript: event.transcript,
+        });
+        break;
+      case 'conversation.item.input_audio_transcription.failed':
+        this.emit('transcription_failed', {
+          item_id: event.item_id,
+          error: event.error,
+        });
+        break;
+      case 'output_audio_buffer.started':
+        this.emit('output_audio_started', { response_id: event.response_id });
+        break;
+      case 'output_audio_buffer.stopped':
+        this.emit('output_audio_stopped', { response_id: event.response_id });
+        break;
+      case 'output_audio_buffer.cleared':
+        this.emit('output_audio_cleared', { response_id: event.response_id });
+        break;
+      case 'response.created':
+        this.responseActive = true;
+        this.activeResponseId = event.response.id;
+        this.emit('response_created', {
+          response_id: event.response.id,
+          metadata: event.response.metadata ?? null,
+        });
+        break;
+      case 'response.done':
+        this.handleResponseDone(event.response);
+        break;
+      case 'response.output_item.added':
+        this.emit('output_item_added', { response_id: event.response_id, item: event.item });
+        break;
+      case 'response.output_item.done':
+        this.emit('output_item_done', { response_id: event.response_id, item: event.item });
+        break;
+      case 'response.content_part.added':
+      case 'response.content_part.done':
+        // Content arrives through the delta and done events below
+        break;
+      case 'response.text.delta':
+        this.emit('text_output', {
+          response_id: event.response_id,
+          item_id: event.item_id,
+          delta: event.delta,
+        });
+        break;
+      case 'response.text.done':
+        this.emit('text_done', {
+          response_id: event.response_id,
+          item_id: event.item_id,
+          text: event.text,
+        });
+        break;
+      case 'response.audio_transcript.delta':
+        this.emit('audio_transcript', {
+          response_id: event.response_id,
+          item_id: event.item_id,
+          delta: event.delta,
+        });
+        break;
+      case 'response.audio_transcript.done':
+        this.emit('audio_transcript_done', {
+          response_id: event.response_id,
+          item_id: event.item_id,
+          transcript: event.transcript,
+        });
+        break;
       case 'response.audio.delta':
         this.emit('audio_output', {
-          audio: Buffer.from((event as any).delta, 'base64'),
-          response_id: (event as any).response_id,
+          audio: decodeRealtimeAudio(Buffer.from(event.delta, 'base64'), this.getAudioFormat()),
+          response_id: event.response_id,
+          item_id: event.item_id,
+          content_index: event.content_index,
         });
         break;
       case 'response.audio.done':
         this.emit('audio_complete', {
-          response_id: (event as any).response_id,
-          item_id: (event as any).item_id,
+          response_id: event.response_id,
+          item_id: event.item_id,
         });
         break;
-      case 'response.function_call_arguments.done':
-        this.emit('function_call', {
-          call_id: (event as any).call_id,
-          name: (event as any).name,
-          arguments: JSON.parse((event as any).arguments),
-          response_id: (event as any).response_id,
+      case 'response.function_call_arguments.delta':
+        this.emit('function_call_delta', {
+          response_id: event.response_id,
+          call_id: event.call_id,
+          delta: event.delta,
         });
         break;
-      case 'input_audio_buffer.speech_started':
-        this.emit('speech_started');
-        break;
-      case 'input_audio_buffer.speech_stopped':
-        this.emit('speech_stopped');
+      case 'response.function_call_arguments.done':
+        this.handleFunctionCallDone(event);
         break;
       case 'rate_limits.updated':
-        this.emit('rate_limit', (event as any).rate_limits);
+        this.emit('rate_limit', event.rate_limits);
         break;
       case 'error':
-        this.emit('error', (event as any).error);
+        this.emit('error', event.error);
         break;
+      default:
+        logger.debug('Unhandled OpenAI Realtime event', { type: (event as { type: string }).type });
     }
   }
 
-  async sendAudio(audio: Buffer): Promise<void> {
+  private handleFunctionCallDone(event: FunctionCallEvent): void {
+    let args: Record<string, unknown>;
+    try {
+      args = JSON.parse(event.arguments || '{}');
+    } catch (error) {
+      const errorMessage = error instanceof Error ? error.message : String(error);
+      logger.warn('Invalid function call arguments', { call_id: event.call_id, error: errorMessage });
+      args = {};
+    }
+
+    this.pendingToolCalls.add(event.call_id);
+    this.emit('function_call', {
+      call_id: event.call_id,
+      name: event.name,
+      arguments: args,
+      response_id: event.response_id,
+    });
+  }
+
+  /**
+   * Track tool calls so the model gets a follow-up response once every output is in
+   */
+  private handleResponseDone(response: RealtimeResponse): void {
+    this.responseActive = false;
+    this.activeResponseId = null;
+
+    const output = Array.isArray(response.output) ? response.output : [];
+    const functionCalls = output.filter((item) => item.type === 'function_call').length;
+
+    if (functionCalls > 0 && response.status === 'completed') {
+      this.toolFollowUp = {
+        ...(Array.isArray(response.modalities) && { modalities: response.modalities }),
+        ...(response.metadata && { metadata: response.metadata }),
+      };
+    }
+
+    this.emit('response_done', {
+      response_id: response.id,
+      status: response.status,
+      metadata: response.metadata ?? null,
+      function_calls: functionCalls,
+      output,
+      usage: response.usage ?? null,
+    });
+
+    this.continueAfterTools();
+  }
+
+  private continueAfterTools(): void {
+    if (!this.toolFollowUp || this.pendingToolCalls.size > 0 || this.responseActive) {
+      return;
+    }
+
+    const followUp = this.toolFollowUp;
+    this.toolFollowUp = null;
     this.send({
-      type: 'input_audio_buffer.append',
-      audio: audio.toString('base64'),
+      type: 'response.create',
+      response: followUp,
     });
   }
 
+  async sendAudio(audio: Buffer): Promise<void> {
+    if (this.connectionState === 'reconnecting') {
+      this.holdAudio(audio);
+      return;
+    }
+
+    this.appendAudio(audio);
+  }
+
   async commitAudio(): Promise<void> {
     this.send({ type: 'input_audio_buffer.commit' });
   }
 
+  /**
+   * Follow the transcription of everything committed from now on. Server VAD
+   * may commit several segments before the caller stops, so each one is
+   * tracked and the final transcript joins them in commit order.
+   */
+  beginTranscription(handlers: TranscriptionHandlers = {}): TranscriptionStream {
+    const itemIds: string[] = [];
+    const transcripts = new Map<string, string>();
+    const failures = new Map<string, string>();
+    let finishing: PendingTranscription | undefined;
+    let stopped = false;
+
+    const cleanup = () => {
+      stopped = true;
+      if (finishing) {
+        clearTimeout(finishing.timer);
+      }
+      this.off('audio_committed', onCommitted);
+      this.off('transcription_delta', onDelta);
+      this.off('transcription', onTranscription);
+      this.off('transcription_failed', onFailed);
+      this.off('error', onError);
+      this.off('disconnect', onDisconnect);
+      this.off('connection_state', onConnectionState);
+    };
+
+    const settle = () => {
+      if (!finishing || !finishing.commitSettled) {
+        return;
+      }
+      if (itemIds.some(id => !transcripts.has(id) && !failures.has(id))) {
+        return;
+      }
+
+      const pending = finishing;
+      cleanup();
+
+      const text = itemIds
+        .map(id => transcripts.get(id) || '')
+        .filter(Boolean)
+        .join(' ');
+      const [failure] = failures.values();
+      if (!text && failure) {
+        pending.reject(new Error(failure));
+      } else {
+        pending.resolve(text);
+      }
+    };
+
+    const onCommitted = (event: { item_id: string }) => {
+      itemIds.push(event.item_id);
+      if (finishing) {
+        finishing.commitSettled = true;
+      }
+    };
+
+    const onDelta = (event: { item_id: string; delta: string }) => {
+      if (event.delta && itemIds.includes(event.item_id)) {
+        handlers.onDelta?.(event.delta, event.item_id);
+      }
+    };
+
+    const onTranscription = (event: { item_id: string; transcript: string }) => {
+      if (itemIds.includes(event.item_id)) {
+        transcripts.set(event.item_id, (event.transcript || '').trim());
+        settle();
+      }
+    };
+
+    const onFailed = (event: { item_id: string; error?: { message?: string } }) => {
+      if (itemIds.includes(event.item_id)) {
+        failures.set(event.item_id, event.error?.message || 'Transcription failed');
+        settle();
+      }
+    };
+
+    const onError = (error: EventMap['error']) => {
+      if (!finishing || !finishing.commitSent || finishing.commitSettled) {
+        return;
+      }
+      // Server VAD already committed everything that was spoken
+      if (error?.code === 'input_audio_buffer_commit_empty') {
+        finishing.commitSettled = true;
+        settle();
+        return;
+      }
+      const pending = finishing;
+      cleanup();
+      pending.reject(new Error(error?.message || 'Audio commit failed'));
+    };
+
+    const onDisconnect = () => {
+      if (finishing?.commitSent) {
+        const pending = finishing;
+        cleanup();
+        pending.reject(new Error('OpenAI Realtime connection closed'));
+        return;
+      }
+      // Segments still being transcribed died with the old server session
+      for (const id of itemIds) {
+        if (!transcripts.has(id)) {
+          failures.set(id, 'OpenAI Realtime connection lost');
+        }
+      }
+    };
+
+    const commit = () => {
+      if (finishing && !finishing.commitSent) {
+        finishing.commitSent = true;
+        this.send({ type: 'input_audio_buffer.commit' });
+      }
+    };
+
+    const onConnectionState = (event: { state: ConnectionState }) => {
+      if (!finishing) {
+        return;
+      }
+      if (event.state === 'connected') {
+        commit();
+      } else if (event.state === 'disconnected') {
+        const pending = finishing;
+        cleanup();
+        pending.reject(new Error('OpenAI Realtime not connected'));
+      }
+    };
+
+    this.on('audio_committed', onCommitted);
+    this.on('transcription_delta', onDelta);
+    this.on('transcription', onTranscription);
+    this.on('transcription_failed', onFailed);
+    this.on('error', onError);
+    this.on('disconnect', onDisconnect);
+    this.on('connection_state', onConnectionState);
+
+    return {
+      finish: (timeoutMs = 15000) => {
+        if (stopped || finishing) {
+          return Promise.reject(new Error('Transcription is no longer active'));
+        }
+        if (!this.isConnected() && !this.isReconnecting()) {
+          cleanup();
+          return Promise.reject(new Error('OpenAI Realtime not connected'));
+        }
+
+        return new Promise<string>((resolve, reject) => {
+          const timer = setTimeout(() => {
+            cleanup();
+            reject(new Error('Transcription timeout'));
+          }, timeoutMs);
+
+          finishing = { commitSent: false, commitSettled: false, resolve, reject, timer };
+          // While reconnecting the commit waits for the held audio to be replayed
+          if (this.isConnected()) {
+            commit();
+          }
+        });
+      },
+      cancel: cleanup,
+    };
+  }
+
   async clearAudio(): Promise<void> {
     this.send({ type: 'input_audio_buffer.clear' });
   }
@@ -176,10 +737,132 @@ export class OpenAIRealtimeClient extends EventEmitter {
     });
   }
 
+  /**
+   * Run an out-of-band response and stream its audio until it is done
+   */
+  async runResponse(
+    response: Record<string, unknown>,
+    handlers: ResponseHandlers = {},
+    timeoutMs = 30000
+  ): Promise<ResponseOutcome> {
+    if (!this.isConnected()) {
+      throw new Error('OpenAI Realtime not connected');
+    }
+
+    const requestId = uuidv4();
+
+    return new Promise((resolve, reject) => {
+      let responseId: string | undefined;
+      let transcript = '';
+
+      const cleanup = () => {
+        clearTimeout(timer);
+        this.off('response_created', onCreated);
+        this.off('audio_output', onAudio);
+        this.off('audio_transcript', onTranscript);
+        this.off('response_done', onDone);
+      };
+
+      const onCreated = (event: EventMap['response_created']) => {
+        if (!responseId && event.metadata?.request_id === requestId) {
+          responseId = event.response_id;
+        }
+      };
+
+      const onAudio = (event: { audio: Buffer; response_id: string }) => {
+        if (responseId && event.response_id === responseId) {
+          handlers.onAudio?.(event.audio);
+        }
+      };
+
+      const onTranscript = (event: { response_id: string; delta: string }) => {
+        if (responseId && event.response_id === responseId) {
+          transcript += event.delta;
+        }
+      };
+
+      const onDone = (event: EventMap['response_done']) => {
+        if (responseId && event.response_id === responseId) {
+          cleanup();
+          resolve({ response_id: responseId, status: event.status, transcript });
+        }
+      };
+
+      const timer = setTimeout(() => {
+        cleanup();
+        // response.cancel hits whatever is active, which may by now be another caller's response
+        if (responseId && this.activeResponseId === responseId) {
+          this.cancelResponse().catch(() => undefined);
+        }
+        reject(new Error('Response timeout'));
+      }, timeoutMs);
+
+      this.on('response_created', onCreated);
+      this.on('audio_output', onAudio);
+      this.on('audio_transcript', onTranscript);
+      this.on('response_done', onDone);
+
+      this.send({
+        type: 'response.create',
+        response: {
+          ...response,
+          metadata: { ...(response['metadata'] as Record<string, string> | undefined), request_id: requestId },
+        },
+      });
+    });
+  }
+
+  /**
+   * Have the model speak text verbatim without touching the conversation
+   */
+  async synthesize(text: string, handlers: ResponseHandlers, voice?: string): Promise<ResponseOutcome> {
+    const selectedVoice = voice && (REALTIME_VOICES as string[]).includes(voice) ? voice : this.config.session.voice;
+
+    return this.runResponse({
+      conversation: 'none',
+      modalities: ['audio', 'text'],
+      voice: selectedVoice,
+      output_audio_format: this.getAudioFormat(),
+      instructions: 'Read the user message aloud exactly as written. Do not add, omit or answer anything.',
+      metadata: { purpose: 'tts' },
+      input: [
+        {
+          type: 'message',
+          role: 'user',
+          content: [{ type: 'input_text', text }],
+        },
+      ],
+    }, handlers);
+  }
+
   async cancelResponse(): Promise<void> {
     this.send({ type: 'response.cancel' });
   }
 
+  /**
+   * Cut an assistant audio item to what the user actually heard, so the model
+   * does not remember saying the rest
+   */
+  async truncateItem(itemId: string, contentIndex: number, audioEndMs: number): Promise<void> {
+    this.send({
+      type: 'conversation.item.truncate',
+      item_id: itemId,
+      content_index: contentIndex,
+      audio_end_ms: Math.max(0, Math.floor(audioEndMs)),
+    });
+  }
+
+  isResponding(): boolean {
+    return this.responseActive;
+  }
+
+  /**
+   * The response being generated, if any
+   */
+  getActiveResponseId(): string | null {
+    return this.activeResponseId;
+  }
+
   async sendFunctionResult(callId: string, result: any): Promise<void> {
     this.send({
       type: 'conversation.item.create',
@@ -189,6 +872,128 @@ export class OpenAIRealtimeClient extends EventEmitter {
         output: JSON.stringify(result),
       },
     });
+
+    this.pendingToolCalls.delete(callId);
+    this.emit('function_result', { call_id: callId, result });
+    this.continueAfterTools();
+  }
+
+  /**
+   * Send a typed user message and follow the response chain, including tool
+   * calls, until the model gives its final answer
+   */
+  async runTextTurn(text: string, options: TextTurnOptions = {}): Promise<TurnOutcome> {
+    if (!this.isConnected()) {
+      throw new Error('OpenAI Realtime not connected');
+    }
+    if (options.signal?.aborted) {
+      throw new Error('Text turn cancelled');
+    }
+
+    const requestId = uuidv4();
+    const timeoutMs = options.timeoutMs ?? 30000;
+    const responseIds = new Set<string>();
+    const actions = new Map<string, TurnAction>();
+
+    return new Promise((resolve, reject) => {
+      let answer = '';
+
+      const cleanup = () => {
+        clearTimeout(timer);
+        this.off('response_created', onCreated);
+        this.off('text_output', onText);
+        this.off('audio_transcript', onText);
+        this.off('function_call', onFunctionCall);
+        this.off('function_result', onFunctionResult);
+        this.off('response_done', onDone);
+        options.signal?.removeEventListener('abort', onAbort);
+      };
+
+      const onAbort = () => {
+        cleanup();
+        if (this.activeResponseId && responseIds.has(this.activeResponseId)) {
+          this.cancelResponse().catch(() => undefined);
+        }
+        reject(new Error('Text turn cancelled'));
+      };
+
+      const onCreated = (event: EventMap['response_created']) => {
+        if (event.metadata?.request_id === requestId) {
+          responseIds.add(event.response_id);
+          answer = '';
+        }
+      };
+
+      const onText = (event: { response_id: string; delta: string }) => {
+        if (responseIds.has(event.response_id)) {
+          answer += event.delta;
+          options.onText?.(event.delta);
+        }
+      };
+
+      const onFunctionCall = (event: TurnAction & { response_id: string }) => {
+        if (responseIds.has(event.response_id)) {
+          actions.set(event.call_id, {
+            call_id: event.call_id,
+            name: event.name,
+            arguments: event.arguments,
+          });
+        }
+      };
+
+      const onFunctionResult = (event: { call_id: string; result: unknown }) => {
+        const action = actions.get(event.call_id);
+        if (action) {
+          action.result = event.result;
+          options.onAction?.(action);
+        }
+      };
+
+      const onDone = (event: EventMap['response_done']) => {
+        if (!responseIds.has(event.response_id)) {
+          return;
+        }
+        // A completed response with tool calls is followed by another one
+        if (event.status === 'completed' && event.function_calls > 0) {
+          return;
+        }
+        cleanup();
+        resolve({
+          status: event.status,
+          text: answer.trim(),
+          actions: [...actions.values()],
+        });
+      };
+
+      const timer = setTimeout(() => {
+        cleanup();
+        reject(new Error('Response timeout'));
+      }, timeoutMs);
+
+      this.on('response_created', onCreated);
+      this.on('text_output', onText);
+      this.on('audio_transcript', onText);
+      this.on('function_call', onFunctionCall);
+      this.on('function_result', onFunctionResult);
+      this.on('response_done', onDone);
+      options.signal?.addEventListener('abort', onAbort);
+
+      this.send({
+        type: 'conversation.item.create',
+        item: {
+          type: 'message',
+          role: 'user',
+          content: [{ type: 'input_text', text }],
+        },
+      });
+      this.send({
+        type: 'response.create',
+        response: {
+          modalities: options.modalities ?? ['text'],
+          metadata: { request_id: requestId },
+        },
+      });
+    });
   }
 
   private send(event: RealtimeEvent): void {
@@ -197,23 +1002,148 @@ export class OpenAIRealtimeClient extends EventEmitter {
     }
   }
 
+  private holdAudio(audio: Buffer): void {
+    this.heldAudio.push(audio);
+    this.heldAudioBytes += audio.length;
+
+    // Keep the most recent audio if the outage outlasts the buffer
+    while (bytesToMs(this.heldAudioBytes, this.getPcmFormat()) > MAX_HELD_AUDIO_MS && this.heldAudio.length > 1) {
+      const dropped = this.heldAudio.shift() as Buffer;
+      this.heldAudioBytes -= dropped.length;
+    }
+  }
+
+  private flushHeldAudio(): void {
+    const held = this.heldAudio;
+    this.clearHeldAudio();
+
+    for (const audio of held) {
+      this.appendAudio(audio);
+    }
+  }
+
+  private appendAudio(audio: Buffer): void {
+    this.send({
+      type: 'input_audio_buffer.append',
+      audio: encodeRealtimeAudio(audio, this.getAudioFormat()).toString('base64'),
+    });
+    this.emit('audio_sent', { bytes: audio.length });
+  }
+
+  private clearHeldAudio(): void {
+    this.heldAudio = [];
+    this.heldAudioBytes = 0;
+  }
+
   disconnect(): void {
+    this.manualClose = true;
+    if (this.reconnectTimer) {
+      clearTimeout(this.reconnectTimer);
+      this.reconnectTimer = undefined;
+    }
+    this.clearHeldAudio();
+
     if (this.ws) {
       this.ws.close();
       this.ws = undefined as any;
     }
+    this.setConnectionState('disconnected');
+  }
+
+  isConnected(): boolean {
+    return !!this.ws && this.ws.readyState === WS.OPEN;
   }
 
   isReconnecting(): boolean {
-    return this.reconnecting;
+    return this.connectionState === 'reconnecting';
+  }
+
+  getConnectionState(): ConnectionState {
+    return this.connectionState;
   }
 
+  /**
+   * Reconnect now, e.g. after automatic reconnection gave up
+   */
   async reconnect(): Promise<void> {
-    this.reconnecting = true;
+    if (this.isConnected()) {
+      return;
+    }
+    if (this.reconnectTimer) {
+      clearTimeout(this.reconnectTimer);
+      this.reconnectTimer = undefined;
+    }
+    this.reconnectAttempt = 0;
+    this.setConnectionState('reconnecting');
+
     try {
       await this.connect();
-    } finally {
-      this.reconnecting = false;
+    } catch (error) {
+      this.scheduleReconnect();
+      throw error;
     }
   }
 }
+
+function buildTurnDetection(options: TurnDetectionOptions, mode: TurnMode): RealtimeTurnDetection | null {
+  if (mode === 'ptt') {
+    return null;
+  }
+
+  // Segmenting for transcription must not start or interrupt responses on its own
+  const automatic = mode === 'vad';
+  if (options.type === 'semantic_vad') {
+    return {
+      type: 'semantic_vad',
+      eagerness: options.eagerness,
+      create_response: automatic,
+      interrupt_response: automatic,
+    };
+  }
+  return {
+    type: 'server_vad',
+    threshold: options.threshold,
+    prefix_padding_ms: options.prefixPaddingMs,
+    silence_duration_ms: options.silenceDurationMs,
+    create_response: automatic,
+    interrupt_response: automatic,
+  };
+}
+
+/**
+ * Endpoint for the configured backend. OpenAI and compatible servers take the
+ * model as a query parameter; Azure addresses a deployment and API version.
+ */
+function buildRealtimeUrl(config: ClientConfig): string {
+  const url = new URL(config.url);
+
+  if (config.authMode === 'azure') {
+    if (!url.searchParams.has('api-version') && config.azureApiVersion) {
+      url.searchParams.set('api-version', config.azureApiVersion);
+    }
+    if (!url.searchParams.has('deployment')) {
+      url.searchParams.set('deployment', config.azureDeployment || config.model);
+    }
+  } else if (!url.searchParams.has('model')) {
+    url.searchParams.set('model', config.model);
+  }
+
+  return url.toString();
+}
+
+function buildAuthHeaders(config: ClientConfig): Record<string, string> {
+  const headers: Record<string, string> = { 'OpenAI-Beta': 'realtime=v1' };
+
+  switch (config.authMode) {
+    case 'bearer':
+      headers['Authorization'] = `Bearer ${config.apiKey}`;
+      break;
+    case 'azure':
+      headers['api-key'] = config.apiKey;
+      break;
+    case 'none':
+      break;
+  }
+
+  return headers;
+}
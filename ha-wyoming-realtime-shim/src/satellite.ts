@@ -0,0 +1,273 @@
+/**
+ * Wyoming Satellite
+ * Exposes the local microphone and speaker to Home Assistant as a satellite
+ */
+
+import { EventEmitter } from 'events';
+import { Readable, Writable } from 'stream';
+import { logger } from './logging';
+import { AudioDeviceManager } from './audio';
+import { PcmFormat, bytesToMs } from './audio-format';
+import { WyomingMessage } from './types';
+
+// Microphone format streamed to Home Assistant
+const MIC_FORMAT: PcmFormat = { rate: 16000, width: 2, channels: 1 };
+
+export type PipelineStage = 'wake' | 'asr' | 'handle' | 'tts';
+
+/**
+ * TTS audio that arrived while the speaker was still opening
+ */
+interface PendingPlayback {
+  chunks: Buffer[];
+  stopped: boolean;
+}
+
+export interface SatelliteTransport {
+  send(message: WyomingMessage): boolean;
+  onDrain(callback: () => void): void;
+}
+
+/**
+ * Satellite state machine driven by Home Assistant.
+ * HA sends run-satellite/pause-satellite; the satellite streams microphone
+ * audio inside a run-pipeline, plays the TTS audio HA sends back and reports
+ * `played` once it has finished.
+ */
+export class LocalSatellite extends EventEmitter {
+  private running = false;
+  private captureStream: Readable | undefined;
+  private playbackStream: Writable | undefined;
+  private pendingPlayback: PendingPlayback | undefined;
+  private micBytes = 0;
+
+  constructor(
+    private audioManager: AudioDeviceManager,
+    private transport: SatelliteTransport
+  ) {
+    super();
+  }
+
+  isRunning(): boolean {
+    return this.running;
+  }
+
+  /**
+   * Start streaming and let Home Assistant listen for the wake word
+   */
+  async run(): Promise<void> {
+    if (this.running) {
+      return;
+    }
+    this.running = true;
+    logger.info('Wyoming satellite started');
+    this.emit('started');
+
+    await this.startPipeline('wake');
+  }
+
+  /**
+   * Begin a pipeline run, e.g. straight at ASR for push-to-talk
+   */
+  async startPipeline(startStage: PipelineStage = 'asr'): Promise<void> {
+    if (!this.running) {
+      throw new Error('Satellite is not running');
+    }
+
+    this.transport.send({
+      type: 'run-pipeline',
+      data: {
+        start_stage: startStage,
+        end_stage: 'tts',
+        restart_on_end: startStage === 'wake',
+      },
+    });
+
+    await this.startMicrophone();
+  }
+
+  pause(): void {
+    if (!this.running) {
+      return;
+    }
+    this.running = false;
+    this.stopMicrophone();
+    this.stopPlayback();
+    logger.info('Wyoming satellite paused');
+    this.emit('paused');
+  }
+
+  /**
+   * Handle an event from Home Assistant while the satellite is running.
+   * Returns false for events the satellite does not own.
+   */
+  handleEvent(message: WyomingMessage): boolean {
+    switch (message.type) {
+      case 'detection':
+        logger.info('Wake word detected by Home Assistant', {
+          wake_word: (message.data as { name?: string } | undefined)?.name,
+        });
+        this.emit('detection', message.data || {});
+        return true;
+      case 'voice-started':
+      case 'voice-stopped':
+      case 'transcript':
+      case 'synthesize':
+        // Pipeline progress notifications; nothing to do locally
+        this.emit('pipeline_event', message);
+        return true;
+      case 'audio-start':
+        this.startPlayback(message);
+        return true;
+      case 'audio-chunk':
+        if (!message.payload) {
+          return true;
+        }
+        if (this.pendingPlayback) {
+          this.pendingPlayback.chunks.push(message.payload);
+        } else if (this.playbackStream) {
+          this.playbackStream.write(message.payload);
+        }
+        return true;
+      case 'audio-stop':
+        if (this.pendingPlayback) {
+          this.pendingPlayback.stopped = true;
+        } else {
+          this.finishPlayback();
+        }
+        return true;
+      case 'error':
+        logger.warn('Home Assistant pipeline error', message.data || {});
+        return true;
+      default:
+        return false;
+    }
+  }
+
+  stop(): void {
+    this.running = false;
+    this.stopMicrophone();
+    this.stopPlayback();
+  }
+
+  private async startMicrophone(): Promise<void> {
+    if (this.captureStream) {
+      return;
+    }
+
+    const stream = await this.audioManager.createCaptureStream({
+      sampleRate: MIC_FORMAT.rate,
+      bitDepth: MIC_FORMAT.width * 8,
+      channels: MIC_FORMAT.channels,
+    });
+
+    this.captureStream = stream;
+    this.micBytes = 0;
+    this.transport.send({ type: 'audio-start', data: { ...MIC_FORMAT, timestamp: 0 } });
+
+    stream.on('data', (chunk: Buffer) => {
+      const written = this.transport.send({
+        type: 'audio-chunk',
+        data: { ...MIC_FORMAT, timestamp: this.micTimestamp() },
+        payload: chunk,
+      });
+      this.micBytes += chunk.length;
+
+      // Respect socket backpressure instead of buffering microphone audio
+      if (!written) {
+        stream.pause();
+        this.transport.onDrain(() => stream.resume());
+      }
+    });
+
+    stream.on('error', (error) => {
+      logger.error('Satellite microphone error', { error: error.message });
+      this.stopMicrophone();
+    });
+  }
+
+  private stopMicrophone(): void {
+    if (!this.captureStream) {
+      return;
+    }
+
+    this.captureStream.removeAllListeners('data');
+    this.captureStream.destroy();
+    this.captureStream = undefined;
+    this.transport.send({ type: 'audio-stop', data: { timestamp: this.micTimestamp() } });
+  }
+
+  /**
+   * Milliseconds streamed so far, from the byte count so rounding does not add up per chunk
+   */
+  private micTimestamp(): number {
+    return Math.round(bytesToMs(this.micBytes, MIC_FORMAT));
+  }
+
+  /**
+   * Open the speaker. Chunks and the stop that HA sends in the same read as
+   * audio-start are held until it is open, then played in order.
+   */
+  private startPlayback(message: WyomingMessage): void {
+    const data = (message.data || {}) as { rate?: number; width?: number; channels?: number };
+    this.stopPlayback();
+
+    const pending: PendingPlayback = { chunks: [], stopped: false };
+    this.pendingPlayback = pending;
+
+    this.audioManager.createPlaybackStream({
+      sampleRate: data.rate ?? 22050,
+      bitDepth: (data.width ?? 2) * 8,
+      channels: data.channels ?? 1,
+    }).then((stream) => {
+      // Superseded by a newer audio-start or stopped while opening
+      if (this.pendingPlayback !== pending) {
+        stream.destroy();
+        return;
+      }
+
+      this.pendingPlayback = undefined;
+      this.playbackStream = stream;
+      for (const chunk of pending.chunks) {
+        stream.write(chunk);
+      }
+      if (pending.stopped) {
+        this.finishPlayback();
+      }
+    }).catch((error) => {
+      const errorMessage = error instanceof Error ? error.message : String(error);
+      logger.error('Failed to start satellite playback', { error: errorMessage });
+
+      if (this.pendingPlayback === pending) {
+        this.pendingPlayback = undefined;
+        // HA waits for played before it continues the pipeline
+        if (pending.stopped) {
+          this.transport.send({ type: 'played' });
+        }
+      }
+    });
+  }
+
+  private finishPlayback(): void {
+    const stream = this.playbackStream;
+    this.playbackStream = undefined;
+
+    if (!stream) {
+      this.transport.send({ type: 'played' });
+      return;
+    }
+
+    stream.end(() => {
+      this.transport.send({ type: 'played' });
+      this.emit('played');
+    });
+  }
+
+  private stopPlayback(): void {
+    this.pendingPlayback = undefined;
+    if (this.playbackStream) {
+      this.playbackStream.destroy();
+      this.playbackStream = undefined;
+    }
+  }
+}
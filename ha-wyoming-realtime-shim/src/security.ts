@@ -3,34 +3,119 @@
  * Handles domain whitelist, entity whitelist, and confirmation flows
  */
 
+import { v4 as uuidv4 } from 'uuid';
 import { logger } from './logging';
-import { SecurityValidation, SecurityConfig, AuditLogEntry, HAServiceCallRequest } from './types';
+import {
+  SecurityValidation,
+  SecurityConfig,
+  AuditLogEntry,
+  HAServiceCallRequest,
+  TargetExpansion,
+  ConfirmationTicket,
+  RoutineField,
+} from './types';
+
+/**
+ * Domains governed by the routine allowlist instead of the allowed domains and entity whitelist
+ */
+export const ROUTINE_DOMAINS = ['scene', 'script', 'automation'];
+
+// Running, stopping and enabling only; creating, reloading or editing routines is never allowed
+const ROUTINE_SERVICES: Record<string, string[]> = {
+  scene: ['turn_on'],
+  script: ['turn_on', 'turn_off'],
+  automation: ['trigger', 'turn_on', 'turn_off'],
+};
+
+// Service data keys Home Assistant also reads targets from
+const TARGET_KEYS = ['entity_id', 'area_id', 'device_id'];
+
+// Long enough to ask and answer, short enough that a stale "yes" cannot fire it
+const TICKET_TTL_MS = 2 * 60 * 1000;
+const MAX_PENDING_TICKETS = 50;
+
+/**
+ * Raised for a high-risk call without an approved ticket; the caller issues one and asks the user
+ */
+export class ConfirmationRequiredError extends Error {
+  readonly code = 'confirmation-required';
+
+  constructor(public readonly prompt: string) {
+    super('Confirmation required for high-risk action');
+    this.name = 'ConfirmationRequiredError';
+  }
+}
+
+/**
+ * Looks up the member entities of areas and devices in the Home Assistant registries
+ */
+export type TargetExpander = (
+  target: { area_id: string[]; device_id: string[] },
+  domain: string
+) => Promise<TargetExpansion>;
+
+/**
+ * Looks up the fields a script declares, to check the variables it is run with
+ */
+export type ScriptFieldLookup = (entityId: string) => Promise<RoutineField[]>;
+
+interface ResolvedTargets {
+  entityIds: string[];
+  error?: string;
+}
 
 export class SecurityController {
   private config: SecurityConfig;
   private auditEntries: AuditLogEntry[] = [];
+  private expandTarget: TargetExpander | undefined;
+  private lookupScriptFields: ScriptFieldLookup | undefined;
+  private pendingTickets = new Map<string, ConfirmationTicket>();
+  // Confirmed tickets whose tool call is running; only these let high-risk calls through
+  private approvedTickets = new Set<string>();
+  private userTurns = new Map<string, number>();
 
   constructor(config: SecurityConfig) {
     this.config = config;
     logger.info('Security controller initialized', {
       allowedDomains: config.allowedDomains,
       entityWhitelistCount: config.entityWhitelist.length,
+      allowedRoutines: config.allowedRoutines,
       confirmHighRiskActions: config.confirmHighRiskActions,
     });
   }
 
   /**
-   * Validate if a service call is allowed
+   * Enable area and device targets; without an expander they are refused
    */
-  async validateServiceCall(serviceCall: HAServiceCallRequest & { confirmed?: boolean }): Promise<SecurityValidation> {
+  setTargetExpander(expander: TargetExpander): void {
+    this.expandTarget = expander;
+  }
+
+  /**
+   * Enable script runs; without a lookup their variables cannot be checked and they are refused
+   */
+  setScriptFieldLookup(lookup: ScriptFieldLookup): void {
+    this.lookupScriptFields = lookup;
+  }
+
+  /**
+   * Validate if a service call is allowed. High-risk calls pass only while their
+   * confirmation ticket is approved; a flag from the model is never trusted.
+   */
+  async validateServiceCall(
+    serviceCall: HAServiceCallRequest,
+    context: { confirmation?: ConfirmationTicket } = {}
+  ): Promise<SecurityValidation> {
     const validation: SecurityValidation = {
       allowed: false,
       requiresConfirmation: false,
     };
 
     try {
+      const isRoutine = ROUTINE_DOMAINS.includes(serviceCall.domain);
+
       // Check domain whitelist
-      if (!this.config.allowedDomains.includes(serviceCall.domain)) {
+      if (!isRoutine && !this.config.allowedDomains.includes(serviceCall.domain)) {
         validation.reason = `Domain "${serviceCall.domain}" not allowed`;
         this.addAuditEntry({
           action: 'security_violation',
@@ -43,39 +128,101 @@ export class SecurityController {
         return validation;
       }
 
-      // Check entity whitelist if configured and entity is specified
-      if (this.config.entityWhitelist.length > 0 && serviceCall.entity_id) {
-        const entityIds = Array.isArray(serviceCall.entity_id) ? serviceCall.entity_id : [serviceCall.entity_id];
-        
-        for (const entityId of entityIds) {
-          if (!this.config.entityWhitelist.includes(entityId)) {
-            validation.reason = `Entity "${entityId}" not allowed`;
-            this.addAuditEntry({
-              action: 'security_violation',
-              violation_type: 'entity_not_allowed',
-              domain: serviceCall.domain,
-              service: serviceCall.service,
-              entity_id: entityId,
-              allowed: false,
-            });
-            return validation;
-          }
+      // Targets in the service data would reach Home Assistant without the checks below
+      const dataTargets = TARGET_KEYS.filter(key => serviceCall.data?.[key] !== undefined);
+      if (dataTargets.length > 0) {
+        validation.reason = `Give ${dataTargets.join(', ')} as the target, not in the service data`;
+        this.addAuditEntry({
+          action: 'security_violation',
+          violation_type: 'target_in_data',
+          domain: serviceCall.domain,
+          service: serviceCall.service,
+          allowed: false,
+        });
+        return validation;
+      }
+
+      // A script can do anything, so routines are only run by name and only through their own services
+      const routineProblem = isRoutine ? checkRoutineCall(serviceCall) : undefined;
+      if (routineProblem) {
+        validation.reason = routineProblem;
+        this.addAuditEntry({
+          action: 'security_violation',
+          violation_type: 'routine_not_allowed',
+          domain: serviceCall.domain,
+          service: serviceCall.service,
+          allowed: false,
+        });
+        return validation;
+      }
+
+      // Areas and devices are checked as the entities Home Assistant will act on
+      const targets = await this.resolveTargets(serviceCall);
+      if (targets.error) {
+        validation.reason = targets.error;
+        this.addAuditEntry({
+          action: 'security_violation',
+          violation_type: 'target_not_resolved',
+          domain: serviceCall.domain,
+          service: serviceCall.service,
+          allowed: false,
+        });
+        return validation;
+      }
+      const entityIds = targets.entityIds;
+      validation.entityIds = entityIds;
+
+      // Check entity whitelist if configured and entities are targeted; routines have their own allowlist
+      const isListed = isRoutine
+        ? (entityId: string) => entityId.startsWith(`${serviceCall.domain}.`) && this.isRoutineAllowed(entityId)
+        : (entityId: string) => this.config.entityWhitelist.length === 0 || this.config.entityWhitelist.includes(entityId);
+      for (const entityId of entityIds) {
+        if (!isListed(entityId)) {
+          validation.reason = `Entity "${entityId}" not allowed`;
+          this.addAuditEntry({
+            action: 'security_violation',
+            violation_type: 'entity_not_allowed',
+            domain: serviceCall.domain,
+            service: serviceCall.service,
+            entity_id: entityId,
+            allowed: false,
+          });
+          return validation;
+        }
+      }
+
+      // Scripts can also be run through call_service, so their variables are checked here
+      if (serviceCall.domain === 'script' && serviceCall.service === 'turn_on') {
+        const problem = await this.checkScriptVariables(serviceCall, entityIds);
+        if (problem) {
+          validation.reason = problem;
+          this.addAuditEntry({
+            action: 'security_violation',
+            violation_type: 'script_variables_invalid',
+            domain: serviceCall.domain,
+            service: serviceCall.service,
+            entity_id: entityIds.join(','),
+            allowed: false,
+          });
+          return validation;
         }
       }
 
       // Check if action requires confirmation
-      const requiresConfirmation = this.isHighRiskAction(serviceCall);
+      const requiresConfirmation = this.isHighRiskAction(serviceCall, entityIds.length);
       
       if (requiresConfirmation && this.config.confirmHighRiskActions) {
-        if (!serviceCall.confirmed) {
+        const ticket = context.confirmation;
+        if (!ticket || !this.approvedTickets.has(ticket.id)) {
           validation.requiresConfirmation = true;
-          validation.confirmationPrompt = this.generateConfirmationPrompt(serviceCall);
+          validation.confirmationPrompt = this.generateConfirmationPrompt(serviceCall, entityIds);
           validation.allowed = false;
           validation.reason = 'Confirmation required for high-risk action';
           return validation;
         } else {
           this.addAuditEntry({
             action: 'high_risk_confirmed',
+            ticket_id: ticket.id,
             domain: serviceCall.domain,
             service: serviceCall.service,
             entity_id: serviceCall.entity_id as string,
@@ -115,10 +262,197 @@ export class SecurityController {
     }
   }
 
+  /**
+   * Whether an entity falls inside the allowed domains and entity whitelist
+   */
+  isEntityAllowed(entityId: string): boolean {
+    const domain = entityId.split('.')[0] || '';
+    if (ROUTINE_DOMAINS.includes(domain)) {
+      return this.isRoutineAllowed(entityId);
+    }
+    if (!this.config.allowedDomains.includes(domain)) {
+      return false;
+    }
+    return this.config.entityWhitelist.length === 0 || this.config.entityWhitelist.includes(entityId);
+  }
+
+  /**
+   * Whether a scene, script or automation is on the routine allowlist, by name or by its whole domain
+   */
+  isRoutineAllowed(entityId: string): boolean {
+    const domain = entityId.split('.')[0] || '';
+    if (!ROUTINE_DOMAINS.includes(domain)) {
+      return false;
+    }
+    return this.config.allowedRoutines.includes(entityId) || this.config.allowedRoutines.includes(`${domain}.*`);
+  }
+
+  /**
+   * A user turn in a conversation; tickets can only be confirmed after one
+   */
+  noteUserTurn(scope: string): void {
+    this.userTurns.set(scope, (this.userTurns.get(scope) ?? 0) + 1);
+  }
+
+  /**
+   * Drop a finished conversation's turn count and unanswered tickets
+   */
+  endScope(scope: string): void {
+    this.userTurns.delete(scope);
+    for (const ticket of this.pendingTickets.values()) {
+      if (ticket.scope === scope) {
+        this.pendingTickets.delete(ticket.id);
+      }
+    }
+  }
+
+  /**
+   * Hold a blocked tool call until the user confirms it
+   */
+  createTicket(request: Pick<ConfirmationTicket, 'tool' | 'arguments' | 'prompt' | 'scope'>): ConfirmationTicket {
+    this.pruneTickets();
+
+    const now = new Date();
+    const ticket: ConfirmationTicket = {
+      ...request,
+      id: uuidv4(),
+      turn: this.userTurns.get(request.scope) ?? 0,
+      createdAt: now,
+      expiresAt: new Date(now.getTime() + TICKET_TTL_MS),
+    };
+
+    // Oldest first out; a flood of requests must not grow the map without bound
+    if (this.pendingTickets.size >= MAX_PENDING_TICKETS) {
+      const oldest = this.pendingTickets.keys().next().value as string;
+      this.pendingTickets.delete(oldest);
+    }
+    this.pendingTickets.set(ticket.id, ticket);
+
+    this.addAuditEntry({
+      action: 'confirmation_requested',
+      ticket_id: ticket.id,
+      session_id: ticket.scope,
+      user_context: `${ticket.tool}: ${ticket.prompt}`,
+      allowed: false,
+    });
+    return ticket;
+  }
+
+  /**
+   * Approve a ticket for the user's answer. It must belong to the same conversation
+   * and the user must have spoken since it was issued. Call closeTicket() once its tool call is done.
+   */
+  confirmTicket(ticketId: unknown, scope: string): ConfirmationTicket {
+    this.pruneTickets();
+
+    const ticket = typeof ticketId === 'string' ? this.pendingTickets.get(ticketId) : undefined;
+    let problem: string | undefined;
+    if (!ticket) {
+      problem = 'Unknown or expired confirmation ticket; ask for the action again';
+    } else if (ticket.scope !== scope) {
+      problem = 'That confirmation belongs to another conversation';
+    } else if ((this.userTurns.get(scope) ?? 0) <= ticket.turn) {
+      problem = 'The user has not answered yet; ask them to confirm first';
+    }
+
+    if (problem || !ticket) {
+      this.addAuditEntry({
+        action: 'confirmation_rejected',
+        violation_type: 'invalid_confirmation',
+        ...(typeof ticketId === 'string' && { ticket_id: ticketId }),
+        session_id: scope,
+        allowed: false,
+      });
+      throw new Error(problem);
+    }
+
+    this.pendingTickets.delete(ticket.id);
+    this.approvedTickets.add(ticket.id);
+    this.addAuditEntry({
+      action: 'confirmation_accepted',
+      ticket_id: ticket.id,
+      session_id: scope,
+      user_context: ticket.tool,
+      allowed: true,
+      confirmed: true,
+    });
+    return ticket;
+  }
+
+  closeTicket(ticket: ConfirmationTicket): void {
+    this.approvedTickets.delete(ticket.id);
+  }
+
+  getPendingTickets(): ConfirmationTicket[] {
+    this.pruneTickets();
+    return [...this.pendingTickets.values()];
+  }
+
+  private pruneTickets(): void {
+    const now = Date.now();
+    for (const ticket of this.pendingTickets.values()) {
+      if (ticket.expiresAt.getTime() <= now) {
+        this.pendingTickets.delete(ticket.id);
+        this.addAuditEntry({
+          action: 'confirmation_expired',
+          ticket_id: ticket.id,
+          session_id: ticket.scope,
+          allowed: false,
+        });
+      }
+    }
+  }
+
+  private async checkScriptVariables(serviceCall: HAServiceCallRequest, entityIds: string[]): Promise<string | undefined> {
+    if (!this.lookupScriptFields) {
+      return 'Script variables cannot be checked';
+    }
+
+    const variables = serviceCall.data?.['variables'] ?? {};
+    if (typeof variables !== 'object' || variables === null || Array.isArray(variables)) {
+      return 'Script variables must be an object';
+    }
+
+    for (const entityId of entityIds) {
+      const fields = await this.lookupScriptFields(entityId);
+      const problem = scriptVariablesProblem(entityId, fields, variables as Record<string, unknown>);
+      if (problem) {
+        return problem;
+      }
+    }
+    return undefined;
+  }
+
+  /**
+   * Entity IDs named directly plus the members of targeted areas and devices
+   */
+  private async resolveTargets(serviceCall: HAServiceCallRequest): Promise<ResolvedTargets> {
+    const entityIds = [...toList(serviceCall.entity_id), ...toList(serviceCall.target?.entity_id)];
+    const areaIds = toList(serviceCall.target?.area_id);
+    const deviceIds = toList(serviceCall.target?.device_id);
+
+    if (areaIds.length === 0 && deviceIds.length === 0) {
+      return { entityIds };
+    }
+    if (!this.expandTarget) {
+      return { entityIds, error: 'Area and device targets cannot be checked' };
+    }
+
+    const expansion = await this.expandTarget({ area_id: areaIds, device_id: deviceIds }, serviceCall.domain);
+    if (expansion.unknown.length > 0) {
+      return { entityIds, error: `Unknown area or device: ${expansion.unknown.join(', ')}` };
+    }
+    if (expansion.entityIds.length === 0) {
+      return { entityIds, error: `No ${serviceCall.domain} entities in the targeted area or device` };
+    }
+
+    return { entityIds: [...new Set([...entityIds, ...expansion.entityIds])] };
+  }
+
   /**
    * Check if action is considered high-risk
    */
-  private isHighRiskAction(serviceCall: HAServiceCallRequest): boolean {
+  private isHighRiskAction(serviceCall: HAServiceCallRequest, targetCount: number): boolean {
     const { domain, service, entity_id } = serviceCall;
 
     // High-risk domains
@@ -147,7 +481,7 @@ export class SecurityController {
     }
 
     // Actions affecting all entities
-    if (entity_id === 'all' || (Array.isArray(entity_id) && entity_id.length > 5)) {
+    if (entity_id === 'all' || targetCount > this.config.confirmTargetThreshold) {
       return true;
     }
 
@@ -165,15 +499,15 @@ export class SecurityController {
   /**
    * Generate confirmation prompt for high-risk actions
    */
-  private generateConfirmationPrompt(serviceCall: HAServiceCallRequest): string {
+  private generateConfirmationPrompt(serviceCall: HAServiceCallRequest, entityIds: string[]): string {
     const { domain, service, entity_id } = serviceCall;
 
     if (entity_id === 'all') {
       return `This will ${service.replace('_', ' ')} ALL ${domain} devices. Are you sure?`;
     }
 
-    if (Array.isArray(entity_id) && entity_id.length > 1) {
-      return `This will ${service.replace('_', ' ')} ${entity_id.length} ${domain} devices. Are you sure?`;
+    if (entityIds.length > 1) {
+      return `This will ${service.replace('_', ' ')} ${entityIds.length} ${domain} devices. Are you sure?`;
     }
 
     const entityName = entity_id && typeof entity_id === 'string' ? entity_id.replace(/^[^.]+\./, '').replace(/_/g, ' ') : 'device';
@@ -215,7 +549,7 @@ export class SecurityController {
     }
 
     // Log security violations
-    if (!entry.allowed) {
+    if (!entry.allowed && entry.violation_type) {
       logger.security(`Security violation: ${entry.violation_type || 'unknown'}`, {
         domain: entry.domain || '',
         service: entry.service || '',
@@ -241,6 +575,7 @@ export class SecurityController {
     logger.info('Security configuration updated', {
       allowedDomains: this.config.allowedDomains,
       entityWhitelistCount: this.config.entityWhitelist.length,
+      allowedRoutines: this.config.allowedRoutines,
     });
 
     this.addAuditEntry({
@@ -256,3 +591,53 @@ export class SecurityController {
     return { ...this.config };
   }
 }
+
+/**
+ * Why a routine call cannot run, if it cannot
+ */
+function checkRoutineCall(serviceCall: HAServiceCallRequest): string | undefined {
+  const { domain, service } = serviceCall;
+  if (!ROUTINE_SERVICES[domain]?.includes(service)) {
+    return `Service "${domain}.${service}" not allowed for routines`;
+  }
+  if (serviceCall.target?.area_id || serviceCall.target?.device_id) {
+    return 'Scenes, scripts and automations must be named by entity ID';
+  }
+  if (toList(serviceCall.entity_id).length + toList(serviceCall.target?.entity_id).length === 0) {
+    return `Name the ${domain} to ${service === 'turn_on' || service === 'trigger' ? 'run' : service.replace('_', ' ')}`;
+  }
+  return undefined;
+}
+
+/**
+ * Variables must be fields the script declares, and every required field must be given.
+ * Scripts that declare no fields are passed whatever was asked for.
+ */
+function scriptVariablesProblem(
+  entityId: string,
+  fields: RoutineField[],
+  variables: Record<string, unknown>
+): string | undefined {
+  if (fields.length === 0) {
+    return undefined;
+  }
+
+  const known = fields.map(field => field.name);
+  const unknown = Object.keys(variables).filter(variable => !known.includes(variable));
+  if (unknown.length > 0) {
+    return `Script "${entityId}" does not take ${unknown.join(', ')}; it takes ${known.join(', ')}`;
+  }
+
+  const missing = fields.filter(field => field.required && variables[field.name] === undefined).map(field => field.name);
+  if (missing.length > 0) {
+    return `Script "${entityId}" needs ${missing.join(', ')}`;
+  }
+  return undefined;
+}
+
+function toList(value: string | string[] | undefined): string[] {
+  if (!value) {
+    return [];
+  }
+  return Array.isArray(value) ? value : [value];
+}
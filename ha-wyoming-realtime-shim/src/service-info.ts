@@ -0,0 +1,131 @@
+/**
+ * Service Info
+ * Version, models, languages and voices advertised over Wyoming and the control API
+ */
+
+import * as fs from 'fs';
+import * as path from 'path';
+import { logger } from './logging';
+import { REALTIME_VOICES } from './realtime';
+import { WyomingAttribution, WyomingInfoMessage, TtsVoiceInfo } from './types';
+
+export const OPENAI_ATTRIBUTION: WyomingAttribution = {
+  name: 'OpenAI',
+  url: 'https://openai.com',
+};
+
+// whisper-1 only produces a final transcript
+const NON_STREAMING_TRANSCRIPTION_MODELS = ['whisper-1'];
+
+export interface ServiceInfoOptions {
+  serviceName: string;
+  model: string;
+  transcriptionModel: string;
+  voice: string;
+  /** Configured rather than derived: OpenAI publishes no per-model language list */
+  languages: string[];
+  satellite: boolean;
+}
+
+let packageVersion: string | undefined;
+
+/**
+ * Version from package.json, which ships next to dist/ in the add-on image
+ */
+export function getPackageVersion(): string {
+  if (packageVersion === undefined) {
+    try {
+      const manifest = JSON.parse(
+        fs.readFileSync(path.join(__dirname, '..', 'package.json'), 'utf8')
+      ) as { version?: unknown };
+      packageVersion = typeof manifest.version === 'string' ? manifest.version : '0.0.0';
+    } catch (error) {
+      const errorMessage = error instanceof Error ? error.message : String(error);
+      logger.warn('Failed to read package version', { error: errorMessage });
+      packageVersion = '0.0.0';
+    }
+  }
+  return packageVersion;
+}
+
+export function supportsTranscriptStreaming(transcriptionModel: string): boolean {
+  return !NON_STREAMING_TRANSCRIPTION_MODELS.includes(transcriptionModel);
+}
+
+/**
+ * Build the `info` reply from the running configuration; also served on /info
+ * and used for the zeroconf TXT record
+ */
+export function buildServiceInfo(options: ServiceInfoOptions): WyomingInfoMessage {
+  const version = getPackageVersion();
+  const languages = [...options.languages];
+
+  // Wyoming has no default flag, so list the configured voice first
+  const voices = [
+    ...REALTIME_VOICES.filter(voice => voice === options.voice),
+    ...REALTIME_VOICES.filter(voice => voice !== options.voice),
+  ];
+
+  return {
+    type: 'info',
+    data: {
+      asr: [{
+        name: options.serviceName,
+        description: 'OpenAI Realtime speech-to-text',
+        attribution: OPENAI_ATTRIBUTION,
+        installed: true,
+        version,
+        models: [{
+          name: options.transcriptionModel,
+          description: `OpenAI ${options.transcriptionModel}`,
+          attribution: OPENAI_ATTRIBUTION,
+          installed: true,
+          version,
+          languages,
+        }],
+        supports_transcript_streaming: supportsTranscriptStreaming(options.transcriptionModel),
+      }],
+      tts: [{
+        name: options.serviceName,
+        description: 'OpenAI Realtime voices',
+        attribution: OPENAI_ATTRIBUTION,
+        installed: true,
+        version,
+        voices: voices.map((voice): TtsVoiceInfo => ({
+          name: voice,
+          description: `OpenAI ${voice} voice`,
+          attribution: OPENAI_ATTRIBUTION,
+          installed: true,
+          version,
+          languages,
+        })),
+      }],
+      handle: [{
+        name: options.serviceName,
+        description: 'OpenAI Realtime conversation agent with Home Assistant control',
+        attribution: OPENAI_ATTRIBUTION,
+        installed: true,
+        version,
+        models: [{
+          name: options.model,
+          description: `OpenAI ${options.model}`,
+          attribution: OPENAI_ATTRIBUTION,
+          installed: true,
+          version,
+          languages,
+        }],
+        supports_handled_streaming: false,
+      }],
+      ...(options.satellite && {
+        satellite: {
+          name: options.serviceName,
+          description: 'Home Assistant add-on microphone and speaker',
+          attribution: OPENAI_ATTRIBUTION,
+          installed: true,
+          version,
+          area: null,
+        },
+      }),
+    },
+  };
+}
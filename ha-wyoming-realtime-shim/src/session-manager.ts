@@ -0,0 +1,273 @@
+/**
+ * Session Manager
+ * Isolated realtime sessions per Wyoming connection with a concurrency limit
+ */
+
+import { EventEmitter } from 'events';
+import { v4 as uuidv4 } from 'uuid';
+import { logger } from './logging';
+import { OpenAIRealtimeClient } from './realtime';
+import {
+  VoiceSession,
+  ConversationTurn,
+  RealtimeConversationItem,
+  SessionEventMap,
+  EmitterEvents,
+  EventMap,
+} from './types';
+import { UsageLedger, BudgetExceededError, emptyTokenUsage, addTokenUsage } from './usage';
+
+// Oldest turns are dropped beyond this so long-lived sessions stay bounded
+const MAX_TRANSCRIPT_TURNS = 100;
+
+export interface SessionManagerOptions {
+  maxSessions: number;
+  createClient: () => OpenAIRealtimeClient;
+  ledger?: UsageLedger;
+}
+
+export interface RealtimeSession {
+  session: VoiceSession;
+  client: OpenAIRealtimeClient;
+}
+
+/**
+ * Raised when a new session would exceed the configured maximum
+ */
+export class SessionLimitError extends Error {
+  readonly code = 'too-many-sessions';
+
+  constructor(public readonly maxSessions: number) {
+    super(`Maximum of ${maxSessions} concurrent voice sessions reached`);
+    this.name = 'SessionLimitError';
+  }
+}
+
+export class SessionManager extends EventEmitter<EmitterEvents<SessionEventMap>> {
+  private sessions = new Map<string, RealtimeSession>();
+  private pending = 0;
+  private options: SessionManagerOptions;
+
+  constructor(options: SessionManagerOptions) {
+    super();
+    this.options = options;
+  }
+
+  /**
+   * Open a session with its own realtime connection for a Wyoming client
+   */
+  async open(wyomingClientId: string): Promise<RealtimeSession> {
+    // Count sessions still connecting so simultaneous clients cannot overshoot
+    if (this.sessions.size + this.pending >= this.options.maxSessions) {
+      logger.warn('Voice session rejected, limit reached', {
+        wyoming_client_id: wyomingClientId,
+        max_sessions: this.options.maxSessions,
+      });
+      throw new SessionLimitError(this.options.maxSessions);
+    }
+
+    const exceeded = this.options.ledger?.checkBudget();
+    if (exceeded) {
+      logger.warn('Voice session rejected, usage budget exhausted', {
+        wyoming_client_id: wyomingClientId,
+        ...exceeded,
+      });
+      throw new BudgetExceededError(exceeded);
+    }
+
+    this.pending++;
+    const client = this.options.createClient();
+
+    try {
+      await client.connect();
+    } catch (error) {
+      client.disconnect();
+      throw error;
+    } finally {
+      this.pending--;
+    }
+
+    const now = new Date();
+    const pcmFormat = client.getPcmFormat();
+    const session: VoiceSession = {
+      sessionId: uuidv4(),
+      mode: 'wyoming',
+      status: 'active',
+      startTime: now,
+      lastActivity: now,
+      audioFormat: {
+        sampleRate: pcmFormat.rate,
+        bitDepth: pcmFormat.width * 8,
+        channels: pcmFormat.channels,
+        encoding: client.getAudioFormat(),
+      },
+      wyomingClientId,
+      transcript: [],
+      usage: emptyTokenUsage(),
+    };
+
+    const entry: RealtimeSession = { session, client };
+    this.sessions.set(session.sessionId, entry);
+    this.options.ledger?.recordSession();
+
+    // Brief drops are bridged by the client's own reconnect; only a final disconnect ends the session
+    client.on('connection_state', (event) => {
+      if (event.state === 'disconnected' && session.status === 'active') {
+        this.close(session.sessionId, 'error', 'Realtime connection lost');
+      }
+    });
+    this.recordConversation(session, client);
+
+    logger.info('Voice session opened', {
+      session_id: session.sessionId,
+      wyoming_client_id: wyomingClientId,
+      active_sessions: this.sessions.size,
+    });
+    this.emit('session_started', session);
+
+    return entry;
+  }
+
+  /**
+   * End a session and drop its realtime connection
+   */
+  close(sessionId: string, status: 'ended' | 'error' = 'ended', errorMessage?: string): void {
+    const entry = this.sessions.get(sessionId);
+    if (!entry) {
+      return;
+    }
+
+    this.sessions.delete(sessionId);
+    entry.session.status = status;
+    entry.session.endTime = new Date();
+    if (errorMessage) {
+      entry.session.errorMessage = errorMessage;
+    }
+    entry.client.disconnect();
+
+    logger.info('Voice session closed', {
+      session_id: sessionId,
+      status,
+      turns: entry.session.transcript.length,
+      total_tokens: entry.session.usage.totalTokens,
+      active_sessions: this.sessions.size,
+    });
+    this.emit('session_ended', entry.session);
+  }
+
+  /**
+   * Keep the session's transcript and token usage up to date from its client's events
+   */
+  private recordConversation(session: VoiceSession, client: OpenAIRealtimeClient): void {
+    client.on('transcription', (event: EventMap['transcription']) => {
+      const text = event.transcript.trim();
+      if (text) {
+        this.addTurn(session, { role: 'user', text, itemId: event.item_id, timestamp: new Date() });
+      }
+    });
+
+    // Typed input (text turns) never goes through transcription
+    client.on('conversation_item_created', (event: EventMap['conversation_item_created']) => {
+      const { item } = event;
+      if (item.type !== 'message' || item.role !== 'user') {
+        return;
+      }
+      const text = itemText(item);
+      if (text) {
+        this.addTurn(session, { role: 'user', text, itemId: item.id, timestamp: new Date() });
+      }
+    });
+
+    client.on('response_done', (event: EventMap['response_done']) => {
+      if (event.usage) {
+        addTokenUsage(session.usage, event.usage);
+        this.enforceSessionBudget(session);
+      }
+
+      // Spoken announcements are out-of-band and not part of the conversation
+      if (event.metadata?.['purpose'] !== 'tts') {
+        for (const item of event.output) {
+          if (item.type !== 'message' || item.role !== 'assistant') {
+            continue;
+          }
+          const text = itemText(item);
+          if (text) {
+            this.addTurn(session, {
+              role: 'assistant',
+              text,
+              itemId: item.id,
+              responseId: event.response_id,
+              timestamp: new Date(),
+            });
+          }
+        }
+      }
+
+      this.emit('session_updated', session);
+    });
+  }
+
+  /**
+   * End a session that has used up its own token cap once the current response has been delivered
+   */
+  private enforceSessionBudget(session: VoiceSession): void {
+    const exceeded = this.options.ledger?.checkSession(session.usage);
+    if (!exceeded || session.status !== 'active') {
+      return;
+    }
+
+    logger.warn('Voice session reached its token limit', { session_id: session.sessionId, ...exceeded });
+    setImmediate(() => this.close(session.sessionId, 'ended', new BudgetExceededError(exceeded).message));
+  }
+
+  private addTurn(session: VoiceSession, turn: ConversationTurn): void {
+    session.transcript.push(turn);
+    if (session.transcript.length > MAX_TRANSCRIPT_TURNS) {
+      session.transcript.splice(0, session.transcript.length - MAX_TRANSCRIPT_TURNS);
+    }
+    this.emit('session_updated', session);
+  }
+
+  touch(sessionId: string): void {
+    const entry = this.sessions.get(sessionId);
+    if (entry) {
+      entry.session.lastActivity = new Date();
+    }
+  }
+
+  getSession(sessionId: string): RealtimeSession | undefined {
+    return this.sessions.get(sessionId);
+  }
+
+  getActiveSessions(): VoiceSession[] {
+    return [...this.sessions.values()].map(entry => ({ ...entry.session }));
+  }
+
+  getClients(): OpenAIRealtimeClient[] {
+    return [...this.sessions.values()].map(entry => entry.client);
+  }
+
+  get activeCount(): number {
+    return this.sessions.size;
+  }
+
+  get maxSessions(): number {
+    return this.options.maxSessions;
+  }
+
+  closeAll(): void {
+    for (const sessionId of [...this.sessions.keys()]) {
+      this.close(sessionId);
+    }
+  }
+}
+
+/**
+ * Text of a message item, using the transcript for audio parts
+ */
+function itemText(item: RealtimeConversationItem): string {
+  return (item.content ?? [])
+    .map(part => part.text ?? part.transcript ?? '')
+    .join('')
+    .trim();
+}
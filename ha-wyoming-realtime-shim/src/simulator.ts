@@ -0,0 +1,565 @@
+/**
+ * Realtime Simulator
+ * Local stand-in for the OpenAI Realtime WebSocket API, driven by a scenario file
+ */
+
+import * as fs from 'fs';
+import * as path from 'path';
+import WS, { WebSocketServer } from 'ws';
+import { v4 as uuidv4 } from 'uuid';
+import { logger } from './logging';
+import {
+  REALTIME_PCM_FORMAT,
+  convertAudio,
+  encodeRealtimeAudio,
+  realtimeAudioMs,
+  realtimePcmFormat,
+} from './audio-format';
+import {
+  RealtimeConversationItem,
+  RealtimeEvent,
+  RealtimeResponseStatus,
+  RealtimeSessionResource,
+  RealtimeUsage,
+} from './types';
+
+const FRAME_BYTES = REALTIME_PCM_FORMAT.width * REALTIME_PCM_FORMAT.channels;
+// 100ms of audio per delta
+const AUDIO_CHUNK_MS = 100;
+// Generated speech length when a step has no audio file
+const SPOKEN_MS_PER_CHARACTER = 60;
+const DEFAULT_FALLBACK = 'This is the simulated assistant. The scenario has no answer for that.';
+
+/**
+ * One scripted exchange. A turn starts on an audio commit or a typed message;
+ * its steps run across responses, each function call ending one response.
+ */
+export interface ScenarioTurn {
+  trigger?: 'commit' | 'text' | 'any';
+  /** Regular expression the typed text must match (case-insensitive) */
+  match?: string;
+  /** What the user "said" when the turn starts on a commit */
+  transcript?: string;
+  steps: ScenarioStep[];
+}
+
+export type ScenarioStep =
+  | { call: string; arguments?: Record<string, unknown> }
+  | { say: string; audio?: string };
+
+export interface SimulatorScenario {
+  turns: ScenarioTurn[];
+  /** Answer when no turn matches */
+  fallback?: string;
+  /** Stream audio at playback speed instead of as fast as possible */
+  realtime?: boolean;
+}
+
+export interface RealtimeSimulatorOptions {
+  port: number;
+  host?: string;
+  /** Scenario JSON; without one every turn gets the fallback answer */
+  scenarioPath?: string;
+}
+
+interface PendingTurn {
+  turn: ScenarioTurn;
+  step: number;
+}
+
+interface ActiveResponse {
+  id: string;
+  cancelled: boolean;
+}
+
+/**
+ * Read and check a scenario file; audio paths resolve against its directory
+ */
+export function loadScenario(scenarioPath: string): SimulatorScenario {
+  let scenario: SimulatorScenario;
+  try {
+    scenario = JSON.parse(fs.readFileSync(scenarioPath, 'utf8')) as SimulatorScenario;
+  } catch (error) {
+    const errorMessage = error instanceof Error ? error.message : String(error);
+    throw new Error(`Failed to read simulator scenario ${scenarioPath}: ${errorMessage}`);
+  }
+
+  if (!scenario || !Array.isArray(scenario.turns)) {
+    throw new Error(`Simulator scenario ${scenarioPath} must have a "turns" array`);
+  }
+
+  const baseDir = path.dirname(path.resolve(scenarioPath));
+  scenario.turns.forEach((turn, index) => {
+    if (!Array.isArray(turn.steps) || turn.steps.length === 0) {
+      throw new Error(`Simulator scenario turn ${index} needs at least one step`);
+    }
+    if (turn.match !== undefined) {
+      new RegExp(turn.match, 'i');
+    }
+    for (const step of turn.steps) {
+      if ('call' in step) {
+        continue;
+      }
+      if (typeof step.say !== 'string') {
+        throw new Error(`Simulator scenario turn ${index} has a step without "call" or "say"`);
+      }
+      if (step.audio) {
+        step.audio = path.resolve(baseDir, step.audio);
+        if (!fs.existsSync(step.audio)) {
+          throw new Error(`Simulator scenario audio not found: ${step.audio}`);
+        }
+      }
+    }
+  });
+
+  return scenario;
+}
+
+/**
+ * WebSocket server speaking the session, audio, transcription, response and
+ * function-call events the realtime client uses
+ */
+export class RealtimeSimulator {
+  private server: WebSocketServer | undefined;
+  private scenario: SimulatorScenario;
+
+  constructor(private options: RealtimeSimulatorOptions) {
+    this.scenario = options.scenarioPath ? loadScenario(options.scenarioPath) : { turns: [] };
+  }
+
+  /**
+   * Start listening; resolves with the URL to use as the realtime endpoint
+   */
+  async start(): Promise<string> {
+    const host = this.options.host ?? '127.0.0.1';
+
+    const server = await new Promise<WebSocketServer>((resolve, reject) => {
+      const wss = new WebSocketServer({ host, port: this.options.port });
+      wss.once('listening', () => resolve(wss));
+      wss.once('error', reject);
+    });
+    this.server = server;
+
+    server.on('connection', (socket) => {
+      new SimulatedSession(socket, this.scenario);
+    });
+
+    const address = server.address();
+    const port = typeof address === 'object' && address ? address.port : this.options.port;
+    const url = `ws://${host}:${port}/v1/realtime`;
+
+    logger.info('Realtime simulator listening', {
+      url,
+      scenario: this.options.scenarioPath || 'fallback only',
+      turns: this.scenario.turns.length,
+    });
+    return url;
+  }
+
+  async stop(): Promise<void> {
+    const server = this.server;
+    this.server = undefined;
+    if (!server) {
+      return;
+    }
+
+    for (const client of server.clients) {
+      client.terminate();
+    }
+    await new Promise<void>((resolve) => server.close(() => resolve()));
+  }
+}
+
+/**
+ * Per-socket conversation, mirroring one server-side realtime session
+ */
+class SimulatedSession {
+  private readonly sessionId = `sess_${uuidv4()}`;
+  private session: RealtimeSessionResource;
+  private bufferBytes = 0;
+  private speaking = false;
+  private lastItemId: string | null = null;
+  private nextCommitTurn = 0;
+  private pending: PendingTurn | undefined;
+  private activeResponse: ActiveResponse | undefined;
+
+  constructor(private socket: WS, private scenario: SimulatorScenario) {
+    this.session = {
+      id: this.sessionId,
+      object: 'realtime.session',
+      modalities: ['text', 'audio'],
+      turn_detection: null,
+    };
+
+    socket.on('message', (data) => {
+      let event: RealtimeEvent;
+      try {
+        event = JSON.parse(data.toString()) as RealtimeEvent;
+      } catch {
+        this.sendError('invalid_request_error', 'invalid_json', 'Event is not valid JSON');
+        return;
+      }
+      this.handleEvent(event).catch((error) => {
+        logger.error('Realtime simulator failed to handle event', { type: event.type, error: error.message });
+      });
+    });
+
+    this.send({ type: 'session.created', session: this.session });
+  }
+
+  private async handleEvent(event: RealtimeEvent): Promise<void> {
+    switch (event.type) {
+      case 'session.update':
+        this.session = { ...this.session, ...(event['session'] as Partial<RealtimeSessionResource>), id: this.sessionId };
+        this.send({ type: 'session.updated', session: this.session });
+        break;
+      case 'input_audio_buffer.append':
+        this.appendAudio(String(event['audio'] ?? ''));
+        break;
+      case 'input_audio_buffer.commit':
+        await this.commitAudio();
+        break;
+      case 'input_audio_buffer.clear':
+        this.bufferBytes = 0;
+        this.speaking = false;
+        this.send({ type: 'input_audio_buffer.cleared' });
+        break;
+      case 'conversation.item.create':
+        this.createItem(event['item'] as RealtimeConversationItem);
+        break;
+      case 'conversation.item.truncate':
+        this.send({
+          type: 'conversation.item.truncated',
+          item_id: event['item_id'],
+          content_index: event['content_index'],
+          audio_end_ms: event['audio_end_ms'],
+        });
+        break;
+      case 'response.create':
+        await this.runResponse((event['response'] ?? {}) as Record<string, unknown>);
+        break;
+      case 'response.cancel':
+        if (this.activeResponse) {
+          this.activeResponse.cancelled = true;
+        } else {
+          this.sendError('invalid_request_error', 'response_cancel_not_active', 'Cancellation failed: no active response found');
+        }
+        break;
+      default:
+        this.sendError('invalid_request_error', 'unknown_event', `Simulator does not handle ${event.type}`);
+    }
+  }
+
+  private appendAudio(audio: string): void {
+    this.bufferBytes += Buffer.from(audio, 'base64').length;
+
+    // With turn detection on, the first audio after a commit counts as speech, which drives barge-in
+    if (!this.speaking && this.session.turn_detection) {
+      this.speaking = true;
+      this.send({
+        type: 'input_audio_buffer.speech_started',
+        item_id: this.newItemId(),
+        audio_start_ms: 0,
+      });
+    }
+  }
+
+  private async commitAudio(): Promise<void> {
+    if (this.bufferBytes === 0) {
+      this.sendError('invalid_request_error', 'input_audio_buffer_commit_empty', 'Input audio buffer is empty');
+      return;
+    }
+
+    const audioMs = Math.round(realtimeAudioMs(this.bufferBytes, this.session.input_audio_format ?? 'pcm16'));
+    const itemId = this.newItemId();
+    this.bufferBytes = 0;
+
+    if (this.speaking) {
+      this.speaking = false;
+      this.send({ type: 'input_audio_buffer.speech_stopped', item_id: itemId, audio_end_ms: audioMs });
+    }
+
+    this.send({ type: 'input_audio_buffer.committed', item_id: itemId, previous_item_id: this.lastItemId });
+    this.addItem({
+      id: itemId,
+      type: 'message',
+      role: 'user',
+      status: 'completed',
+      content: [{ type: 'input_audio', transcript: null }],
+    });
+
+    // Spoken turns are taken in scenario order, wrapping around
+    const turns = this.scenario.turns.filter(turn => (turn.trigger ?? 'any') !== 'text');
+    const turn = turns.length > 0 ? turns[this.nextCommitTurn++ % turns.length] : undefined;
+    this.pending = turn ? { turn, step: 0 } : undefined;
+
+    if (this.session.input_audio_transcription) {
+      const transcript = turn?.transcript ?? '';
+      for (const word of transcript.split(/(?<= )/).filter(Boolean)) {
+        this.send({
+          type: 'conversation.item.input_audio_transcription.delta',
+          item_id: itemId,
+          content_index: 0,
+          delta: word,
+        });
+      }
+      this.send({
+        type: 'conversation.item.input_audio_transcription.completed',
+        item_id: itemId,
+        content_index: 0,
+        transcript,
+      });
+    }
+
+    if (this.session.turn_detection?.create_response) {
+      await this.runResponse({});
+    }
+  }
+
+  private createItem(item: RealtimeConversationItem): void {
+    const created: RealtimeConversationItem = { ...item, id: item.id || this.newItemId(), status: 'completed' };
+    this.addItem(created);
+
+    if (created.type === 'message' && created.role === 'user') {
+      const text = (created.content ?? []).map(part => part.text ?? '').join(' ').trim();
+      const turn = this.scenario.turns.find(candidate =>
+        (candidate.trigger ?? 'any') !== 'commit'
+        && (candidate.match === undefined || new RegExp(candidate.match, 'i').test(text))
+      );
+      this.pending = turn ? { turn, step: 0 } : undefined;
+    }
+  }
+
+  private addItem(item: RealtimeConversationItem): void {
+    this.send({ type: 'conversation.item.created', previous_item_id: this.lastItemId, item });
+    this.lastItemId = item.id;
+  }
+
+  /**
+   * Play the pending turn's steps up to and including the next function call
+   */
+  private async runResponse(request: Record<string, unknown>): Promise<void> {
+    if (this.activeResponse) {
+      this.sendError('invalid_request_error', 'conversation_already_has_active_response',
+        `Conversation already has an active response: ${this.activeResponse.id}`);
+      return;
+    }
+
+    const modalities = (request['modalities'] as string[] | undefined) ?? this.session.modalities ?? ['text', 'audio'];
+    const metadata = (request['metadata'] as Record<string, string> | undefined) ?? null;
+    const outOfBand = request['conversation'] === 'none';
+    const active: ActiveResponse = { id: `resp_${uuidv4()}`, cancelled: false };
+    this.activeResponse = active;
+
+    const output: RealtimeConversationItem[] = [];
+    const usage = { inputText: 0, inputAudio: 0, outputText: 0, outputAudio: 0 };
+
+    this.send({
+      type: 'response.created',
+      response: { id: active.id, object: 'realtime.response', status: 'in_progress', output: [], metadata },
+    });
+
+    let steps: ScenarioStep[];
+    if (outOfBand) {
+      // Out-of-band requests (announcements) read their own input aloud
+      const input = (request['input'] as RealtimeConversationItem[] | undefined) ?? [];
+      const text = input.flatMap(item => item.content ?? []).map(part => part.text ?? '').join(' ');
+      usage.inputText += estimateTextTokens(text);
+      steps = [{ say: text }];
+    } else if (this.pending) {
+      const { turn, step } = this.pending;
+      const callIndex = turn.steps.findIndex((candidate, index) => index >= step && 'call' in candidate);
+      const end = callIndex === -1 ? turn.steps.length : callIndex + 1;
+      steps = turn.steps.slice(step, end);
+      this.pending = end < turn.steps.length ? { turn, step: end } : undefined;
+    } else {
+      steps = [{ say: this.scenario.fallback ?? DEFAULT_FALLBACK }];
+    }
+
+    for (const step of steps) {
+      if (active.cancelled) {
+        break;
+      }
+      if ('call' in step) {
+        output.push(this.sendFunctionCall(active.id, output.length, step.call, step.arguments ?? {}));
+      } else {
+        output.push(await this.sendMessage(active, output.length, step, modalities.includes('audio'), usage));
+      }
+    }
+
+    const status: RealtimeResponseStatus = active.cancelled ? 'cancelled' : 'completed';
+    if (active.cancelled) {
+      this.pending = undefined;
+    }
+    this.activeResponse = undefined;
+
+    const responseUsage: RealtimeUsage = {
+      input_tokens: usage.inputText + usage.inputAudio,
+      output_tokens: usage.outputText + usage.outputAudio,
+      total_tokens: usage.inputText + usage.inputAudio + usage.outputText + usage.outputAudio,
+      input_token_details: { text_tokens: usage.inputText, audio_tokens: usage.inputAudio, cached_tokens: 0 },
+      output_token_details: { text_tokens: usage.outputText, audio_tokens: usage.outputAudio },
+    };
+
+    this.send({
+      type: 'response.done',
+      response: {
+        id: active.id,
+        object: 'realtime.response',
+        status,
+        output,
+        metadata,
+        usage: responseUsage,
+        ...(Array.isArray(request['modalities']) && { modalities: request['modalities'] }),
+      },
+    });
+    this.send({
+      type: 'rate_limits.updated',
+      rate_limits: [
+        { name: 'requests', limit: 1000, remaining: 999, reset_seconds: 60 },
+        { name: 'tokens', limit: 100000, remaining: 100000 - responseUsage.total_tokens, reset_seconds: 60 },
+      ],
+    });
+  }
+
+  private sendFunctionCall(
+    responseId: string,
+    outputIndex: number,
+    name: string,
+    args: Record<string, unknown>
+  ): RealtimeConversationItem {
+    const callId = `call_${uuidv4()}`;
+    const argumentText = JSON.stringify(args);
+    const item: RealtimeConversationItem = {
+      id: this.newItemId(),
+      type: 'function_call',
+      status: 'completed',
+      call_id: callId,
+      name,
+      arguments: argumentText,
+    };
+
+    this.send({
+      type: 'response.output_item.added',
+      response_id: responseId,
+      output_index: outputIndex,
+      item: { ...item, status: 'in_progress', arguments: '' },
+    });
+    this.send({
+      type: 'response.function_call_arguments.delta',
+      response_id: responseId,
+      item_id: item.id,
+      output_index: outputIndex,
+      call_id: callId,
+      delta: argumentText,
+    });
+    this.send({
+      type: 'response.function_call_arguments.done',
+      response_id: responseId,
+      item_id: item.id,
+      output_index: outputIndex,
+      call_id: callId,
+      name,
+      arguments: argumentText,
+    });
+    this.send({ type: 'response.output_item.done', response_id: responseId, output_index: outputIndex, item });
+    this.lastItemId = item.id;
+
+    return item;
+  }
+
+  private async sendMessage(
+    active: ActiveResponse,
+    outputIndex: number,
+    step: { say: string; audio?: string },
+    withAudio: boolean,
+    usage: { outputText: number; outputAudio: number }
+  ): Promise<RealtimeConversationItem> {
+    const itemId = this.newItemId();
+    const base = { response_id: active.id, item_id: itemId, output_index: outputIndex, content_index: 0 };
+
+    this.send({
+      type: 'response.output_item.added',
+      response_id: active.id,
+      output_index: outputIndex,
+      item: { id: itemId, type: 'message', role: 'assistant', status: 'in_progress', content: [] },
+    });
+
+    if (withAudio) {
+      const pcm = step.audio
+        ? fs.readFileSync(step.audio)
+        : Buffer.alloc(Math.ceil(step.say.length * SPOKEN_MS_PER_CHARACTER * REALTIME_PCM_FORMAT.rate / 1000) * FRAME_BYTES);
+      // Scenario audio is 24kHz; G.711 sessions get it resampled and encoded
+      const format = this.session.output_audio_format ?? 'pcm16';
+      const audio = encodeRealtimeAudio(convertAudio(pcm, REALTIME_PCM_FORMAT, realtimePcmFormat(format)), format);
+      const chunkBytes = Math.round(audio.length * AUDIO_CHUNK_MS / Math.max(1, realtimeAudioMs(audio.length, format)));
+
+      this.send({ type: 'response.audio_transcript.delta', ...base, delta: step.say });
+      for (let offset = 0; offset < audio.length && !active.cancelled; offset += chunkBytes) {
+        const chunk = audio.subarray(offset, offset + chunkBytes);
+        this.send({ type: 'response.audio.delta', ...base, delta: chunk.toString('base64') });
+        if (this.scenario.realtime) {
+          await delay(realtimeAudioMs(chunk.length, format));
+        } else {
+          // Yield so cancel and truncate events are read between chunks
+          await delay(0);
+        }
+      }
+      this.send({ type: 'response.audio.done', ...base });
+      this.send({ type: 'response.audio_transcript.done', ...base, transcript: step.say });
+      usage.outputAudio += Math.ceil(realtimeAudioMs(audio.length, format) / 50);
+    } else {
+      this.send({ type: 'response.text.delta', ...base, delta: step.say });
+      this.send({ type: 'response.text.done', ...base, text: step.say });
+    }
+    usage.outputText += estimateTextTokens(step.say);
+
+    const item: RealtimeConversationItem = {
+      id: itemId,
+      type: 'message',
+      role: 'assistant',
+      status: active.cancelled ? 'incomplete' : 'completed',
+      content: [withAudio ? { type: 'audio', transcript: step.say } : { type: 'text', text: step.say }],
+    };
+    this.send({ type: 'response.output_item.done', response_id: active.id, output_index: outputIndex, item });
+    this.lastItemId = itemId;
+
+    return item;
+  }
+
+  private newItemId(): string {
+    return `item_${uuidv4().replace(/-/g, '').slice(0, 20)}`;
+  }
+
+  private sendError(type: string, code: string, message: string): void {
+    this.send({ type: 'error', error: { type, code, message } });
+  }
+
+  private send(event: RealtimeEvent): void {
+    if (this.socket.readyState === WS.OPEN) {
+      this.socket.send(JSON.stringify({ event_id: `event_${uuidv4()}`, ...event }));
+    }
+  }
+}
+
+// Roughly four characters per token, as for English text
+function estimateTextTokens(text: string): number {
+  return Math.ceil(text.length / 4);
+}
+
+function delay(ms: number): Promise<void> {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// Run standalone: node dist/simulator.js [scenario.json] [port]
+if (require.main === module) {
+  const [scenarioPath, port] = process.argv.slice(2);
+  const simulator = new RealtimeSimulator({
+    port: port ? parseInt(port, 10) : 10700,
+    ...(scenarioPath && { scenarioPath }),
+  });
+  simulator.start().catch((error) => {
+    logger.error('Realtime simulator failed to start', { error: error.message });
+    process.exit(1);
+  });
+}
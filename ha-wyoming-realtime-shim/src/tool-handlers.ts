@@ -0,0 +1,379 @@
+/**
+ * Tool Handlers
+ * Turns the climate, media and routine tools into the Home Assistant service calls behind them
+ */
+
+import { logger } from './logging';
+import { HABridge } from './ha-bridge';
+import { SecurityController, ConfirmationRequiredError, ROUTINE_DOMAINS } from './security';
+import { VoiceResponseGenerator } from './prompt';
+import { HAEntity, HAServiceCallRequest, HAServiceDescription, ConfirmationTicket, RoutineField } from './types';
+
+export interface ToolHandlerOptions {
+  haBridge: HABridge;
+  securityController: SecurityController;
+  responses: VoiceResponseGenerator;
+}
+
+export interface SetClimateArgs {
+  entity_id: string;
+  temperature?: number;
+  hvac_mode?: string;
+  fan_mode?: string;
+}
+
+export type MediaAction = 'play' | 'pause' | 'stop' | 'next' | 'previous' | 'volume_up' | 'volume_down';
+
+export interface ControlMediaArgs {
+  entity_id: string;
+  action: MediaAction;
+  volume_level?: number;
+}
+
+export type RoutineKind = 'scene' | 'script' | 'automation';
+
+export type RoutineAction = 'run' | 'turn_on' | 'turn_off';
+
+export interface RunRoutineArgs {
+  entity_id: string;
+  /** run activates a scene, runs a script or triggers an automation */
+  action: RoutineAction;
+  /** Script variables, checked against the script's fields */
+  variables?: Record<string, unknown>;
+}
+
+/**
+ * An allowed scene, script or automation as the routine list shows it
+ */
+export interface RoutineSummary {
+  entity_id: string;
+  name: string;
+  kind: RoutineKind;
+  /** Scripts are on while running, automations while enabled */
+  state: string;
+  description?: string;
+  fields?: RoutineField[];
+}
+
+/**
+ * What a tool did, in a shape the model can read back to the user
+ */
+export interface ToolCallResult {
+  entity_id: string;
+  name: string;
+  /** Services called, in order, e.g. climate.set_hvac_mode */
+  services: string[];
+  changes: Record<string, unknown>;
+  previous_state: string;
+  message: string;
+}
+
+// Home Assistant MediaPlayerEntityFeature bits
+const MEDIA_FEATURES = {
+  PAUSE: 1,
+  VOLUME_SET: 4,
+  PREVIOUS_TRACK: 16,
+  NEXT_TRACK: 32,
+  TURN_ON: 128,
+  VOLUME_STEP: 1024,
+  STOP: 4096,
+  PLAY: 16384,
+};
+
+const ROUTINE_SERVICES: Record<RoutineKind, Partial<Record<RoutineAction, string>>> = {
+  scene: { run: 'turn_on', turn_on: 'turn_on' },
+  script: { run: 'turn_on', turn_on: 'turn_on', turn_off: 'turn_off' },
+  automation: { run: 'trigger', turn_on: 'turn_on', turn_off: 'turn_off' },
+};
+
+const MEDIA_ACTIONS: Record<MediaAction, { service: string; feature: number; description: string }> = {
+  play: { service: 'media_play', feature: MEDIA_FEATURES.PLAY, description: 'play' },
+  pause: { service: 'media_pause', feature: MEDIA_FEATURES.PAUSE, description: 'pause' },
+  stop: { service: 'media_stop', feature: MEDIA_FEATURES.STOP, description: 'stop' },
+  next: { service: 'media_next_track', feature: MEDIA_FEATURES.NEXT_TRACK, description: 'skip tracks' },
+  previous: { service: 'media_previous_track', feature: MEDIA_FEATURES.PREVIOUS_TRACK, description: 'go back a track' },
+  volume_up: { service: 'volume_up', feature: MEDIA_FEATURES.VOLUME_STEP, description: 'step the volume' },
+  volume_down: { service: 'volume_down', feature: MEDIA_FEATURES.VOLUME_STEP, description: 'step the volume' },
+};
+
+export class ToolHandlers {
+  constructor(private options: ToolHandlerOptions) {}
+
+  /**
+   * Mode first so the temperature applies to the mode the device ends up in, then fan speed
+   */
+  async setClimate(args: SetClimateArgs, confirmation?: ConfirmationTicket): Promise<ToolCallResult> {
+    const entity = await this.getEntity(args.entity_id, 'climate');
+    const name = entityName(entity);
+    const attributes = entity.attributes;
+
+    if (args.temperature === undefined && !args.hvac_mode && !args.fan_mode) {
+      throw new Error('Nothing to change: give a temperature, HVAC mode or fan mode');
+    }
+
+    if (args.hvac_mode) {
+      checkOption(name, 'HVAC mode', args.hvac_mode, attributes['hvac_modes']);
+    }
+    if (args.fan_mode) {
+      checkOption(name, 'fan mode', args.fan_mode, attributes['fan_modes']);
+    }
+
+    // Turning the device off makes a target temperature or fan speed meaningless
+    const turningOff = args.hvac_mode === 'off';
+    const calls: HAServiceCallRequest[] = [];
+    const changes: Record<string, unknown> = {};
+
+    if (args.hvac_mode) {
+      calls.push({ domain: 'climate', service: 'set_hvac_mode', entity_id: entity.entity_id, data: { hvac_mode: args.hvac_mode } });
+      changes['hvac_mode'] = args.hvac_mode;
+    }
+    if (args.temperature !== undefined && !turningOff) {
+      const min = numberAttribute(attributes['min_temp']);
+      const max = numberAttribute(attributes['max_temp']);
+      if ((min !== undefined && args.temperature < min) || (max !== undefined && args.temperature > max)) {
+        throw new Error(`The ${name} accepts temperatures from ${min ?? '?'} to ${max ?? '?'} degrees`);
+      }
+      calls.push({ domain: 'climate', service: 'set_temperature', entity_id: entity.entity_id, data: { temperature: args.temperature } });
+      changes['temperature'] = args.temperature;
+    }
+    if (args.fan_mode && !turningOff) {
+      calls.push({ domain: 'climate', service: 'set_fan_mode', entity_id: entity.entity_id, data: { fan_mode: args.fan_mode } });
+      changes['fan_mode'] = args.fan_mode;
+    }
+
+    const services = await this.callServices(calls, confirmation);
+    return {
+      entity_id: entity.entity_id,
+      name,
+      services,
+      changes,
+      previous_state: entity.state,
+      message: this.options.responses.generateClimateResponse(name, changes),
+    };
+  }
+
+  /**
+   * Player controls, switching the player on first when asked to play while it is off
+   */
+  async controlMedia(args: ControlMediaArgs, confirmation?: ConfirmationTicket): Promise<ToolCallResult> {
+    const entity = await this.getEntity(args.entity_id, 'media_player');
+    const name = entityName(entity);
+    const action = MEDIA_ACTIONS[args.action];
+    if (!action) {
+      throw new Error(`Unknown media action: ${String(args.action)}`);
+    }
+
+    const features = numberAttribute(entity.attributes['supported_features']);
+    const supports = (feature: number) => features === undefined || (features & feature) !== 0;
+    const calls: HAServiceCallRequest[] = [];
+    const changes: Record<string, unknown> = { action: args.action };
+    const setsVolume = args.volume_level !== undefined;
+    const isVolumeStep = args.action === 'volume_up' || args.action === 'volume_down';
+
+    if (setsVolume && !supports(MEDIA_FEATURES.VOLUME_SET)) {
+      throw new Error(`The ${name} cannot set its volume`);
+    }
+
+    // An exact level replaces a volume step
+    if (!(isVolumeStep && setsVolume)) {
+      if (!supports(action.feature)) {
+        throw new Error(`The ${name} cannot ${action.description}`);
+      }
+      if (args.action === 'play' && entity.state === 'off' && supports(MEDIA_FEATURES.TURN_ON)) {
+        calls.push({ domain: 'media_player', service: 'turn_on', entity_id: entity.entity_id });
+      }
+      calls.push({ domain: 'media_player', service: action.service, entity_id: entity.entity_id });
+    }
+    if (setsVolume) {
+      const level = Math.max(0, Math.min(1, args.volume_level as number));
+      calls.push({ domain: 'media_player', service: 'volume_set', entity_id: entity.entity_id, data: { volume_level: level } });
+      changes['volume_level'] = level;
+    }
+
+    const services = await this.callServices(calls, confirmation);
+    return {
+      entity_id: entity.entity_id,
+      name,
+      services,
+      changes,
+      previous_state: entity.state,
+      message: this.options.responses.generateMediaResponse(name, args.action, changes['volume_level'] as number | undefined),
+    };
+  }
+
+  /**
+   * Allowed scenes, scripts and automations, with the variables each script takes
+   */
+  async listRoutines(kind?: RoutineKind): Promise<RoutineSummary[]> {
+    if (kind !== undefined && !ROUTINE_DOMAINS.includes(kind)) {
+      throw new Error(`Unknown routine kind: ${String(kind)}`);
+    }
+
+    const states = await this.options.haBridge.getStates();
+    const routines = states.filter(entity => {
+      const domain = entity.entity_id.split('.')[0] || '';
+      return (kind ? domain === kind : ROUTINE_DOMAINS.includes(domain))
+        && this.options.securityController.isRoutineAllowed(entity.entity_id);
+    });
+
+    const scripts = routines.some(entity => entity.entity_id.startsWith('script.')) ? await this.getScriptServices() : {};
+
+    return routines
+      .map(entity => {
+        const routineKind = entity.entity_id.split('.')[0] as RoutineKind;
+        const script = scripts[entity.entity_id.replace(/^script\./, '')];
+        const description = script?.description;
+        const fields = routineKind === 'script' ? scriptFields(script) : [];
+        return {
+          entity_id: entity.entity_id,
+          name: entityName(entity),
+          kind: routineKind,
+          state: entity.state,
+          ...(description && { description }),
+          ...(fields.length > 0 && { fields }),
+        };
+      })
+      .sort((a, b) => a.kind.localeCompare(b.kind) || a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Activate a scene, run or stop a script, or trigger, enable or disable an automation
+   */
+  async runRoutine(args: RunRoutineArgs, confirmation?: ConfirmationTicket): Promise<ToolCallResult> {
+    const entity = await this.getRoutine(args.entity_id);
+    const name = entityName(entity);
+    const kind = entity.entity_id.split('.')[0] as RoutineKind;
+    const service = ROUTINE_SERVICES[kind][args.action];
+    if (!service) {
+      throw new Error(`Cannot ${String(args.action).replace('_', ' ')} the ${name} ${kind}`);
+    }
+
+    const variables = args.variables ?? {};
+    const hasVariables = Object.keys(variables).length > 0;
+    // Script variables are checked against the script's fields by the security controller
+    if (hasVariables && !(kind === 'script' && service === 'turn_on')) {
+      throw new Error('Only scripts take variables, when they are run');
+    }
+
+    const changes: Record<string, unknown> = { action: args.action };
+    if (hasVariables) {
+      changes['variables'] = variables;
+    }
+
+    const services = await this.callServices([{
+      domain: kind,
+      service,
+      entity_id: entity.entity_id,
+      ...(hasVariables && { data: { variables } }),
+    }], confirmation);
+
+    return {
+      entity_id: entity.entity_id,
+      name,
+      services,
+      changes,
+      previous_state: entity.state,
+      message: this.options.responses.generateRoutineResponse(name, kind, args.action),
+    };
+  }
+
+  private async getRoutine(entityId: string): Promise<HAEntity> {
+    const domain = typeof entityId === 'string' ? entityId.split('.')[0] || '' : '';
+    if (!ROUTINE_DOMAINS.includes(domain)) {
+      throw new Error(`"${String(entityId)}" is not a scene, script or automation`);
+    }
+    if (!this.options.securityController.isRoutineAllowed(entityId)) {
+      throw new Error(`Entity "${entityId}" not allowed`);
+    }
+    return this.options.haBridge.getState(entityId);
+  }
+
+  /**
+   * Fields a script declares; throws when Home Assistant cannot be asked, so callers checking
+   * variables fail closed
+   */
+  async getScriptFields(entityId: string): Promise<RoutineField[]> {
+    const services = await this.options.haBridge.getServices();
+    return scriptFields(services['script']?.[entityId.replace(/^script\./, '')]);
+  }
+
+  /**
+   * Each script is also a service named after it, described with the fields it takes
+   */
+  private async getScriptServices(): Promise<Record<string, HAServiceDescription>> {
+    try {
+      const services = await this.options.haBridge.getServices();
+      return services['script'] ?? {};
+    } catch (error) {
+      const errorMessage = error instanceof Error ? error.message : String(error);
+      logger.warn('Script fields unavailable', { error: errorMessage });
+      return {};
+    }
+  }
+
+  private async getEntity(entityId: string, domain: string): Promise<HAEntity> {
+    if (typeof entityId !== 'string' || !entityId.startsWith(`${domain}.`)) {
+      throw new Error(`"${String(entityId)}" is not a ${domain.replace('_', ' ')} entity`);
+    }
+    // Checked before the state is read so hidden entities are not even looked up
+    if (!this.options.securityController.isEntityAllowed(entityId)) {
+      throw new Error(`Entity "${entityId}" not allowed`);
+    }
+    return this.options.haBridge.getState(entityId);
+  }
+
+  /**
+   * Run the calls in order; each is validated by the security controller on the way.
+   * A failure part way through reports what was already applied; a call needing confirmation
+   * is passed on as is, since confirming replays the whole tool call.
+   */
+  private async callServices(calls: HAServiceCallRequest[], confirmation?: ConfirmationTicket): Promise<string[]> {
+    const done: string[] = [];
+
+    for (const call of calls) {
+      const service = `${call.domain}.${call.service}`;
+      try {
+        await this.options.haBridge.callService(call, { ...(confirmation && { confirmation }) });
+      } catch (error) {
+        const errorMessage = error instanceof Error ? error.message : String(error);
+        if (done.length > 0 && !(error instanceof ConfirmationRequiredError)) {
+          logger.warn('Tool service sequence stopped part way', { completed: done, failed: service, error: errorMessage });
+          throw new Error(`${errorMessage} (already applied: ${done.join(', ')})`);
+        }
+        throw error;
+      }
+      done.push(service);
+    }
+
+    return done;
+  }
+}
+
+function entityName(entity: HAEntity): string {
+  const friendlyName = entity.attributes['friendly_name'];
+  return typeof friendlyName === 'string' && friendlyName
+    ? friendlyName
+    : entity.entity_id.replace(/^[^.]+\./, '').replace(/_/g, ' ');
+}
+
+function numberAttribute(value: unknown): number | undefined {
+  return typeof value === 'number' && Number.isFinite(value) ? value : undefined;
+}
+
+function scriptFields(script: HAServiceDescription | undefined): RoutineField[] {
+  return Object.entries(script?.fields ?? {}).map(([name, field]) => ({
+    name,
+    ...(field.description && { description: field.description }),
+    required: field.required === true,
+    ...(field.example !== undefined && { example: field.example }),
+  }));
+}
+
+/**
+ * Reject a mode the device does not list; devices that list none accept anything
+ */
+function checkOption(name: string, label: string, value: string, options: unknown): void {
+  if (Array.isArray(options) && options.length > 0 && !options.includes(value)) {
+    throw new Error(`The ${name} does not support ${label} "${value}"; it supports ${options.join(', ')}`);
+  }
+}
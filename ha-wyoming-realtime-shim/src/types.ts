@@ -7,7 +7,7 @@
 // Voice Session Types
 // ============================================================================
 
-export type SessionMode = 'ptt' | 'vad';
+export type SessionMode = 'ptt' | 'vad' | 'wyoming';
 export type SessionStatus = 'active' | 'paused' | 'ended' | 'error';
 
 export interface VoiceSession {
@@ -21,6 +21,57 @@ export interface VoiceSession {
   wyomingClientId?: string;
   endTime?: Date;
   errorMessage?: string;
+  transcript: ConversationTurn[];
+  usage: TokenUsage;
+}
+
+export interface ConversationTurn {
+  role: 'user' | 'assistant';
+  text: string;
+  itemId?: string;
+  responseId?: string;
+  timestamp: Date;
+}
+
+export interface TokenUsage {
+  responses: number;
+  inputTokens: number;
+  outputTokens: number;
+  totalTokens: number;
+  inputTextTokens: number;
+  inputAudioTokens: number;
+  cachedTokens: number;
+  outputTextTokens: number;
+  outputAudioTokens: number;
+}
+
+/**
+ * One day's entry in the persistent usage ledger
+ */
+export interface UsageTotals extends TokenUsage {
+  sessions: number;
+  audioInputSeconds: number;
+  audioOutputSeconds: number;
+}
+
+export type BudgetLimitName = 'daily_tokens' | 'monthly_tokens' | 'daily_audio_minutes' | 'session_tokens';
+
+/**
+ * Caps on spend; 0 disables a limit
+ */
+export interface BudgetLimits {
+  dailyTokens: number;
+  monthlyTokens: number;
+  sessionTokens: number;
+  dailyAudioMinutes: number;
+  warningPercent: number;
+}
+
+export interface BudgetStatus {
+  limit: BudgetLimitName;
+  used: number;
+  cap: number;
+  percent: number;
 }
 
 export interface AudioFormat {
@@ -65,6 +116,37 @@ export interface HAContext {
   user_id?: string;
 }
 
+/**
+ * Entry from config/entity_registry/list; entities without a unique ID are not in the registry
+ */
+export interface HAEntityRegistryEntry {
+  entity_id: string;
+  name: string | null;
+  entity_category?: string | null;
+  original_name?: string | null;
+  aliases?: string[];
+  area_id: string | null;
+  device_id: string | null;
+  platform: string;
+  disabled_by: string | null;
+  hidden_by: string | null;
+}
+
+export interface HADeviceRegistryEntry {
+  id: string;
+  name: string | null;
+  name_by_user: string | null;
+  area_id: string | null;
+  disabled_by?: string | null;
+}
+
+export interface HAAreaRegistryEntry {
+  area_id: string;
+  name: string;
+  aliases?: string[];
+  floor_id?: string | null;
+}
+
 export interface HAServiceCallRequest {
   domain: string;
   service: string;
@@ -77,6 +159,36 @@ export interface HAServiceCallRequest {
   };
 }
 
+/**
+ * A service's entry in get_services; for scripts, fields are the variables they take
+ */
+export interface HAServiceDescription {
+  name?: string;
+  description?: string;
+  fields: Record<string, HAServiceField>;
+}
+
+export interface HAServiceField {
+  name?: string;
+  description?: string;
+  required?: boolean;
+  example?: unknown;
+  selector?: Record<string, unknown>;
+}
+
+/**
+ * A variable a script takes, from its fields
+ */
+export interface RoutineField {
+  name: string;
+  description?: string;
+  required: boolean;
+  example?: unknown;
+}
+
+/** Services by domain, then by service name */
+export type HAServiceDescriptions = Record<string, Record<string, HAServiceDescription>>;
+
 export interface HAEvent {
   event_type: string;
   data: Record<string, unknown>;
@@ -155,47 +267,312 @@ export interface AudioAppendEvent extends RealtimeEvent {
   audio: string; // Base64 encoded PCM
 }
 
-export interface FunctionCallEvent extends RealtimeEvent {
-  type: 'response.function_call_arguments.done';
+// Server events. Field names follow the Realtime API wire format.
+
+export interface RealtimeServerEventBase {
+  type: string;
+  event_id: string;
+}
+
+export interface RealtimeError {
+  type: string;
+  code?: string | null;
+  message: string;
+  param?: string | null;
+  event_id?: string | null;
+}
+
+export type RealtimeSessionResource = Partial<SessionConfig> & {
+  id: string;
+  object?: string;
+  expires_at?: number;
+};
+
+export interface RealtimeContentPart {
+  type: 'input_text' | 'input_audio' | 'text' | 'audio' | 'item_reference';
+  text?: string;
+  audio?: string;
+  transcript?: string | null;
+  id?: string;
+}
+
+export interface RealtimeConversationItem {
+  id: string;
+  object?: 'realtime.item';
+  type: 'message' | 'function_call' | 'function_call_output';
+  status?: 'completed' | 'incomplete' | 'in_progress';
+  role?: 'user' | 'assistant' | 'system';
+  content?: RealtimeContentPart[];
+  call_id?: string;
+  name?: string;
+  arguments?: string;
+  output?: string;
+}
+
+export interface RealtimeUsage {
+  total_tokens: number;
+  input_tokens: number;
+  output_tokens: number;
+  input_token_details?: {
+    cached_tokens?: number;
+    text_tokens?: number;
+    audio_tokens?: number;
+  };
+  output_token_details?: {
+    text_tokens?: number;
+    audio_tokens?: number;
+  };
+}
+
+export type RealtimeResponseStatus = 'in_progress' | 'completed' | 'cancelled' | 'failed' | 'incomplete';
+
+export interface RealtimeResponse {
+  id: string;
+  object?: 'realtime.response';
+  status: RealtimeResponseStatus;
+  status_details?: Record<string, unknown> | null;
+  output: RealtimeConversationItem[];
+  metadata: Record<string, string> | null;
+  usage?: RealtimeUsage | null;
+  modalities?: ('text' | 'audio')[];
+  conversation_id?: string;
+}
+
+export interface RealtimeRateLimit {
+  name: string;
+  limit: number;
+  remaining: number;
+  reset_seconds: number;
+}
+
+export interface ErrorEvent extends RealtimeServerEventBase {
+  type: 'error';
+  error: RealtimeError;
+}
+
+export interface SessionCreatedEvent extends RealtimeServerEventBase {
+  type: 'session.created' | 'session.updated' | 'transcription_session.updated';
+  session: RealtimeSessionResource;
+}
+
+export interface ConversationCreatedEvent extends RealtimeServerEventBase {
+  type: 'conversation.created';
+  conversation: { id: string; object: string };
+}
+
+export interface ConversationItemEvent extends RealtimeServerEventBase {
+  type: 'conversation.item.created' | 'conversation.item.retrieved';
+  previous_item_id?: string | null;
+  item: RealtimeConversationItem;
+}
+
+export interface ConversationItemTruncatedEvent extends RealtimeServerEventBase {
+  type: 'conversation.item.truncated';
+  item_id: string;
+  content_index: number;
+  audio_end_ms: number;
+}
+
+export interface ConversationItemDeletedEvent extends RealtimeServerEventBase {
+  type: 'conversation.item.deleted';
+  item_id: string;
+}
+
+export interface TranscriptionDeltaEvent extends RealtimeServerEventBase {
+  type: 'conversation.item.input_audio_transcription.delta';
+  item_id: string;
+  content_index: number;
+  delta: string;
+}
+
+export interface TranscriptionCompletedEvent extends RealtimeServerEventBase {
+  type: 'conversation.item.input_audio_transcription.completed';
+  item_id: string;
+  content_index: number;
+  transcript: string;
+  usage?: { type?: string; total_tokens?: number; input_tokens?: number; output_tokens?: number };
+}
+
+export interface TranscriptionFailedEvent extends RealtimeServerEventBase {
+  type: 'conversation.item.input_audio_transcription.failed';
+  item_id: string;
+  content_index: number;
+  error: RealtimeError;
+}
+
+export interface InputAudioCommittedEvent extends RealtimeServerEventBase {
+  type: 'input_audio_buffer.committed';
+  previous_item_id: string | null;
+  item_id: string;
+}
+
+export interface InputAudioClearedEvent extends RealtimeServerEventBase {
+  type: 'input_audio_buffer.cleared';
+}
+
+export interface SpeechStartedEvent extends RealtimeServerEventBase {
+  type: 'input_audio_buffer.speech_started';
+  audio_start_ms: number;
+  item_id: string;
+}
+
+export interface SpeechStoppedEvent extends RealtimeServerEventBase {
+  type: 'input_audio_buffer.speech_stopped';
+  audio_end_ms: number;
+  item_id: string;
+}
+
+export interface OutputAudioBufferEvent extends RealtimeServerEventBase {
+  type: 'output_audio_buffer.started' | 'output_audio_buffer.stopped' | 'output_audio_buffer.cleared';
+  response_id: string;
+}
+
+export interface ResponseLifecycleEvent extends RealtimeServerEventBase {
+  type: 'response.created' | 'response.done';
+  response: RealtimeResponse;
+}
+
+export interface ResponseOutputItemEvent extends RealtimeServerEventBase {
+  type: 'response.output_item.added' | 'response.output_item.done';
+  response_id: string;
+  output_index: number;
+  item: RealtimeConversationItem;
+}
+
+export interface ResponseContentPartEvent extends RealtimeServerEventBase {
+  type: 'response.content_part.added' | 'response.content_part.done';
   response_id: string;
   item_id: string;
   output_index: number;
-  call_id: string;
-  name: string;
-  arguments: string;
+  content_index: number;
+  part: RealtimeContentPart;
 }
 
-export interface AudioDeltaEvent extends RealtimeEvent {
-  type: 'response.audio.delta';
+export interface ResponseContentEvent extends RealtimeServerEventBase {
   response_id: string;
   item_id: string;
   output_index: number;
   content_index: number;
+}
+
+export interface ResponseTextDeltaEvent extends ResponseContentEvent {
+  type: 'response.text.delta' | 'response.audio_transcript.delta';
+  delta: string;
+}
+
+export interface ResponseTextDoneEvent extends ResponseContentEvent {
+  type: 'response.text.done';
+  text: string;
+}
+
+export interface ResponseAudioTranscriptDoneEvent extends ResponseContentEvent {
+  type: 'response.audio_transcript.done';
+  transcript: string;
+}
+
+export interface AudioDeltaEvent extends ResponseContentEvent {
+  type: 'response.audio.delta';
   delta: string; // Base64 encoded PCM
 }
 
+export interface AudioDoneEvent extends ResponseContentEvent {
+  type: 'response.audio.done';
+}
+
+export interface FunctionCallDeltaEvent extends RealtimeServerEventBase {
+  type: 'response.function_call_arguments.delta';
+  response_id: string;
+  item_id: string;
+  output_index: number;
+  call_id: string;
+  delta: string;
+}
+
+export interface FunctionCallEvent extends RealtimeServerEventBase {
+  type: 'response.function_call_arguments.done';
+  response_id: string;
+  item_id: string;
+  output_index: number;
+  call_id: string;
+  name: string;
+  arguments: string;
+}
+
+export interface RateLimitsUpdatedEvent extends RealtimeServerEventBase {
+  type: 'rate_limits.updated';
+  rate_limits: RealtimeRateLimit[];
+}
+
+export type RealtimeServerEvent =
+  | ErrorEvent
+  | SessionCreatedEvent
+  | ConversationCreatedEvent
+  | ConversationItemEvent
+  | ConversationItemTruncatedEvent
+  | ConversationItemDeletedEvent
+  | TranscriptionDeltaEvent
+  | TranscriptionCompletedEvent
+  | TranscriptionFailedEvent
+  | InputAudioCommittedEvent
+  | InputAudioClearedEvent
+  | SpeechStartedEvent
+  | SpeechStoppedEvent
+  | OutputAudioBufferEvent
+  | ResponseLifecycleEvent
+  | ResponseOutputItemEvent
+  | ResponseContentPartEvent
+  | ResponseTextDeltaEvent
+  | ResponseTextDoneEvent
+  | ResponseAudioTranscriptDoneEvent
+  | AudioDeltaEvent
+  | AudioDoneEvent
+  | FunctionCallDeltaEvent
+  | FunctionCallEvent
+  | RateLimitsUpdatedEvent;
+
 export interface SessionConfig {
   model: string;
   modalities: ('text' | 'audio')[];
   instructions: string;
   voice: 'alloy' | 'echo' | 'fable' | 'onyx' | 'nova' | 'shimmer';
-  input_audio_format: 'pcm16';
-  output_audio_format: 'pcm16';
+  input_audio_format: RealtimeAudioFormat;
+  output_audio_format: RealtimeAudioFormat;
   input_audio_transcription?: {
-    model: 'whisper-1';
-  };
-  turn_detection: {
-    type: 'server_vad' | 'none';
-    threshold: number;
-    prefix_padding_ms: number;
-    silence_duration_ms: number;
+    model: 'gpt-4o-mini-transcribe' | 'gpt-4o-transcribe' | 'whisper-1';
   };
+  turn_detection: RealtimeTurnDetection | null;
   tools: Tool[];
   tool_choice: 'auto' | 'none' | 'required';
   temperature: number;
   max_response_output_tokens: number;
 }
 
+/**
+ * Audio encoding on the realtime link: 24kHz pcm16, or 8kHz G.711 for a sixth of the bandwidth
+ */
+export type RealtimeAudioFormat = 'pcm16' | 'g711_ulaw' | 'g711_alaw';
+
+export type SemanticVadEagerness = 'low' | 'medium' | 'high' | 'auto';
+
+/**
+ * Server-side turn detection; null in the session turns it off for manual commits
+ */
+export type RealtimeTurnDetection =
+  | {
+    type: 'server_vad';
+    threshold: number;
+    prefix_padding_ms: number;
+    silence_duration_ms: number;
+    create_response: boolean;
+    interrupt_response: boolean;
+  }
+  | {
+    type: 'semantic_vad';
+    eagerness: SemanticVadEagerness;
+    create_response: boolean;
+    interrupt_response: boolean;
+  };
+
 export interface Tool {
   type: 'function';
   name: string;
@@ -210,21 +587,90 @@ export interface Tool {
 export interface WyomingMessage {
   type: string;
   data?: Record<string, unknown>;
+  payload?: Buffer;
 }
 
 export interface WyomingInfoMessage extends WyomingMessage {
   type: 'info';
   data: {
-    stt: SttInfo[];
+    asr: AsrInfo[];
+    tts?: TtsInfo[];
+    handle?: HandleInfo[];
+    satellite?: SatelliteInfo;
   };
 }
 
-export interface SttInfo {
+export interface WyomingAttribution {
+  name: string;
+  url: string;
+}
+
+export interface WyomingModelInfo {
   name: string;
   description: string;
+  attribution: WyomingAttribution;
   installed: boolean;
+  version: string;
   languages: string[];
+}
+
+export interface AsrInfo {
+  name: string;
+  description: string;
+  attribution: WyomingAttribution;
+  installed: boolean;
+  version: string;
+  models: WyomingModelInfo[];
+  supports_transcript_streaming: boolean;
+}
+
+export interface TtsInfo {
+  name: string;
+  description: string;
+  attribution: WyomingAttribution;
+  installed: boolean;
+  version: string;
+  voices: TtsVoiceInfo[];
+}
+
+export interface TtsVoiceInfo {
+  name: string;
+  description: string;
+  attribution: WyomingAttribution;
+  installed: boolean;
+  version: string;
+  languages: string[];
+}
+
+export interface HandleInfo {
+  name: string;
+  description: string;
+  attribution: WyomingAttribution;
+  installed: boolean;
   version: string;
+  models: WyomingModelInfo[];
+  supports_handled_streaming: boolean;
+}
+
+export interface SatelliteInfo {
+  name: string;
+  description: string;
+  attribution: WyomingAttribution;
+  installed: boolean;
+  version: string;
+  area: string | null;
+}
+
+export interface SynthesizeMessage extends WyomingMessage {
+  type: 'synthesize';
+  data: {
+    text: string;
+    voice?: {
+      name?: string;
+      language?: string;
+      speaker?: string;
+    };
+  };
 }
 
 export interface AudioStartMessage extends WyomingMessage {
@@ -240,17 +686,46 @@ export interface AudioStartMessage extends WyomingMessage {
 export interface AudioChunkMessage extends WyomingMessage {
   type: 'audio-chunk';
   data: {
-    audio: string; // Base64 encoded
-    timestamp: number;
+    rate: number;
+    width: number;
+    channels: number;
+    timestamp?: number;
   };
+  payload: Buffer; // Raw PCM
 }
 
 export interface TranscriptMessage extends WyomingMessage {
   type: 'transcript';
   data: {
     text: string;
-    confidence: number;
-    language: string;
+    confidence?: number;
+    language?: string;
+    context?: Record<string, unknown>;
+  };
+}
+
+/**
+ * Streaming transcripts: transcript-start, transcript-chunk..., transcript, transcript-stop
+ */
+export interface TranscriptStartMessage extends WyomingMessage {
+  type: 'transcript-start';
+  data: {
+    language?: string;
+  };
+}
+
+export interface TranscriptChunkMessage extends WyomingMessage {
+  type: 'transcript-chunk';
+  data: {
+    text: string;
+  };
+}
+
+export interface HandledMessage extends WyomingMessage {
+  type: 'handled' | 'not-handled';
+  data: {
+    text: string;
+    context?: Record<string, unknown>;
   };
 }
 
@@ -264,17 +739,50 @@ export interface SecurityValidation {
   requiresConfirmation: boolean;
   confirmationPrompt?: string;
   sanitizedEntityId?: string;
+  /** Entities the call acts on, with areas and devices expanded */
+  entityIds?: string[];
 }
 
 export interface SecurityConfig {
   allowedDomains: string[];
   entityWhitelist: string[];
+  /** Scenes, scripts and automations that may run, by entity ID or "<domain>.*" */
+  allowedRoutines: string[];
   confirmHighRiskActions: boolean;
+  /** Calls reaching more entities than this are high-risk */
+  confirmTargetThreshold: number;
+}
+
+/**
+ * Member entities of targeted areas and devices, limited to the service's domain
+ */
+export interface TargetExpansion {
+  entityIds: string[];
+  /** Area or device IDs Home Assistant does not know */
+  unknown: string[];
+}
+
+/**
+ * A blocked high-risk tool call waiting for the user's answer
+ */
+export interface ConfirmationTicket {
+  id: string;
+  /** Tool call that was blocked, replayed as-is once confirmed */
+  tool: string;
+  arguments: Record<string, unknown>;
+  prompt: string;
+  /** Conversation the ticket was issued in; only it can confirm */
+  scope: string;
+  /** User turns seen in the scope when the ticket was issued */
+  turn: number;
+  createdAt: Date;
+  expiresAt: Date;
 }
 
 export interface AuditLogEntry {
   timestamp: Date;
   action: string;
+  ticket_id?: string;
   domain?: string;
   service?: string;
   entity_id?: string;
@@ -362,58 +870,138 @@ export type LogLevel = 'debug' | 'info' | 'warn' | 'error';
 export interface Configuration {
   openaiApiKey: string;
   realtimeApiUrl: string;
+  realtimeAuthMode: string;
+  azureDeployment: string;
+  azureApiVersion: string;
   model: string;
+  voice: string;
+  transcriptionModel: string;
+  realtimeBackend: string;
+  simulatorScenario: string;
+  simulatorPort: number;
   haUrl: string;
   haToken: string;
   allowedDomains: string[];
   entityWhitelist: string[];
+  allowedRoutines: string[];
   confirmHighRiskActions: boolean;
+  confirmTargetThreshold: number;
   audioFormat: string;
   enableTtsMirror: boolean;
   ttsService: string;
   ttsMediaPlayer: string;
   httpPort: number;
+  wyomingPort: number;
+  wyomingServiceName: string;
+  languages: string[];
+  enableZeroconf: boolean;
   vadEnabledDefault: boolean;
+  turnDetection: string;
+  vadThreshold: number;
+  vadPrefixPaddingMs: number;
+  vadSilenceDurationMs: number;
+  semanticVadEagerness: string;
+  maxConcurrentSessions: number;
   sessionSilenceTimeoutMs: number;
   sessionMaxDurationMs: number;
+  usageLedgerPath: string;
+  dailyTokenLimit: number;
+  monthlyTokenLimit: number;
+  sessionTokenLimit: number;
+  dailyAudioMinutesLimit: number;
+  budgetWarningPercent: number;
 }
 
 // ============================================================================
 // Event Emitter Types
 // ============================================================================
 
+export type ConnectionState = 'connecting' | 'connected' | 'reconnecting' | 'disconnected';
+
+/**
+ * Events emitted by OpenAIRealtimeClient
+ */
 export interface EventMap {
-  // Voice session events
+  // Connection
+  'connection_state': { state: ConnectionState; previous: ConnectionState; reconnect_attempts: number };
+  'disconnect': { code: number; reason: string };
+  'session_created': RealtimeSessionResource;
+  'session_updated': RealtimeSessionResource;
+  'rate_limit': RealtimeRateLimit[];
+  'error': RealtimeError;
+
+  // Conversation and input audio
+  'conversation_item_created': { item: RealtimeConversationItem; previous_item_id: string | null };
+  'item_truncated': { item_id: string; content_index: number; audio_end_ms: number };
+  'item_deleted': { item_id: string };
+  'audio_sent': { bytes: number };
+  'audio_committed': { item_id: string; previous_item_id: string | null };
+  'audio_cleared': void;
+  'speech_started': { item_id: string; audio_start_ms: number };
+  'speech_stopped': { item_id: string; audio_end_ms: number };
+  'transcription_delta': { item_id: string; delta: string };
+  'transcription': { item_id: string; transcript: string };
+  'transcription_failed': { item_id: string; error: RealtimeError };
+
+  // Responses
+  'response_created': { response_id: string; metadata: Record<string, string> | null };
+  'response_done': {
+    response_id: string;
+    status: RealtimeResponseStatus;
+    metadata: Record<string, string> | null;
+    function_calls: number;
+    output: RealtimeConversationItem[];
+    usage: RealtimeUsage | null;
+  };
+  'output_item_added': { response_id: string; item: RealtimeConversationItem };
+  'output_item_done': { response_id: string; item: RealtimeConversationItem };
+  'text_output': { response_id: string; item_id: string; delta: string };
+  'text_done': { response_id: string; item_id: string; text: string };
+  'audio_transcript': { response_id: string; item_id: string; delta: string };
+  'audio_transcript_done': { response_id: string; item_id: string; transcript: string };
+  'audio_output': { audio: Buffer; response_id: string; item_id: string; content_index: number };
+  'audio_complete': { response_id: string; item_id: string };
+  'output_audio_started': { response_id: string };
+  'output_audio_stopped': { response_id: string };
+  'output_audio_cleared': { response_id: string };
+
+  // Tools
+  'function_call_delta': { response_id: string; call_id: string; delta: string };
+  'function_call': { call_id: string; name: string; arguments: Record<string, unknown>; response_id: string };
+  'function_result': { call_id: string; result: unknown };
+}
+
+/**
+ * Events emitted by SessionManager
+ */
+export interface SessionEventMap {
   'session_started': VoiceSession;
+  'session_updated': VoiceSession;
   'session_ended': VoiceSession;
-  'session_error': { session: VoiceSession; error: Error };
-  
-  // Audio events
-  'audio_input': { session_id: string; audio: Buffer };
-  'audio_output': { session_id: string; audio: Buffer };
-  'audio_device_changed': AudioDevice;
-  
-  // OpenAI events
-  'openai_connected': void;
-  'openai_disconnected': { reason: string };
-  'function_call': { call_id: string; name: string; arguments: Record<string, unknown> };
-  
-  // HA events
-  'ha_connected': void;
-  'ha_disconnected': { reason: string };
-  'service_call_completed': ServiceCall;
-  
-  // Security events
-  'security_violation': { violation: string; details: Record<string, unknown> };
-  'confirmation_required': { prompt: string; call_id: string };
-  
-  // Remote control events
-  'remote_button_press': RemoteEvent;
-  'ptt_started': { session_id: string };
-  'ptt_stopped': { session_id: string };
-  'vad_toggled': { enabled: boolean };
 }
 
+/**
+ * Events emitted by UsageLedger
+ */
+export interface UsageEventMap {
+  'budget_warning': BudgetStatus;
+  'budget_exceeded': BudgetStatus;
+}
+
+/**
+ * Events emitted by ConfigManager
+ */
+export interface ConfigEventMap {
+  'changed': Configuration;
+}
+
+/**
+ * Turn a payload map into the listener-argument map EventEmitter<T> expects
+ */
+export type EmitterEvents<Events> = {
+  [K in keyof Events]: [Events[K]] extends [void] ? [] : [Events[K]];
+};
+
 // ============================================================================
 // Utility Types
 // ============================================================================
@@ -0,0 +1,349 @@
+/**
+ * Token Usage
+ * Accumulates response.done usage and keeps the persistent ledger behind the budget caps
+ */
+
+import { EventEmitter } from 'events';
+import { promises as fs } from 'fs';
+import * as path from 'path';
+import { logger } from './logging';
+import {
+  RealtimeUsage,
+  RealtimeRateLimit,
+  TokenUsage,
+  UsageTotals,
+  BudgetLimits,
+  BudgetLimitName,
+  BudgetStatus,
+  UsageEventMap,
+  EmitterEvents,
+} from './types';
+
+// Batch writes; audio is recorded chunk by chunk
+const SAVE_DELAY_MS = 5000;
+const LEDGER_RETENTION_DAYS = 400;
+const LEDGER_VERSION = 1;
+
+interface LedgerFile {
+  version: number;
+  days: Record<string, UsageTotals>;
+}
+
+export interface UsageLedgerOptions {
+  path: string;
+  limits: BudgetLimits;
+}
+
+export interface UsageSummary {
+  date: string;
+  month: string;
+  today: UsageTotals;
+  monthToDate: UsageTotals;
+  limits: BudgetLimits;
+  budgets: BudgetStatus[];
+  exceeded: BudgetStatus | null;
+  rateLimits: RealtimeRateLimit[];
+  rateLimitsUpdated: Date | null;
+}
+
+const BUDGET_MESSAGES: Record<BudgetLimitName, string> = {
+  daily_tokens: 'The voice assistant has used up today\'s budget. Please try again tomorrow.',
+  monthly_tokens: 'The voice assistant has used up this month\'s budget.',
+  daily_audio_minutes: 'The voice assistant has used up today\'s audio allowance. Please try again tomorrow.',
+  session_tokens: 'This conversation has reached its usage limit. Please start a new one.',
+};
+
+/**
+ * Raised when a new session would go over a daily or monthly cap
+ */
+export class BudgetExceededError extends Error {
+  readonly code = 'budget-exceeded';
+
+  constructor(public readonly status: BudgetStatus) {
+    super(BUDGET_MESSAGES[status.limit]);
+    this.name = 'BudgetExceededError';
+  }
+}
+
+export function emptyTokenUsage(): TokenUsage {
+  return {
+    responses: 0,
+    inputTokens: 0,
+    outputTokens: 0,
+    totalTokens: 0,
+    inputTextTokens: 0,
+    inputAudioTokens: 0,
+    cachedTokens: 0,
+    outputTextTokens: 0,
+    outputAudioTokens: 0,
+  };
+}
+
+export function emptyUsageTotals(): UsageTotals {
+  return {
+    ...emptyTokenUsage(),
+    sessions: 0,
+    audioInputSeconds: 0,
+    audioOutputSeconds: 0,
+  };
+}
+
+/**
+ * Add one response's usage to a running total in place
+ */
+export function addTokenUsage(total: TokenUsage, usage: RealtimeUsage): TokenUsage {
+  total.responses++;
+  total.inputTokens += usage.input_tokens;
+  total.outputTokens += usage.output_tokens;
+  total.totalTokens += usage.total_tokens;
+  total.inputTextTokens += usage.input_token_details?.text_tokens ?? 0;
+  total.inputAudioTokens += usage.input_token_details?.audio_tokens ?? 0;
+  total.cachedTokens += usage.input_token_details?.cached_tokens ?? 0;
+  total.outputTextTokens += usage.output_token_details?.text_tokens ?? 0;
+  total.outputAudioTokens += usage.output_token_details?.audio_tokens ?? 0;
+  return total;
+}
+
+function addUsageTotals(total: UsageTotals, day: UsageTotals): UsageTotals {
+  for (const key of Object.keys(total) as (keyof UsageTotals)[]) {
+    total[key] += day[key];
+  }
+  return total;
+}
+
+/**
+ * Local calendar day, so limits reset at the household's midnight
+ */
+function dayKey(date: Date): string {
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+function budgetStatus(limit: BudgetLimitName, used: number, cap: number): BudgetStatus {
+  return {
+    limit,
+    used: Math.round(used * 100) / 100,
+    cap,
+    percent: Math.round((used / cap) * 1000) / 10,
+  };
+}
+
+/**
+ * Per-day usage persisted across restarts, checked against the configured caps
+ */
+export class UsageLedger extends EventEmitter<EmitterEvents<UsageEventMap>> {
+  private days: Record<string, UsageTotals> = {};
+  private limits: BudgetLimits;
+  private rateLimits: RealtimeRateLimit[] = [];
+  private rateLimitsUpdated: Date | null = null;
+  // Warnings already raised, keyed by limit, level and period
+  private notified = new Set<string>();
+  private saveTimer: NodeJS.Timeout | undefined;
+  private saving: Promise<void> = Promise.resolve();
+
+  constructor(private options: UsageLedgerOptions) {
+    super();
+    this.limits = { ...options.limits };
+  }
+
+  async load(): Promise<void> {
+    try {
+      const raw = await fs.readFile(this.options.path, 'utf8');
+      const file = JSON.parse(raw) as Partial<LedgerFile>;
+      for (const [key, totals] of Object.entries(file.days ?? {})) {
+        this.days[key] = { ...emptyUsageTotals(), ...totals };
+      }
+    } catch (error) {
+      if ((error as NodeJS.ErrnoException).code === 'ENOENT') {
+        logger.info('Starting a new usage ledger', { path: this.options.path });
+        return;
+      }
+      // A damaged ledger must not keep the add-on from starting
+      const errorMessage = error instanceof Error ? error.message : String(error);
+      logger.warn('Ignoring unreadable usage ledger', { path: this.options.path, error: errorMessage });
+      return;
+    }
+
+    logger.info('Usage ledger loaded', { path: this.options.path, days: Object.keys(this.days).length });
+    this.evaluate();
+  }
+
+  recordResponse(usage: RealtimeUsage): void {
+    addTokenUsage(this.today(), usage);
+    this.changed();
+  }
+
+  recordAudio(direction: 'input' | 'output', seconds: number): void {
+    const today = this.today();
+    if (direction === 'input') {
+      today.audioInputSeconds += seconds;
+    } else {
+      today.audioOutputSeconds += seconds;
+    }
+    this.changed();
+  }
+
+  recordSession(): void {
+    this.today().sessions++;
+    this.changed();
+  }
+
+  setRateLimits(limits: RealtimeRateLimit[]): void {
+    this.rateLimits = limits;
+    this.rateLimitsUpdated = new Date();
+  }
+
+  updateLimits(limits: BudgetLimits): void {
+    this.limits = { ...limits };
+    this.notified.clear();
+    this.evaluate();
+  }
+
+  /**
+   * The first daily or monthly cap that is used up, if any
+   */
+  checkBudget(): BudgetStatus | null {
+    return this.getBudgets().find(status => status.used >= status.cap) ?? null;
+  }
+
+  /**
+   * Whether one session has used up its own token cap
+   */
+  checkSession(usage: TokenUsage): BudgetStatus | null {
+    if (this.limits.sessionTokens <= 0 || usage.totalTokens < this.limits.sessionTokens) {
+      return null;
+    }
+    return budgetStatus('session_tokens', usage.totalTokens, this.limits.sessionTokens);
+  }
+
+  getSummary(): UsageSummary {
+    const now = new Date();
+    return {
+      date: dayKey(now),
+      month: dayKey(now).slice(0, 7),
+      today: { ...this.today() },
+      monthToDate: this.monthToDate(),
+      limits: { ...this.limits },
+      budgets: this.getBudgets(),
+      exceeded: this.checkBudget(),
+      rateLimits: this.rateLimits,
+      rateLimitsUpdated: this.rateLimitsUpdated,
+    };
+  }
+
+  /**
+   * Write pending changes now, e.g. on shutdown
+   */
+  async flush(): Promise<void> {
+    if (this.saveTimer) {
+      clearTimeout(this.saveTimer);
+      this.saveTimer = undefined;
+      this.save();
+    }
+    await this.saving;
+  }
+
+  private today(): UsageTotals {
+    const key = dayKey(new Date());
+    let totals = this.days[key];
+    if (!totals) {
+      totals = emptyUsageTotals();
+      this.days[key] = totals;
+    }
+    return totals;
+  }
+
+  private monthToDate(): UsageTotals {
+    const month = dayKey(new Date()).slice(0, 7);
+    return Object.entries(this.days)
+      .filter(([key]) => key.startsWith(month))
+      .reduce((total, [, day]) => addUsageTotals(total, day), emptyUsageTotals());
+  }
+
+  private getBudgets(): BudgetStatus[] {
+    const today = this.today();
+    const budgets: BudgetStatus[] = [];
+
+    if (this.limits.dailyTokens > 0) {
+      budgets.push(budgetStatus('daily_tokens', today.totalTokens, this.limits.dailyTokens));
+    }
+    if (this.limits.monthlyTokens > 0) {
+      budgets.push(budgetStatus('monthly_tokens', this.monthToDate().totalTokens, this.limits.monthlyTokens));
+    }
+    if (this.limits.dailyAudioMinutes > 0) {
+      const minutes = (today.audioInputSeconds + today.audioOutputSeconds) / 60;
+      budgets.push(budgetStatus('daily_audio_minutes', minutes, this.limits.dailyAudioMinutes));
+    }
+
+    return budgets;
+  }
+
+  private changed(): void {
+    this.evaluate();
+    if (!this.saveTimer) {
+      this.saveTimer = setTimeout(() => {
+        this.saveTimer = undefined;
+        this.save();
+      }, SAVE_DELAY_MS);
+    }
+  }
+
+  /**
+   * Warn once per period when a cap crosses the warning threshold and again when it is used up
+   */
+  private evaluate(): void {
+    const today = dayKey(new Date());
+
+    for (const status of this.getBudgets()) {
+      const period = status.limit === 'monthly_tokens' ? today.slice(0, 7) : today;
+      const exceeded = status.used >= status.cap;
+      if (!exceeded && status.percent < this.limits.warningPercent) {
+        continue;
+      }
+
+      const key = `${status.limit}:${exceeded ? 'exceeded' : 'warning'}:${period}`;
+      if (this.notified.has(key)) {
+        continue;
+      }
+      this.notified.add(key);
+
+      if (exceeded) {
+        logger.warn('Usage budget exhausted, new sessions are refused', { ...status });
+        this.emit('budget_exceeded', status);
+      } else {
+        logger.warn('Usage budget threshold reached', { ...status });
+        this.emit('budget_warning', status);
+      }
+    }
+  }
+
+  private save(): void {
+    // The monthly cap only needs the current month; older days are kept for reporting
+    const cutoff = new Date();
+    cutoff.setDate(cutoff.getDate() - LEDGER_RETENTION_DAYS);
+    const oldest = dayKey(cutoff);
+    for (const key of Object.keys(this.days)) {
+      if (key < oldest) {
+        delete this.days[key];
+      }
+    }
+
+    const file: LedgerFile = { version: LEDGER_VERSION, days: this.days };
+    const data = JSON.stringify(file, null, 2);
+    const target = this.options.path;
+    const temporary = `${target}.tmp`;
+
+    // Write to a temporary file and rename so a crash never leaves half a ledger
+    this.saving = this.saving
+      .then(async () => {
+        await fs.mkdir(path.dirname(target), { recursive: true });
+        await fs.writeFile(temporary, data, 'utf8');
+        await fs.rename(temporary, target);
+      })
+      .catch((error) => {
+        const errorMessage = error instanceof Error ? error.message : String(error);
+        logger.error('Failed to save usage ledger', { path: target, error: errorMessage });
+      });
+  }
+}
@@ -0,0 +1,170 @@
+/**
+ * Wyoming Wire Codec
+ * Streaming encoder/decoder for Wyoming protocol events
+ *
+ * Every event starts with a newline-terminated JSON header. The header may
+ * announce `data_length` bytes of additional JSON data and `payload_length`
+ * bytes of binary payload, which follow the header in that order.
+ */
+
+import { WyomingMessage } from './types';
+
+export const WYOMING_PROTOCOL_VERSION = '1.5.2';
+
+const NEWLINE = 0x0a;
+const MAX_HEADER_BYTES = 64 * 1024;
+const MAX_DATA_BYTES = 1024 * 1024;
+const MAX_PAYLOAD_BYTES = 16 * 1024 * 1024;
+
+interface PendingEvent {
+  message: WyomingMessage;
+  dataLength: number;
+  payloadLength: number;
+}
+
+/**
+ * Incremental decoder that turns arbitrary TCP reads into whole events.
+ * Handles events split across reads as well as several events in one read.
+ */
+export class WyomingDecoder {
+  private buffer: Buffer = Buffer.alloc(0);
+  private pending: PendingEvent | null = null;
+
+  /**
+   * Feed received bytes and return every event completed by them
+   */
+  push(chunk: Buffer): WyomingMessage[] {
+    this.buffer = this.buffer.length > 0 ? Buffer.concat([this.buffer, chunk]) : chunk;
+    const messages: WyomingMessage[] = [];
+
+    for (;;) {
+      if (!this.pending) {
+        const newlineIndex = this.buffer.indexOf(NEWLINE);
+        if (newlineIndex === -1) {
+          if (this.buffer.length > MAX_HEADER_BYTES) {
+            throw new Error(`Wyoming header exceeds ${MAX_HEADER_BYTES} bytes`);
+          }
+          break;
+        }
+
+        const headerLine = this.buffer.subarray(0, newlineIndex).toString('utf8').trim();
+        this.buffer = this.buffer.subarray(newlineIndex + 1);
+        if (!headerLine) {
+          continue;
+        }
+
+        this.pending = parseHeader(headerLine);
+      }
+
+      const { dataLength, payloadLength } = this.pending;
+      if (this.buffer.length < dataLength + payloadLength) {
+        break;
+      }
+
+      const message = this.pending.message;
+      if (dataLength > 0) {
+        const extraData = parseJsonObject(this.buffer.subarray(0, dataLength).toString('utf8'), 'data');
+        message.data = { ...(message.data || {}), ...extraData };
+      }
+      if (payloadLength > 0) {
+        message.payload = Buffer.from(this.buffer.subarray(dataLength, dataLength + payloadLength));
+      }
+
+      this.buffer = this.buffer.subarray(dataLength + payloadLength);
+      this.pending = null;
+      messages.push(message);
+    }
+
+    return messages;
+  }
+
+  /**
+   * Number of bytes received but not yet consumed by a complete event
+   */
+  get bufferedBytes(): number {
+    return this.buffer.length;
+  }
+
+  reset(): void {
+    this.buffer = Buffer.alloc(0);
+    this.pending = null;
+  }
+}
+
+/**
+ * Encode an event as header line, JSON data and binary payload
+ */
+export function encodeWyomingEvent(message: WyomingMessage): Buffer {
+  const header: Record<string, unknown> = {
+    type: message.type,
+    version: WYOMING_PROTOCOL_VERSION,
+  };
+
+  const parts: Buffer[] = [];
+  const data = message.data && Object.keys(message.data).length > 0
+    ? Buffer.from(JSON.stringify(message.data), 'utf8')
+    : null;
+
+  if (data) {
+    header.data_length = data.length;
+  }
+  if (message.payload && message.payload.length > 0) {
+    header.payload_length = message.payload.length;
+  }
+
+  parts.push(Buffer.from(JSON.stringify(header) + '\n', 'utf8'));
+  if (data) {
+    parts.push(data);
+  }
+  if (message.payload && message.payload.length > 0) {
+    parts.push(message.payload);
+  }
+
+  return Buffer.concat(parts);
+}
+
+function parseHeader(line: string): PendingEvent {
+  const header = parseJsonObject(line, 'header');
+
+  if (typeof header.type !== 'string' || !header.type) {
+    throw new Error('Wyoming header is missing event type');
+  }
+
+  const dataLength = parseLength(header.data_length, 'data_length', MAX_DATA_BYTES);
+  const payloadLength = parseLength(header.payload_length, 'payload_length', MAX_PAYLOAD_BYTES);
+
+  const message: WyomingMessage = { type: header.type };
+  if (header.data && typeof header.data === 'object' && !Array.isArray(header.data)) {
+    message.data = header.data as Record<string, unknown>;
+  }
+
+  return { message, dataLength, payloadLength };
+}
+
+function parseLength(value: unknown, field: string, max: number): number {
+  if (value === undefined || value === null) {
+    return 0;
+  }
+  if (typeof value !== 'number' || !Number.isInteger(value) || value < 0) {
+    throw new Error(`Invalid Wyoming ${field}: ${String(value)}`);
+  }
+  if (value > max) {
+    throw new Error(`Wyoming ${field} ${value} exceeds limit of ${max} bytes`);
+  }
+  return value;
+}
+
+function parseJsonObject(text: string, part: string): Record<string, unknown> {
+  let parsed: unknown;
+  try {
+    parsed = JSON.parse(text);
+  } catch (error) {
+    const errorMessage = error instanceof Error ? error.message : String(error);
+    throw new Error(`Invalid Wyoming ${part} JSON: ${errorMessage}`);
+  }
+
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    throw new Error(`Wyoming ${part} must be a JSON object`);
+  }
+  return parsed as Record<string, unknown>;
+}
@@ -1,29 +1,77 @@
 /**
  * Wyoming Protocol Server
- * TCP server implementing Wyoming STT protocol
+ * TCP server implementing Wyoming STT, TTS, intent handling and satellite protocols
  */
 
 import * as net from 'net';
+import { v4 as uuidv4 } from 'uuid';
 import { logger } from './logging';
-import { WyomingMessage, WyomingInfoMessage } from './types';
+import {
+  WyomingMessage,
+  SynthesizeMessage,
+  TranscriptMessage,
+  HandledMessage,
+  TranscriptStartMessage,
+  TranscriptChunkMessage,
+} from './types';
+import { WyomingDecoder, encodeWyomingEvent } from './wyoming-codec';
+import { TranscriptionStream } from './realtime';
+import { ServiceInfoOptions, buildServiceInfo, supportsTranscriptStreaming } from './service-info';
+import { AudioConverter, PcmFormat, REALTIME_PCM_FORMAT, validatePcmFormat, bytesToMs } from './audio-format';
+import { ERROR_MESSAGES } from './prompt';
+import { AudioDeviceManager } from './audio';
+import { LocalSatellite } from './satellite';
+import { SessionManager, RealtimeSession, SessionLimitError } from './session-manager';
+import { BudgetExceededError } from './usage';
+
+export interface WyomingServerOptions {
+  sessionManager: SessionManager;
+  transcriptionTimeoutMs?: number;
+  handleTimeoutMs?: number;
+  audioManager?: AudioDeviceManager;
+  info: ServiceInfoOptions;
+  /** PCM the realtime clients exchange; 8kHz when the link uses G.711 */
+  realtimeFormat?: PcmFormat;
+}
+
+interface SharedServerState {
+  // Only one Home Assistant connection may drive the local microphone
+  satelliteOwner: WyomingConnection | null;
+}
+
+export function createWyomingServer(options: WyomingServerOptions): net.Server {
+  const shared: SharedServerState = { satelliteOwner: null };
 
-export function createWyomingServer(): net.Server {
   const server = net.createServer((socket) => {
-    logger.info('Wyoming client connected', { 
+    logger.info('Wyoming client connected', {
       remoteAddress: socket.remoteAddress,
-      remotePort: socket.remotePort 
+      remotePort: socket.remotePort
     });
 
+    const connection = new WyomingConnection(socket, options, shared);
+    const decoder = new WyomingDecoder();
+
     socket.on('data', (data) => {
+      let messages: WyomingMessage[];
       try {
-        const message = JSON.parse(data.toString().trim()) as WyomingMessage;
-        handleWyomingMessage(socket, message);
+        messages = decoder.push(data);
       } catch (error) {
-        sendError(socket, 'Invalid JSON message');
+        // Framing is lost once a header or length is bad, so drop the client
+        const errorMessage = error instanceof Error ? error.message : String(error);
+        logger.warn('Invalid Wyoming event received', { error: errorMessage });
+        sendError(socket, errorMessage, 'protocol-error');
+        socket.end();
+        decoder.reset();
+        return;
+      }
+
+      for (const message of messages) {
+        connection.handleMessage(message);
       }
     });
 
     socket.on('close', () => {
+      connection.close();
       logger.info('Wyoming client disconnected');
     });
 
@@ -35,78 +83,467 @@ export function createWyomingServer(): net.Server {
   return server;
 }
 
-function handleWyomingMessage(socket: net.Socket, message: WyomingMessage): void {
-  switch (message.type) {
-    case 'describe':
-      sendServiceInfo(socket);
-      break;
-    case 'transcribe':
-      // Start transcription session
-      break;
-    case 'audio-start':
-      validateAudioStart(socket, message);
-      break;
-    case 'audio-chunk':
-      // Process audio chunk
-      break;
-    case 'audio-stop':
-      sendTranscript(socket);
-      break;
-    default:
-      sendError(socket, `Unknown message type: ${message.type}`);
+/**
+ * Per-socket state for a single Wyoming client
+ */
+class WyomingConnection {
+  private readonly clientId = uuidv4();
+  private realtimeSession: Promise<RealtimeSession> | undefined;
+  private activeSession: RealtimeSession | undefined;
+  private audioSession: Promise<RealtimeSession | null> = Promise.resolve(null);
+  private language: string | undefined;
+  private audioStarted = false;
+  private audioBytes = 0;
+  private audioConverter: AudioConverter | undefined;
+  private transcription: TranscriptionStream | undefined;
+  private transcriptStarted = false;
+  private transcriptItemId: string | undefined;
+  private closed = false;
+  private synthesisQueue: Promise<void> = Promise.resolve();
+  private handleQueue: Promise<void> = Promise.resolve();
+  private satellite: LocalSatellite | undefined;
+
+  constructor(
+    private socket: net.Socket,
+    private options: WyomingServerOptions,
+    private shared: SharedServerState
+  ) {}
+
+  handleMessage(message: WyomingMessage): void {
+    // A running satellite owns audio and pipeline events from Home Assistant
+    if (this.satellite?.isRunning() && this.satellite.handleEvent(message)) {
+      return;
+    }
+
+    switch (message.type) {
+      case 'describe':
+        writeEvent(this.socket, buildServiceInfo(this.options.info));
+        break;
+      case 'ping':
+        writeEvent(this.socket, { type: 'pong', data: message.data || {} });
+        break;
+      case 'run-satellite':
+        this.runSatellite().catch((error) => {
+          logger.error('Failed to run Wyoming satellite', { error: error.message });
+          sendError(this.socket, error.message, 'satellite-error');
+        });
+        break;
+      case 'pause-satellite':
+        this.satellite?.pause();
+        break;
+      case 'transcribe':
+        this.startTranscription(message);
+        break;
+      case 'audio-start':
+        this.startAudio(message);
+        break;
+      case 'audio-chunk':
+        this.appendAudio(message);
+        break;
+      case 'audio-stop':
+        this.stopAudio().catch((error) => {
+          logger.error('Wyoming transcription failed', { error: error.message });
+        });
+        break;
+      case 'synthesize':
+        // Speak requests one after another so their audio streams never interleave
+        this.synthesisQueue = this.synthesisQueue
+          .then(() => this.synthesize(message as SynthesizeMessage))
+          .catch((error) => {
+            logger.error('Wyoming synthesis failed', { error: error.message });
+          });
+        break;
+      case 'transcript':
+        this.handleQueue = this.handleQueue
+          .then(() => this.handleTranscript(message as TranscriptMessage))
+          .catch((error) => {
+            logger.error('Wyoming intent handling failed', { error: error.message });
+          });
+        break;
+      default:
+        sendError(this.socket, `Unknown message type: ${message.type}`);
+    }
   }
-}
 
-function sendServiceInfo(socket: net.Socket): void {
-  const info: WyomingInfoMessage = {
-    type: 'info',
-    data: {
-      stt: [{
-        name: 'openai-realtime',
-        description: 'OpenAI Realtime voice service with HA integration',
-        installed: true,
-        languages: ['en-US', 'de-DE', 'es-ES', 'fr-FR'],
-        version: '1.0.0',
-      }]
+  close(): void {
+    if (this.closed) {
+      return;
     }
-  };
+    this.closed = true;
 
-  socket.write(JSON.stringify(info) + '\n');
-}
+    if (this.satellite) {
+      this.satellite.stop();
+      this.satellite = undefined;
+    }
+    if (this.shared.satelliteOwner === this) {
+      this.shared.satelliteOwner = null;
+    }
 
-function validateAudioStart(socket: net.Socket, message: WyomingMessage): void {
-  const data = message.data as any;
-  if (data?.rate !== 16000) {
-    sendError(socket, 'Only 16kHz sample rate supported');
-    return;
+    this.audioStarted = false;
+    this.transcription?.cancel();
+    this.transcription = undefined;
+    this.realtimeSession?.then(
+      (entry) => this.options.sessionManager.close(entry.session.sessionId),
+      () => undefined
+    );
   }
-  if (data?.width !== 16) {
-    sendError(socket, 'Only 16-bit audio supported');
-    return;
+
+  /**
+   * Lazily open this connection's own realtime session. Describe, ping and
+   * satellite traffic never need one, so they do not count against the limit.
+   */
+  private acquireSession(): Promise<RealtimeSession> {
+    if (this.activeSession && this.activeSession.session.status !== 'active') {
+      this.activeSession = undefined;
+      this.realtimeSession = undefined;
+    }
+
+    if (!this.realtimeSession) {
+      const pending = this.options.sessionManager.open(this.clientId);
+      this.realtimeSession = pending;
+      pending.then(
+        (entry) => {
+          this.activeSession = entry;
+          // The socket may have gone away while the session was connecting
+          if (this.closed) {
+            this.options.sessionManager.close(entry.session.sessionId);
+          }
+        },
+        () => {
+          if (this.realtimeSession === pending) {
+            this.realtimeSession = undefined;
+          }
+        }
+      );
+    }
+
+    return this.realtimeSession.then((entry) => {
+      this.options.sessionManager.touch(entry.session.sessionId);
+      return entry;
+    });
   }
-}
 
-function sendTranscript(socket: net.Socket): void {
-  const transcript = {
-    type: 'transcript',
-    data: {
-      text: 'Turn on the living room lights',
-      confidence: 0.95,
-      language: 'en-US',
+  private async runSatellite(): Promise<void> {
+    if (!this.options.audioManager) {
+      sendError(this.socket, 'Satellite mode not available', 'satellite-error');
+      return;
+    }
+
+    // Take the microphone over from a previous Home Assistant connection
+    const previousOwner = this.shared.satelliteOwner;
+    if (previousOwner && previousOwner !== this) {
+      previousOwner.satellite?.pause();
+    }
+    this.shared.satelliteOwner = this;
+
+    if (!this.satellite) {
+      this.satellite = new LocalSatellite(this.options.audioManager, {
+        send: (message) => writeEvent(this.socket, message),
+        onDrain: (callback) => this.socket.once('drain', callback),
+      });
+    }
+
+    await this.satellite.run();
+  }
+
+  private startTranscription(message: WyomingMessage): void {
+    const data = message.data as { language?: string } | undefined;
+    this.language = data?.language || undefined;
+    logger.debug('Wyoming transcription requested', { language: this.language });
+  }
+
+  private startAudio(message: WyomingMessage): void {
+    const format = validateAudioStart(this.socket, message);
+    if (!format) {
+      return;
     }
+
+    this.audioStarted = true;
+    this.audioBytes = 0;
+    this.audioConverter = new AudioConverter(format, this.options.realtimeFormat ?? REALTIME_PCM_FORMAT);
+    this.transcriptStarted = false;
+    this.transcriptItemId = undefined;
+
+    // Chunks chain onto this promise so they reach the session in order once it is open
+    this.audioSession = this.acquireSession().then(
+      (entry) => {
+        entry.client.clearAudio().catch(() => undefined);
+        this.transcription?.cancel();
+        // Partial text goes out as transcript-start/transcript-chunk while the user speaks
+        this.transcription = entry.client.beginTranscription(
+          supportsTranscriptStreaming(this.options.info.transcriptionModel)
+            ? { onDelta: (delta, itemId) => this.sendTranscriptChunk(delta, itemId) }
+            : {}
+        );
+        return entry;
+      },
+      (error) => {
+        this.audioStarted = false;
+        this.audioConverter = undefined;
+        sendError(this.socket, error.message, sessionErrorCode(error));
+        return null;
+      }
+    );
+  }
+
+  private appendAudio(message: WyomingMessage): void {
+    if (!this.audioStarted || !this.audioConverter || !message.payload || message.payload.length === 0) {
+      return;
+    }
+
+    const audio = this.audioConverter.convert(message.payload);
+    if (audio.length === 0) {
+      return;
+    }
+
+    this.audioBytes += audio.length;
+    this.audioSession.then((entry) => entry?.client.sendAudio(audio)).catch((error) => {
+      logger.error('Failed to forward Wyoming audio', { error: error.message });
+    });
+  }
+
+  private async stopAudio(): Promise<void> {
+    if (!this.audioStarted) {
+      return;
+    }
+    this.audioStarted = false;
+    this.audioConverter = undefined;
+
+    const entry = await this.audioSession;
+    const transcription = this.transcription;
+    this.transcription = undefined;
+    if (!entry || !transcription) {
+      return;
+    }
+
+    if (this.audioBytes === 0) {
+      transcription.cancel();
+      this.sendTranscript('');
+      return;
+    }
+
+    try {
+      const text = await transcription.finish(this.options.transcriptionTimeoutMs);
+      logger.info('Wyoming transcription completed', {
+        session_id: entry.session.sessionId,
+        audio_bytes: this.audioBytes,
+        text_length: text.length,
+        streamed: this.transcriptStarted,
+      });
+      this.sendTranscript(text);
+    } catch (error) {
+      const errorMessage = error instanceof Error ? error.message : String(error);
+      sendError(this.socket, errorMessage, 'transcription-error');
+      throw error;
+    } finally {
+      // The final transcript above is the consolidated text; close the stream after it
+      if (this.transcriptStarted && !this.closed) {
+        this.transcriptStarted = false;
+        writeEvent(this.socket, { type: 'transcript-stop' });
+      }
+    }
+  }
+
+  private async synthesize(message: SynthesizeMessage): Promise<void> {
+    const text = message.data?.text;
+    if (this.closed) {
+      return;
+    }
+    if (typeof text !== 'string' || !text.trim()) {
+      sendError(this.socket, 'Synthesize requires text', 'synthesis-error');
+      return;
+    }
+
+    let entry: RealtimeSession;
+    try {
+      entry = await this.acquireSession();
+    } catch (error) {
+      const errorMessage = error instanceof Error ? error.message : String(error);
+      sendError(this.socket, errorMessage, sessionErrorCode(error));
+      return;
+    }
+
+    const format = entry.client.getPcmFormat();
+    let audioBytes = 0;
+
+    writeEvent(this.socket, { type: 'audio-start', data: { ...format, timestamp: 0 } });
+
+    try {
+      const outcome = await entry.client.synthesize(text, {
+        onAudio: (audio) => {
+          const timestamp = Math.round(bytesToMs(audioBytes, format));
+          audioBytes += audio.length;
+          writeEvent(this.socket, {
+            type: 'audio-chunk',
+            data: { ...format, timestamp },
+            payload: audio,
+          });
+        },
+      }, message.data.voice?.name);
+
+      logger.info('Wyoming synthesis completed', {
+        session_id: entry.session.sessionId,
+        response_id: outcome.response_id,
+        status: outcome.status,
+        audio_bytes: audioBytes,
+      });
+    } catch (error) {
+      const errorMessage = error instanceof Error ? error.message : String(error);
+      sendError(this.socket, errorMessage, 'synthesis-error');
+      throw error;
+    } finally {
+      const timestamp = Math.round(bytesToMs(audioBytes, format));
+      writeEvent(this.socket, { type: 'audio-stop', data: { timestamp } });
+    }
+  }
+
+  /**
+   * Run a transcript through the model and its Home Assistant tools
+   */
+  private async handleTranscript(message: TranscriptMessage): Promise<void> {
+    const text = message.data?.text;
+    const context = message.data?.context;
+    if (this.closed) {
+      return;
+    }
+
+    const reply = (type: HandledMessage['type'], answer: string) => {
+      if (this.closed) {
+        return;
+      }
+      const handled: HandledMessage = {
+        type,
+        data: {
+          text: answer,
+          ...(context && { context }),
+        },
+      };
+      writeEvent(this.socket, handled);
+    };
+
+    if (typeof text !== 'string' || !text.trim()) {
+      reply('not-handled', '');
+      return;
+    }
+    let entry: RealtimeSession;
+    try {
+      entry = await this.acquireSession();
+    } catch (error) {
+      // Limit and budget refusals are worded to be spoken back to the user
+      reply('not-handled', isRefusal(error) ? error.message : ERROR_MESSAGES.NETWORK_ERROR);
+      return;
+    }
+
+    try {
+      const outcome = await entry.client.runTextTurn(text, {
+        modalities: ['text'],
+        ...(this.options.handleTimeoutMs !== undefined && { timeoutMs: this.options.handleTimeoutMs }),
+      });
+
+      logger.info('Wyoming intent handled', {
+        session_id: entry.session.sessionId,
+        status: outcome.status,
+        actions: outcome.actions.map(action => action.name),
+      });
+
+      if (outcome.status === 'completed' && outcome.text) {
+        reply('handled', outcome.text);
+      } else {
+        reply('not-handled', outcome.text);
+      }
+    } catch (error) {
+      const errorMessage = error instanceof Error ? error.message : String(error);
+      reply('not-handled', errorMessage.includes('timeout') ? ERROR_MESSAGES.TIMEOUT_ERROR : errorMessage);
+      throw error;
+    }
+  }
+
+  /**
+   * Forward a partial transcript, opening the stream on the first delta
+   */
+  private sendTranscriptChunk(text: string, itemId: string): void {
+    if (this.closed) {
+      return;
+    }
+
+    if (!this.transcriptStarted) {
+      this.transcriptStarted = true;
+      const start: TranscriptStartMessage = {
+        type: 'transcript-start',
+        data: {
+          ...(this.language && { language: this.language }),
+        },
+      };
+      writeEvent(this.socket, start);
+    }
+
+    // Each VAD segment transcribes separately; keep a space between them
+    const separator = this.transcriptItemId && this.transcriptItemId !== itemId ? ' ' : '';
+    this.transcriptItemId = itemId;
+
+    const chunk: TranscriptChunkMessage = { type: 'transcript-chunk', data: { text: separator + text } };
+    writeEvent(this.socket, chunk);
+  }
+
+  private sendTranscript(text: string): void {
+    if (this.closed) {
+      return;
+    }
+
+    const transcript: WyomingMessage = {
+      type: 'transcript',
+      data: {
+        text,
+        ...(this.language && { language: this.language }),
+      }
+    };
+
+    writeEvent(this.socket, transcript);
+  }
+}
+
+/**
+ * Check the client's audio format; anything convertible to realtime PCM is accepted
+ */
+function validateAudioStart(socket: net.Socket, message: WyomingMessage): PcmFormat | null {
+  const data = (message.data || {}) as Partial<Record<keyof PcmFormat, unknown>>;
+  const format = {
+    rate: data.rate,
+    width: data.width,
+    channels: data.channels ?? 1,
   };
 
-  socket.write(JSON.stringify(transcript) + '\n');
+  const error = validatePcmFormat(format);
+  if (error) {
+    sendError(socket, error);
+    return null;
+  }
+  return format as PcmFormat;
 }
 
-function sendError(socket: net.Socket, message: string): void {
+function isRefusal(error: unknown): error is SessionLimitError | BudgetExceededError {
+  return error instanceof SessionLimitError || error instanceof BudgetExceededError;
+}
+
+function sessionErrorCode(error: unknown): string {
+  return isRefusal(error) ? error.code : 'service-unavailable';
+}
+
+function sendError(socket: net.Socket, message: string, code = 'audio-error'): void {
   const error = {
     type: 'error',
     data: {
-      code: 'audio-error',
+      code,
       message,
     }
   };
 
-  socket.write(JSON.stringify(error) + '\n');
+  writeEvent(socket, error);
+}
+
+function writeEvent(socket: net.Socket, message: WyomingMessage): boolean {
+  if (!socket.writable) {
+    return false;
+  }
+  return socket.write(encodeWyomingEvent(message));
 }
@@ -0,0 +1,554 @@
+/**
+ * Zeroconf Advertisement
+ * Minimal multicast DNS responder announcing the Wyoming service (RFC 6762/6763)
+ */
+
+import * as dgram from 'dgram';
+import * as os from 'os';
+import { EventEmitter } from 'events';
+import { logger } from './logging';
+
+export const WYOMING_SERVICE_TYPE = '_wyoming._tcp.local';
+
+const MDNS_ADDRESS = '224.0.0.251';
+const MDNS_PORT = 5353;
+const DEFAULT_TTL = 120;
+const HOST_TTL = 120;
+const SERVICE_TTL = 4500;
+
+const TYPE_A = 1;
+const TYPE_PTR = 12;
+const TYPE_TXT = 16;
+const TYPE_SRV = 33;
+const TYPE_ANY = 255;
+const CLASS_IN = 1;
+const CACHE_FLUSH = 0x8000;
+const UNICAST_RESPONSE = 0x8000;
+
+export interface ZeroconfOptions {
+  name: string;
+  port: number;
+  txt?: Record<string, string>;
+  hostname?: string;
+  addresses?: string[];
+  // Address of the interface used for multicast; defaults to all interfaces
+  interfaceAddress?: string;
+  multicastAddress?: string;
+  mdnsPort?: number;
+}
+
+export interface DnsQuestion {
+  name: string;
+  type: number;
+  unicastResponse: boolean;
+}
+
+export interface DnsRecord {
+  name: string;
+  type: number;
+  ttl: number;
+  cacheFlush?: boolean;
+  data: string | string[] | SrvData;
+}
+
+export interface SrvData {
+  priority: number;
+  weight: number;
+  port: number;
+  target: string;
+}
+
+export interface DnsPacket {
+  id: number;
+  isResponse: boolean;
+  questions: DnsQuestion[];
+  answers: DnsRecord[];
+  additionals: DnsRecord[];
+}
+
+/**
+ * Advertises one `_wyoming._tcp` instance and answers queries for it
+ */
+export class ZeroconfResponder extends EventEmitter {
+  private socket: dgram.Socket | undefined;
+  private options: ZeroconfOptions;
+  private announceTimer: NodeJS.Timeout | undefined;
+
+  constructor(options: ZeroconfOptions) {
+    super();
+    this.options = { ...options };
+  }
+
+  get instanceName(): string {
+    return `${escapeLabel(this.options.name)}.${WYOMING_SERVICE_TYPE}`;
+  }
+
+  get hostname(): string {
+    const base = this.options.hostname || os.hostname().split('.')[0] || 'homeassistant';
+    return `${base.replace(/[^a-zA-Z0-9-]/g, '-')}.local`;
+  }
+
+  /**
+   * Bind the mDNS port and announce; rejects when the port cannot be bound
+   */
+  async start(): Promise<void> {
+    if (this.socket) {
+      return;
+    }
+
+    const socket = dgram.createSocket({ type: 'udp4', reuseAddr: true });
+
+    try {
+      await new Promise<void>((resolve, reject) => {
+        socket.once('error', reject);
+        socket.bind(this.options.mdnsPort ?? MDNS_PORT, () => {
+          socket.off('error', reject);
+          resolve();
+        });
+      });
+    } catch (error) {
+      socket.close();
+      throw error;
+    }
+
+    this.socket = socket;
+    socket.on('message', (message, remote) => this.handleMessage(message, remote));
+    socket.on('error', (error) => {
+      logger.error('Zeroconf socket error', { error: error.message });
+      // An unheard 'error' event would throw and take the whole add-on down
+      if (this.listenerCount('error') > 0) {
+        this.emit('error', error);
+      }
+    });
+
+    const multicastAddress = this.options.multicastAddress ?? MDNS_ADDRESS;
+    try {
+      socket.addMembership(multicastAddress, this.options.interfaceAddress);
+      if (this.options.interfaceAddress) {
+        socket.setMulticastInterface(this.options.interfaceAddress);
+      }
+      socket.setMulticastTTL(255);
+      socket.setMulticastLoopback(true);
+    } catch (error) {
+      // Interfaces without multicast (e.g. loopback) still answer unicast queries
+      const errorMessage = error instanceof Error ? error.message : String(error);
+      logger.warn('Zeroconf multicast unavailable', { error: errorMessage });
+    }
+
+    logger.info('Zeroconf responder started', {
+      instance: this.instanceName,
+      host: this.hostname,
+      port: this.options.port,
+    });
+
+    this.announce();
+  }
+
+  /**
+   * Change the advertised name, port or TXT data and re-announce
+   */
+  update(options: Partial<Pick<ZeroconfOptions, 'name' | 'port' | 'txt'>>): void {
+    const nameChanged = options.name !== undefined && options.name !== this.options.name;
+    if (nameChanged && this.socket) {
+      this.sendGoodbye();
+    }
+
+    this.options = { ...this.options, ...options };
+    if (this.socket) {
+      this.announce();
+    }
+  }
+
+  async stop(): Promise<void> {
+    if (!this.socket) {
+      return;
+    }
+
+    if (this.announceTimer) {
+      clearTimeout(this.announceTimer);
+      this.announceTimer = undefined;
+    }
+
+    const socket = this.socket;
+    await new Promise<void>((resolve) => this.sendGoodbye(() => resolve()));
+    this.socket = undefined;
+    await new Promise<void>((resolve) => socket.close(() => resolve()));
+    logger.info('Zeroconf responder stopped');
+  }
+
+  /**
+   * Build the full record set for the service instance
+   */
+  buildRecords(ttlOverride?: number): { answers: DnsRecord[]; additionals: DnsRecord[] } {
+    const ttl = (value: number) => ttlOverride ?? value;
+    const txt = Object.entries(this.options.txt || {}).map(([key, value]) => `${key}=${value}`);
+
+    const answers: DnsRecord[] = [
+      { name: WYOMING_SERVICE_TYPE, type: TYPE_PTR, ttl: ttl(SERVICE_TTL), data: this.instanceName },
+    ];
+
+    const additionals: DnsRecord[] = [
+      {
+        name: this.instanceName,
+        type: TYPE_SRV,
+        ttl: ttl(HOST_TTL),
+        cacheFlush: true,
+        data: { priority: 0, weight: 0, port: this.options.port, target: this.hostname },
+      },
+      { name: this.instanceName, type: TYPE_TXT, ttl: ttl(SERVICE_TTL), cacheFlush: true, data: txt },
+      ...this.getAddresses().map((address): DnsRecord => ({
+        name: this.hostname,
+        type: TYPE_A,
+        ttl: ttl(HOST_TTL),
+        cacheFlush: true,
+        data: address,
+      })),
+    ];
+
+    return { answers, additionals };
+  }
+
+  private getAddresses(): string[] {
+    if (this.options.addresses && this.options.addresses.length > 0) {
+      return this.options.addresses;
+    }
+    if (this.options.interfaceAddress) {
+      return [this.options.interfaceAddress];
+    }
+
+    const addresses: string[] = [];
+    for (const entries of Object.values(os.networkInterfaces())) {
+      for (const entry of entries || []) {
+        if (entry.family === 'IPv4' && !entry.internal) {
+          addresses.push(entry.address);
+        }
+      }
+    }
+    return addresses;
+  }
+
+  private announce(): void {
+    if (this.announceTimer) {
+      clearTimeout(this.announceTimer);
+    }
+
+    // RFC 6762 8.3: announce at least twice, one second apart
+    this.sendMulticast(this.buildRecords());
+    this.announceTimer = setTimeout(() => {
+      this.announceTimer = undefined;
+      this.sendMulticast(this.buildRecords());
+    }, 1000);
+  }
+
+  private sendGoodbye(callback?: () => void): void {
+    this.sendMulticast(this.buildRecords(0), callback);
+  }
+
+  private sendMulticast(
+    records: { answers: DnsRecord[]; additionals: DnsRecord[] },
+    callback?: () => void
+  ): void {
+    const packet = encodeDnsPacket({
+      id: 0,
+      isResponse: true,
+      questions: [],
+      answers: [...records.answers, ...records.additionals],
+      additionals: [],
+    });
+
+    this.socket?.send(
+      packet,
+      this.options.mdnsPort ?? MDNS_PORT,
+      this.options.multicastAddress ?? MDNS_ADDRESS,
+      (error) => {
+        if (error) {
+          logger.debug('Zeroconf announcement failed', { error: error.message });
+        }
+        callback?.();
+      }
+    );
+  }
+
+  private handleMessage(message: Buffer, remote: dgram.RemoteInfo): void {
+    let query: DnsPacket;
+    try {
+      query = decodeDnsPacket(message);
+    } catch {
+      return;
+    }
+    if (query.isResponse || query.questions.length === 0) {
+      return;
+    }
+
+    const { answers, additionals } = this.buildRecords();
+    const all = [...answers, ...additionals];
+    const matched: DnsRecord[] = [];
+
+    for (const question of query.questions) {
+      const name = question.name.toLowerCase();
+      for (const record of all) {
+        const typeMatches = question.type === TYPE_ANY || question.type === record.type;
+        if (typeMatches && record.name.toLowerCase() === name && !matched.includes(record)) {
+          matched.push(record);
+        }
+      }
+    }
+
+    if (matched.length === 0) {
+      return;
+    }
+
+    // Answering a PTR question should carry SRV/TXT/A so clients need no follow-up
+    const extra = additionals.filter(record => !matched.includes(record));
+    const mdnsPort = this.options.mdnsPort ?? MDNS_PORT;
+    const legacyUnicast = remote.port !== mdnsPort;
+    const unicast = legacyUnicast || query.questions.every(question => question.unicastResponse);
+
+    const response = encodeDnsPacket({
+      // RFC 6762 6.7: legacy unicast replies echo the query id and questions
+      id: legacyUnicast ? query.id : 0,
+      isResponse: true,
+      questions: legacyUnicast ? query.questions : [],
+      answers: legacyUnicast
+        ? matched.map(record => ({ ...record, ttl: Math.min(record.ttl, 10), cacheFlush: false }))
+        : matched,
+      additionals: legacyUnicast
+        ? extra.map(record => ({ ...record, ttl: Math.min(record.ttl, 10), cacheFlush: false }))
+        : extra,
+    });
+
+    if (unicast) {
+      this.socket?.send(response, remote.port, remote.address);
+    } else {
+      this.socket?.send(response, mdnsPort, this.options.multicastAddress ?? MDNS_ADDRESS);
+    }
+
+    this.emit('query', { questions: query.questions, remote });
+  }
+}
+
+// ============================================================================
+// DNS wire format
+// ============================================================================
+
+export function encodeDnsPacket(packet: DnsPacket): Buffer {
+  const parts: Buffer[] = [];
+  const header = Buffer.alloc(12);
+  header.writeUInt16BE(packet.id, 0);
+  // QR + AA for responses
+  header.writeUInt16BE(packet.isResponse ? 0x8400 : 0, 2);
+  header.writeUInt16BE(packet.questions.length, 4);
+  header.writeUInt16BE(packet.answers.length, 6);
+  header.writeUInt16BE(0, 8);
+  header.writeUInt16BE(packet.additionals.length, 10);
+  parts.push(header);
+
+  for (const question of packet.questions) {
+    const fields = Buffer.alloc(4);
+    fields.writeUInt16BE(question.type, 0);
+    fields.writeUInt16BE(CLASS_IN | (question.unicastResponse ? UNICAST_RESPONSE : 0), 2);
+    parts.push(encodeName(question.name), fields);
+  }
+
+  for (const record of [...packet.answers, ...packet.additionals]) {
+    parts.push(encodeRecord(record));
+  }
+
+  return Buffer.concat(parts);
+}
+
+export function decodeDnsPacket(buffer: Buffer): DnsPacket {
+  if (buffer.length < 12) {
+    throw new Error('DNS packet too short');
+  }
+
+  const id = buffer.readUInt16BE(0);
+  const flags = buffer.readUInt16BE(2);
+  const counts = [4, 6, 8, 10].map(offset => buffer.readUInt16BE(offset));
+  let offset = 12;
+
+  const questions: DnsQuestion[] = [];
+  for (let i = 0; i < (counts[0] ?? 0); i++) {
+    const [name, next] = decodeName(buffer, offset);
+    const type = buffer.readUInt16BE(next);
+    const klass = buffer.readUInt16BE(next + 2);
+    questions.push({ name, type, unicastResponse: (klass & UNICAST_RESPONSE) !== 0 });
+    offset = next + 4;
+  }
+
+  const records: DnsRecord[] = [];
+  const recordCount = (counts[1] ?? 0) + (counts[2] ?? 0) + (counts[3] ?? 0);
+  for (let i = 0; i < recordCount; i++) {
+    const [record, next] = decodeRecord(buffer, offset);
+    records.push(record);
+    offset = next;
+  }
+
+  const answerCount = counts[1] ?? 0;
+  return {
+    id,
+    isResponse: (flags & 0x8000) !== 0,
+    questions,
+    answers: records.slice(0, answerCount),
+    additionals: records.slice(answerCount),
+  };
+}
+
+function encodeRecord(record: DnsRecord): Buffer {
+  let rdata: Buffer;
+  switch (record.type) {
+    case TYPE_A:
+      rdata = Buffer.from(String(record.data).split('.').map(octet => parseInt(octet, 10)));
+      break;
+    case TYPE_PTR:
+      rdata = encodeName(String(record.data));
+      break;
+    case TYPE_TXT: {
+      const entries = (record.data as string[]).length > 0 ? record.data as string[] : [''];
+      rdata = Buffer.concat(entries.map((entry) => {
+        const bytes = Buffer.from(entry, 'utf8').subarray(0, 255);
+        return Buffer.concat([Buffer.from([bytes.length]), bytes]);
+      }));
+      break;
+    }
+    case TYPE_SRV: {
+      const srv = record.data as SrvData;
+      const fields = Buffer.alloc(6);
+      fields.writeUInt16BE(srv.priority, 0);
+      fields.writeUInt16BE(srv.weight, 2);
+      fields.writeUInt16BE(srv.port, 4);
+      rdata = Buffer.concat([fields, encodeName(srv.target)]);
+      break;
+    }
+    default:
+      throw new Error(`Unsupported DNS record type ${record.type}`);
+  }
+
+  const fields = Buffer.alloc(10);
+  fields.writeUInt16BE(record.type, 0);
+  fields.writeUInt16BE(CLASS_IN | (record.cacheFlush ? CACHE_FLUSH : 0), 2);
+  fields.writeUInt32BE(record.ttl ?? DEFAULT_TTL, 4);
+  fields.writeUInt16BE(rdata.length, 8);
+
+  return Buffer.concat([encodeName(record.name), fields, rdata]);
+}
+
+function decodeRecord(buffer: Buffer, offset: number): [DnsRecord, number] {
+  const [name, next] = decodeName(buffer, offset);
+  const type = buffer.readUInt16BE(next);
+  const klass = buffer.readUInt16BE(next + 2);
+  const ttl = buffer.readUInt32BE(next + 4);
+  const length = buffer.readUInt16BE(next + 8);
+  const start = next + 10;
+  const end = start + length;
+  if (end > buffer.length) {
+    throw new Error('DNS record exceeds packet');
+  }
+
+  let data: DnsRecord['data'];
+  switch (type) {
+    case TYPE_A:
+      data = [...buffer.subarray(start, end)].join('.');
+      break;
+    case TYPE_PTR:
+      data = decodeName(buffer, start)[0];
+      break;
+    case TYPE_TXT: {
+      const entries: string[] = [];
+      let cursor = start;
+      while (cursor < end) {
+        const size = buffer.readUInt8(cursor);
+        entries.push(buffer.subarray(cursor + 1, cursor + 1 + size).toString('utf8'));
+        cursor += size + 1;
+      }
+      data = entries;
+      break;
+    }
+    case TYPE_SRV:
+      data = {
+        priority: buffer.readUInt16BE(start),
+        weight: buffer.readUInt16BE(start + 2),
+        port: buffer.readUInt16BE(start + 4),
+        target: decodeName(buffer, start + 6)[0],
+      };
+      break;
+    default:
+      data = buffer.subarray(start, end).toString('hex');
+  }
+
+  return [{ name, type, ttl, cacheFlush: (klass & CACHE_FLUSH) !== 0, data }, end];
+}
+
+function encodeName(name: string): Buffer {
+  const labels = splitName(name);
+  const parts: Buffer[] = [];
+  for (const label of labels) {
+    const bytes = Buffer.from(label, 'utf8');
+    if (bytes.length > 63) {
+      throw new Error(`DNS label too long: ${label}`);
+    }
+    parts.push(Buffer.from([bytes.length]), bytes);
+  }
+  parts.push(Buffer.from([0]));
+  return Buffer.concat(parts);
+}
+
+function decodeName(buffer: Buffer, offset: number): [string, number] {
+  const labels: string[] = [];
+  let cursor = offset;
+  let end = -1;
+  let jumps = 0;
+
+  for (;;) {
+    if (cursor >= buffer.length) {
+      throw new Error('DNS name exceeds packet');
+    }
+    const length = buffer.readUInt8(cursor);
+    if (length === 0) {
+      cursor += 1;
+      break;
+    }
+    if ((length & 0xc0) === 0xc0) {
+      if (++jumps > 16) {
+        throw new Error('DNS name compression loop');
+      }
+      if (end === -1) {
+        end = cursor + 2;
+      }
+      cursor = buffer.readUInt16BE(cursor) & 0x3fff;
+      continue;
+    }
+    labels.push(buffer.subarray(cursor + 1, cursor + 1 + length).toString('utf8').replace(/\./g, '\\.'));
+    cursor += length + 1;
+  }
+
+  return [labels.join('.'), end === -1 ? cursor : end];
+}
+
+/**
+ * Split a dotted name, keeping escaped dots inside instance labels
+ */
+function splitName(name: string): string[] {
+  const labels: string[] = [];
+  let current = '';
+  for (let i = 0; i < name.length; i++) {
+    const char = name[i];
+    if (char === '\\' && name[i + 1] === '.') {
+      current += '.';
+      i++;
+    } else if (char === '.') {
+      labels.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  if (current) {
+    labels.push(current);
+  }
+  return labels.filter(label => label.length > 0);
+}
+
+function escapeLabel(label: string): string {
+  return label.replace(/\./g, '\\.');
+}
@@ -0,0 +1,398 @@
+/**
+ * Application Tests
+ * Runs the whole service against loopback stand-ins for Home Assistant and the realtime API
+ */
+
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const http = require('http');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const { WebSocketServer } = require('ws');
+const { VoiceServiceApplication } = require('../dist/index');
+const { configManager } = require('../dist/config');
+
+async function freePort() {
+  const server = net.createServer();
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const { port } = server.address();
+  await new Promise(resolve => server.close(resolve));
+  return port;
+}
+
+/**
+ * Resolve once the port can be bound again
+ */
+async function assertPortFree(port, host) {
+  const server = net.createServer();
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, resolve);
+  });
+  await new Promise(resolve => server.close(resolve));
+}
+
+async function listen(port) {
+  const server = new WebSocketServer({ port, host: '127.0.0.1' });
+  await new Promise(resolve => server.once('listening', resolve));
+  return server;
+}
+
+async function close(server) {
+  for (const client of server.clients) {
+    client.terminate();
+  }
+  await new Promise(resolve => server.close(resolve));
+}
+
+/**
+ * Accepts any token and answers every request with an empty result
+ */
+async function createHomeAssistant() {
+  const port = await freePort();
+  const server = await listen(port);
+  server.on('connection', socket => {
+    socket.send(JSON.stringify({ type: 'auth_required' }));
+    socket.on('message', data => {
+      const message = JSON.parse(data.toString());
+      if (message.type === 'auth') {
+        socket.send(JSON.stringify({ type: 'auth_ok' }));
+      } else if (message.id) {
+        socket.send(JSON.stringify({ id: message.id, type: 'result', success: true, result: [] }));
+      }
+    });
+  });
+  return { server, url: `ws://127.0.0.1:${port}/api/websocket` };
+}
+
+/**
+ * Records every client event and answers session.update; respond(event, socket) scripts the rest
+ */
+async function createRealtime(respond = () => undefined) {
+  const port = await freePort();
+  const server = await listen(port);
+  const events = [];
+  const waiters = [];
+  server.on('connection', socket => {
+    socket.on('message', data => {
+      const event = JSON.parse(data.toString());
+      events.push(event);
+      if (event.type === 'session.update') {
+        socket.send(JSON.stringify({ type: 'session.updated', session: event.session }));
+      }
+      respond(event, socket);
+      for (const waiter of waiters.splice(0)) {
+        waiter();
+      }
+    });
+  });
+
+  /**
+   * Resolve with the first event received from now on that matches
+   */
+  function nextEvent(match, timeoutMs = 2000) {
+    const seen = events.length;
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => reject(new Error('No matching realtime event')), timeoutMs);
+      const check = () => {
+        const event = events.slice(seen).find(match);
+        if (event) {
+          clearTimeout(timer);
+          resolve(event);
+        } else {
+          waiters.push(check);
+        }
+      };
+      check();
+    });
+  }
+
+  async function nextUpdate(match, timeoutMs) {
+    const event = await nextEvent(event => event.type === 'session.update' && match(event.session), timeoutMs);
+    return event.session;
+  }
+
+  function send(event) {
+    for (const socket of server.clients) {
+      socket.send(JSON.stringify(event));
+    }
+  }
+
+  return { server, url: `ws://127.0.0.1:${port}/v1/realtime`, nextEvent, nextUpdate, send };
+}
+
+function createConfig(overrides) {
+  return {
+    openaiApiKey: '',
+    realtimeApiUrl: 'wss://api.openai.com/v1/realtime',
+    realtimeAuthMode: 'none',
+    azureDeployment: '',
+    azureApiVersion: '2024-10-01-preview',
+    model: 'gpt-realtime',
+    voice: 'alloy',
+    transcriptionModel: 'gpt-4o-mini-transcribe',
+    realtimeBackend: 'openai',
+    simulatorScenario: '',
+    simulatorPort: 10700,
+    haUrl: 'ws://127.0.0.1:8123/api/websocket',
+    haToken: 'test-token-0123456789abcdef0123456789',
+    allowedDomains: ['light', 'switch', 'climate'],
+    entityWhitelist: [],
+    allowedRoutines: [],
+    confirmHighRiskActions: true,
+    confirmTargetThreshold: 5,
+    audioFormat: 'pcm16',
+    enableTtsMirror: false,
+    ttsService: 'tts.piper',
+    ttsMediaPlayer: '',
+    httpPort: 5000,
+    wyomingPort: 10600,
+    wyomingServiceName: 'openai-realtime',
+    languages: ['en'],
+    enableZeroconf: false,
+    maxConcurrentSessions: 3,
+    vadEnabledDefault: false,
+    turnDetection: 'server_vad',
+    vadThreshold: 0.5,
+    vadPrefixPaddingMs: 300,
+    vadSilenceDurationMs: 800,
+    semanticVadEagerness: 'auto',
+    sessionSilenceTimeoutMs: 30000,
+    sessionMaxDurationMs: 300000,
+    usageLedgerPath: path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'shim-usage-')), 'usage.json'),
+    dailyTokenLimit: 0,
+    monthlyTokenLimit: 0,
+    sessionTokenLimit: 0,
+    dailyAudioMinutesLimit: 0,
+    budgetWarningPercent: 80,
+    ...overrides,
+  };
+}
+
+/**
+ * Environment that loads the same configuration the application was started with
+ */
+function configEnv(config) {
+  return {
+    HA_URL: config.haUrl,
+    HA_TOKEN: config.haToken,
+    REALTIME_API_URL: config.realtimeApiUrl,
+    REALTIME_AUTH_MODE: config.realtimeAuthMode,
+    HTTP_PORT: String(config.httpPort),
+    WYOMING_PORT: String(config.wyomingPort),
+    USAGE_LEDGER_PATH: config.usageLedgerPath,
+    VAD_ENABLED_DEFAULT: String(config.vadEnabledDefault),
+  };
+}
+
+/**
+ * Set environment variables for the duration of fn
+ */
+async function withEnv(values, fn) {
+  const saved = Object.fromEntries(Object.keys(values).map(name => [name, process.env[name]]));
+  Object.assign(process.env, values);
+  try {
+    return await fn();
+  } finally {
+    for (const [name, value] of Object.entries(saved)) {
+      if (value === undefined) {
+        delete process.env[name];
+      } else {
+        process.env[name] = value;
+      }
+    }
+  }
+}
+
+test('a configuration reload pushes the new voice and turn detection to the shared client', async () => {
+  const ha = await createHomeAssistant();
+  const realtime = await createRealtime();
+  const config = createConfig({
+    realtimeApiUrl: realtime.url,
+    haUrl: ha.url,
+    httpPort: await freePort(),
+    wyomingPort: await freePort(),
+    vadEnabledDefault: true,
+  });
+  const app = new VoiceServiceApplication(config);
+
+  try {
+    const started = realtime.nextUpdate(session => session.turn_detection?.type === 'server_vad');
+    await app.start();
+    await started;
+
+    await withEnv({
+      ...configEnv(config),
+      VOICE: 'shimmer',
+      TURN_DETECTION: 'semantic_vad',
+      SEMANTIC_VAD_EAGERNESS: 'low',
+    }, async () => {
+      const [session] = await Promise.all([
+        realtime.nextUpdate(session => session.voice === 'shimmer'),
+        configManager.reloadConfiguration(),
+      ]);
+
+      assert.deepStrictEqual(session.turn_detection, {
+        type: 'semantic_vad',
+        eagerness: 'low',
+        create_response: true,
+        interrupt_response: true,
+      });
+    });
+  } finally {
+    await app.stop();
+    await close(realtime.server);
+    await close(ha.server);
+  }
+});
+
+test('a configuration reload updates the advertised service info', async () => {
+  const ha = await createHomeAssistant();
+  const realtime = await createRealtime();
+  const config = createConfig({
+    realtimeApiUrl: realtime.url,
+    haUrl: ha.url,
+    httpPort: await freePort(),
+    wyomingPort: await freePort(),
+  });
+  const app = new VoiceServiceApplication(config);
+
+  try {
+    await app.start();
+
+    await withEnv({
+      ...configEnv(config),
+      WYOMING_SERVICE_NAME: 'kitchen-voice',
+      LANGUAGES: '["de","en"]',
+    }, () => configManager.reloadConfiguration());
+
+    const response = await fetch(`http://127.0.0.1:${config.httpPort}/info`);
+    const info = await response.json();
+
+    assert.strictEqual(info.name, 'kitchen-voice');
+    assert.strictEqual(info.asr[0].name, 'kitchen-voice');
+    assert.deepStrictEqual(info.asr[0].models[0].languages, ['de', 'en']);
+    assert.deepStrictEqual(info.handle[0].models[0].languages, ['de', 'en']);
+  } finally {
+    await app.stop();
+    await close(realtime.server);
+    await close(ha.server);
+  }
+});
+
+test('a failed start releases the servers and connections it had opened', { timeout: 5000 }, async () => {
+  const realtime = await createRealtime();
+  const config = createConfig({
+    realtimeApiUrl: realtime.url,
+    // Nothing listens here, so the start fails after the servers and the realtime link are up
+    haUrl: `ws://127.0.0.1:${await freePort()}/api/websocket`,
+    httpPort: await freePort(),
+    wyomingPort: await freePort(),
+  });
+  const app = new VoiceServiceApplication(config);
+
+  try {
+    const connected = new Promise(resolve => realtime.server.once('connection', resolve));
+    await assert.rejects(app.start(), /ECONNREFUSED/);
+    const socket = await connected;
+
+    await assertPortFree(config.wyomingPort, '0.0.0.0');
+    await assertPortFree(config.httpPort, '127.0.0.1');
+    if (socket.readyState !== socket.CLOSED) {
+      await new Promise(resolve => socket.once('close', resolve));
+    }
+  } finally {
+    await close(realtime.server);
+  }
+});
+
+test('a used-up budget stops hands-free listening on the shared client', async () => {
+  const ha = await createHomeAssistant();
+  const realtime = await createRealtime();
+  const config = createConfig({
+    realtimeApiUrl: realtime.url,
+    haUrl: ha.url,
+    httpPort: await freePort(),
+    wyomingPort: await freePort(),
+    vadEnabledDefault: true,
+    dailyTokenLimit: 1000,
+  });
+  const app = new VoiceServiceApplication(config);
+  const status = async () => (await fetch(`http://127.0.0.1:${config.httpPort}/status`)).json();
+
+  try {
+    await app.start();
+    await realtime.nextEvent(event => event.type === 'input_audio_buffer.append');
+    assert.strictEqual((await status()).vad_enabled, true);
+
+    const cleared = realtime.nextEvent(event => event.type === 'input_audio_buffer.clear');
+    const stopped = realtime.nextUpdate(session => session.turn_detection === null);
+    realtime.send({
+      type: 'response.done',
+      response: {
+        id: 'resp_1',
+        status: 'completed',
+        output: [],
+        usage: { total_tokens: 1200, input_tokens: 1000, output_tokens: 200 },
+      },
+    });
+    await Promise.all([cleared, stopped]);
+
+    assert.strictEqual((await status()).vad_enabled, false);
+    const response = await fetch(`http://127.0.0.1:${config.httpPort}/toggle_vad`, { method: 'POST' });
+    assert.strictEqual(response.status, 429);
+  } finally {
+    await app.stop();
+    await close(realtime.server);
+    await close(ha.server);
+  }
+});
+
+test('a streamed text command is cancelled when its client disconnects', async () => {
+  const ha = await createHomeAssistant();
+  // Starts an answer and never finishes it
+  const realtime = await createRealtime((event, socket) => {
+    if (event.type !== 'response.create') {
+      return;
+    }
+    const response = { id: 'resp_text', status: 'in_progress', metadata: event.response.metadata };
+    socket.send(JSON.stringify({ type: 'response.created', response }));
+    socket.send(JSON.stringify({ type: 'response.text.delta', response_id: 'resp_text', item_id: 'item_1', delta: 'Turning' }));
+  });
+  const config = createConfig({
+    realtimeApiUrl: realtime.url,
+    haUrl: ha.url,
+    httpPort: await freePort(),
+    wyomingPort: await freePort(),
+  });
+  const app = new VoiceServiceApplication(config);
+
+  try {
+    await app.start();
+
+    const request = http.request({
+      host: '127.0.0.1',
+      port: config.httpPort,
+      path: '/text_command/stream',
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+    });
+    request.on('error', () => undefined);
+    request.end(JSON.stringify({ text: 'turn on the kitchen light' }));
+
+    const response = await new Promise(resolve => request.once('response', resolve));
+    await new Promise(resolve => response.once('data', resolve));
+
+    const cancelled = realtime.nextEvent(event => event.type === 'response.cancel');
+    request.destroy();
+    await cancelled;
+  } finally {
+    await app.stop();
+    await close(realtime.server);
+    await close(ha.server);
+  }
+});
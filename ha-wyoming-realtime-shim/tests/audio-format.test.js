@@ -0,0 +1,193 @@
+/**
+ * Audio Format Tests
+ * Sample width and channel conversion, the streaming resampler and G.711 companding
+ */
+
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { Readable } = require('stream');
+const {
+  AudioConverter,
+  convertAudio,
+  createConversionStream,
+  validatePcmFormat,
+  bytesToMs,
+  encodeRealtimeAudio,
+  decodeRealtimeAudio,
+  realtimeAudioMs,
+  realtimePcmFormat,
+} = require('../dist/audio-format');
+
+const MONO_16K = { rate: 16000, width: 2, channels: 1 };
+const MONO_24K = { rate: 24000, width: 2, channels: 1 };
+const STEREO_16K = { rate: 16000, width: 2, channels: 2 };
+
+function int16(...samples) {
+  const buffer = Buffer.alloc(samples.length * 2);
+  samples.forEach((sample, index) => buffer.writeInt16LE(sample, index * 2));
+  return buffer;
+}
+
+function samples16(buffer) {
+  return Array.from({ length: buffer.length / 2 }, (_, index) => buffer.readInt16LE(index * 2));
+}
+
+function sine(frequency, rate, count, amplitude = 0.5) {
+  return int16(...Array.from({ length: count }, (_, index) =>
+    Math.round(Math.sin((2 * Math.PI * frequency * index) / rate) * amplitude * 32767)));
+}
+
+test('validates sample rate, width and channels', () => {
+  assert.strictEqual(validatePcmFormat(MONO_16K), null);
+  assert.match(validatePcmFormat({ rate: 4000, width: 2, channels: 1 }), /Sample rate/);
+  assert.match(validatePcmFormat({ rate: 16000.5, width: 2, channels: 1 }), /Sample rate/);
+  assert.match(validatePcmFormat({ rate: 16000, width: 5, channels: 1 }), /Sample width/);
+  assert.match(validatePcmFormat({ rate: 16000, width: 2, channels: 6 }), /mono and stereo/);
+  assert.throws(() => new AudioConverter(MONO_16K, { rate: 96000, width: 2, channels: 1 }), /Sample rate/);
+});
+
+test('passes audio through unchanged when the formats match', () => {
+  const audio = int16(1, -2, 3);
+  assert.strictEqual(convertAudio(audio, MONO_16K, { ...MONO_16K }), audio);
+});
+
+test('mixes stereo down to mono and copies mono to both channels', () => {
+  const mixed = convertAudio(int16(1000, 3000, -2000, 2000), STEREO_16K, MONO_16K);
+  assert.deepStrictEqual(samples16(mixed), [2000, 0]);
+
+  const spread = convertAudio(int16(1234, -1234), MONO_16K, STEREO_16K);
+  assert.deepStrictEqual(samples16(spread), [1234, 1234, -1234, -1234]);
+});
+
+test('converts between 8, 16, 24 and 32-bit samples', () => {
+  const eightBit = convertAudio(Buffer.from([128, 255, 0]), { rate: 16000, width: 1, channels: 1 }, MONO_16K);
+  assert.deepStrictEqual(samples16(eightBit), [0, 32512, -32768]);
+
+  const wide = convertAudio(int16(16384, -16384), MONO_16K, { rate: 16000, width: 3, channels: 1 });
+  assert.deepStrictEqual([wide.readIntLE(0, 3), wide.readIntLE(3, 3)], [4194304, -4194304]);
+
+  const widest = convertAudio(wide, { rate: 16000, width: 3, channels: 1 }, { rate: 16000, width: 4, channels: 1 });
+  assert.deepStrictEqual([widest.readInt32LE(0), widest.readInt32LE(4)], [1073741824, -1073741824]);
+
+  // Full scale clips instead of wrapping around
+  const loud = convertAudio(Buffer.from([0xff, 0xff, 0xff, 0x7f]), { rate: 16000, width: 4, channels: 1 }, MONO_16K);
+  assert.deepStrictEqual(samples16(loud), [32767]);
+});
+
+test('resamples to the target rate and keeps the duration', () => {
+  const input = sine(440, 16000, 1600);
+  const output = convertAudio(input, MONO_16K, MONO_24K);
+
+  assert.ok(Math.abs(bytesToMs(output.length, MONO_24K) - bytesToMs(input.length, MONO_16K)) <= 0.1);
+
+  const down = convertAudio(output, MONO_24K, MONO_16K);
+  assert.ok(Math.abs(down.length - input.length) <= 4);
+});
+
+test('keeps the waveform when resampling', () => {
+  const output = samples16(convertAudio(sine(440, 16000, 1600), MONO_16K, MONO_24K));
+  const expected = samples16(sine(440, 24000, output.length));
+
+  const worst = Math.max(...output.map((sample, index) => Math.abs(sample - expected[index])));
+  assert.ok(worst < 0.01 * 32768, `largest deviation ${worst}`);
+});
+
+test('gives the same result however the stream is chunked', () => {
+  const input = sine(1000, 16000, 3200);
+  const whole = convertAudio(input, STEREO_16K, MONO_24K);
+
+  const converter = new AudioConverter(STEREO_16K, MONO_24K);
+  const pieces = [];
+  // Odd sizes split samples and frames as well as resampling steps
+  for (let offset = 0, size = 1; offset < input.length; offset += size, size = (size % 97) + 3) {
+    pieces.push(converter.convert(input.subarray(offset, offset + size)));
+  }
+
+  assert.deepStrictEqual(Buffer.concat(pieces), whole);
+});
+
+test('reset drops a partial frame and the resampler phase', () => {
+  const converter = new AudioConverter(MONO_16K, MONO_24K);
+  converter.convert(Buffer.from([0x10]));
+  converter.reset();
+
+  const input = sine(440, 16000, 160);
+  assert.deepStrictEqual(converter.convert(input), convertAudio(input, MONO_16K, MONO_24K));
+});
+
+test('converts through a Node stream', async () => {
+  const input = sine(440, 16000, 800);
+  const chunks = [];
+  const stream = Readable.from([input.subarray(0, 333), input.subarray(333)]).pipe(createConversionStream(MONO_16K, MONO_24K));
+  for await (const chunk of stream) {
+    chunks.push(chunk);
+  }
+
+  assert.deepStrictEqual(Buffer.concat(chunks), convertAudio(input, MONO_16K, MONO_24K));
+});
+
+function decodeCode(code, format) {
+  return decodeRealtimeAudio(Buffer.from([code]), format).readInt16LE(0);
+}
+
+function encodeSample(sample, format) {
+  return encodeRealtimeAudio(int16(sample), format)[0];
+}
+
+test('G.711 codes match the ITU-T reference values', () => {
+  // μ-law: silence is 0xff, full scale 0x80 and 0x00
+  assert.strictEqual(encodeSample(0, 'g711_ulaw'), 0xff);
+  assert.strictEqual(encodeSample(32767, 'g711_ulaw'), 0x80);
+  assert.strictEqual(encodeSample(-32768, 'g711_ulaw'), 0x00);
+  assert.strictEqual(decodeCode(0xff, 'g711_ulaw'), 0);
+  assert.strictEqual(decodeCode(0x80, 'g711_ulaw'), 32124);
+  assert.strictEqual(decodeCode(0x00, 'g711_ulaw'), -32124);
+
+  // A-law: even bits inverted, so silence is 0xd5 and 0x55
+  assert.strictEqual(encodeSample(0, 'g711_alaw'), 0xd5);
+  assert.strictEqual(encodeSample(32767, 'g711_alaw'), 0xaa);
+  assert.strictEqual(encodeSample(-32768, 'g711_alaw'), 0x2a);
+  assert.strictEqual(decodeCode(0xd5, 'g711_alaw'), 8);
+  assert.strictEqual(decodeCode(0x55, 'g711_alaw'), -8);
+  assert.strictEqual(decodeCode(0xaa, 'g711_alaw'), 32256);
+  assert.strictEqual(decodeCode(0x2a, 'g711_alaw'), -32256);
+});
+
+test('every G.711 code survives decoding and encoding again', () => {
+  for (let code = 0; code < 256; code++) {
+    assert.strictEqual(encodeSample(decodeCode(code, 'g711_alaw'), 'g711_alaw'), code, `A-law ${code}`);
+    // 0x7f is μ-law negative zero, which encodes as positive zero
+    const ulaw = code === 0x7f ? 0xff : code;
+    assert.strictEqual(encodeSample(decodeCode(code, 'g711_ulaw'), 'g711_ulaw'), ulaw, `μ-law ${code}`);
+  }
+});
+
+test('G.711 keeps speech-level audio within its quantisation error', () => {
+  const input = sine(440, 8000, 800);
+  const original = samples16(input);
+
+  for (const format of ['g711_ulaw', 'g711_alaw']) {
+    const encoded = encodeRealtimeAudio(input, format);
+    assert.strictEqual(encoded.length, original.length);
+
+    const decoded = samples16(decodeRealtimeAudio(encoded, format));
+    original.forEach((sample, index) => {
+      // Steps grow with the magnitude; 1/16 of the sample bounds every segment
+      const error = Math.abs(decoded[index] - sample);
+      assert.ok(error <= Math.max(16, Math.abs(sample) / 16), `${format} sample ${index}: ${sample} -> ${decoded[index]}`);
+    });
+  }
+});
+
+test('wire durations and PCM layouts follow the realtime format', () => {
+  assert.deepStrictEqual(realtimePcmFormat('pcm16'), MONO_24K);
+  assert.deepStrictEqual(realtimePcmFormat('g711_ulaw'), { rate: 8000, width: 2, channels: 1 });
+  assert.strictEqual(realtimeAudioMs(48000, 'pcm16'), 1000);
+  assert.strictEqual(realtimeAudioMs(8000, 'g711_alaw'), 1000);
+
+  const pcm = int16(1, 2, 3);
+  assert.strictEqual(encodeRealtimeAudio(pcm, 'pcm16'), pcm);
+  assert.strictEqual(decodeRealtimeAudio(pcm, 'pcm16'), pcm);
+});
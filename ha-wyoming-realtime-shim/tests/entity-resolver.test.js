@@ -0,0 +1,158 @@
+/**
+ * Entity Resolver Tests
+ * Fuzzy lookup by spoken name and area, and area and device target expansion
+ */
+
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { EntityResolver } = require('../dist/entity-resolver');
+const { SecurityController } = require('../dist/security');
+
+const AREAS = [
+  { area_id: 'kitchen', name: 'Kitchen', aliases: ['cooking area'] },
+  { area_id: 'living_room', name: 'Living Room' },
+];
+
+const DEVICES = [
+  { id: 'hue_lamp', name: 'Hue Lamp', name_by_user: 'Reading Lamp', area_id: 'living_room' },
+];
+
+function registryEntry(entityId, fields = {}) {
+  return {
+    entity_id: entityId,
+    name: null,
+    area_id: null,
+    device_id: null,
+    platform: 'test',
+    disabled_by: null,
+    hidden_by: null,
+    ...fields,
+  };
+}
+
+const ENTITIES = [
+  registryEntry('light.kitchen_ceiling', { area_id: 'kitchen' }),
+  registryEntry('light.reading', { device_id: 'hue_lamp' }),
+  registryEntry('light.reading_status', { device_id: 'hue_lamp', entity_category: 'diagnostic' }),
+  registryEntry('light.hidden', { area_id: 'kitchen', hidden_by: 'user' }),
+  registryEntry('switch.coffee', { area_id: 'kitchen', aliases: ['espresso machine'] }),
+];
+
+function state(entityId, friendlyName) {
+  return { entity_id: entityId, state: 'off', attributes: { friendly_name: friendlyName } };
+}
+
+const STATES = [
+  state('light.kitchen_ceiling', 'Ceiling Light'),
+  state('light.reading', 'Reading Lamp'),
+  state('light.hidden', 'Hidden Light'),
+  state('switch.coffee', 'Coffee Maker'),
+  state('lock.front_door', 'Front Door'),
+];
+
+/**
+ * Resolver over a bridge that answers from the fixtures; registry loads fail while failures remain
+ */
+function createResolver({ registryFailures = 0 } = {}) {
+  const calls = { registries: 0 };
+  const haBridge = {
+    getStates: async () => STATES,
+    listEntityRegistry: async () => {
+      calls.registries++;
+      if (registryFailures > 0) {
+        registryFailures--;
+        throw new Error('Unauthorized');
+      }
+      return ENTITIES;
+    },
+    listDeviceRegistry: async () => DEVICES,
+    listAreaRegistry: async () => AREAS,
+  };
+  const securityController = new SecurityController({
+    allowedDomains: ['light', 'switch'],
+    entityWhitelist: [],
+    allowedRoutines: [],
+    confirmHighRiskActions: true,
+    confirmTargetThreshold: 5,
+  });
+  return { resolver: new EntityResolver({ haBridge, securityController }), calls };
+}
+
+test('an exact name ranks first with its area and device', async () => {
+  const { resolver } = createResolver();
+  const [best] = await resolver.find({ query: 'Reading Lamp' });
+
+  assert.strictEqual(best.entity_id, 'light.reading');
+  assert.strictEqual(best.score, 1);
+  // The device places the entity in its area
+  assert.strictEqual(best.area, 'Living Room');
+  assert.strictEqual(best.device, 'Reading Lamp');
+});
+
+test('finds names that were run together, misspelt or said with their area', async () => {
+  const { resolver } = createResolver();
+
+  const [runTogether] = await resolver.find({ query: 'readinglamp' });
+  assert.strictEqual(runTogether.entity_id, 'light.reading');
+  assert.strictEqual(runTogether.score, 0.95);
+
+  const [typo] = await resolver.find({ query: 'reeding lamp' });
+  assert.strictEqual(typo.entity_id, 'light.reading');
+  assert.ok(typo.score < 1);
+
+  const [withArea] = await resolver.find({ query: 'kitchen ceiling light' });
+  assert.strictEqual(withArea.entity_id, 'light.kitchen_ceiling');
+  assert.strictEqual(withArea.score, 1);
+
+  const [alias] = await resolver.find({ query: 'espresso machine' });
+  assert.strictEqual(alias.entity_id, 'switch.coffee');
+});
+
+test('filters by area alias and plural domain', async () => {
+  const { resolver } = createResolver();
+  const candidates = await resolver.find({ area: 'cooking area', domain: 'lights' });
+
+  assert.deepStrictEqual(candidates.map(candidate => candidate.entity_id), ['light.kitchen_ceiling']);
+});
+
+test('leaves out hidden, disallowed and unrelated entities', async () => {
+  const { resolver } = createResolver();
+
+  assert.deepStrictEqual(await resolver.find({ query: 'hidden light' }), []);
+  assert.deepStrictEqual(await resolver.find({ query: 'front door' }), []);
+  assert.deepStrictEqual(await resolver.find({ query: 'garage heater' }), []);
+  await assert.rejects(resolver.find({ query: '  ' }), /Give a name, area or domain/);
+});
+
+test('expands areas and devices to the entities Home Assistant would act on', async () => {
+  const { resolver } = createResolver();
+
+  // Diagnostic and hidden entities are skipped
+  assert.deepStrictEqual(
+    await resolver.expandTarget({ area_id: ['living_room'], device_id: [] }, 'light'),
+    { entityIds: ['light.reading'], unknown: [] }
+  );
+  assert.deepStrictEqual(
+    await resolver.expandTarget({ area_id: [], device_id: ['hue_lamp'] }, 'light'),
+    { entityIds: ['light.reading'], unknown: [] }
+  );
+  assert.deepStrictEqual(
+    await resolver.expandTarget({ area_id: ['kitchen', 'garage'], device_id: ['toaster'] }, 'switch'),
+    { entityIds: ['switch.coffee'], unknown: ['garage', 'toaster'] }
+  );
+});
+
+test('a failed registry load is reported and tried again on the next lookup', async () => {
+  const { resolver, calls } = createResolver({ registryFailures: 1 });
+
+  await assert.rejects(
+    resolver.expandTarget({ area_id: ['kitchen'], device_id: [] }, 'light'),
+    /Entity registries unavailable: Unauthorized/
+  );
+
+  const expansion = await resolver.expandTarget({ area_id: ['kitchen'], device_id: [] }, 'light');
+  assert.deepStrictEqual(expansion, { entityIds: ['light.kitchen_ceiling'], unknown: [] });
+  assert.strictEqual(calls.registries, 2);
+});
@@ -0,0 +1,143 @@
+/**
+ * Realtime Client Tests
+ * Drives the client against a scripted loopback WebSocket server
+ */
+
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { WebSocketServer } = require('ws');
+const { OpenAIRealtimeClient } = require('../dist/realtime');
+
+/**
+ * Loopback server that records client events; respond(event, socket) scripts the replies
+ */
+async function createServer(respond) {
+  const server = new WebSocketServer({ port: 0, host: '127.0.0.1' });
+  await new Promise(resolve => server.once('listening', resolve));
+  const events = [];
+  server.on('connection', socket => {
+    socket.on('message', data => {
+      const event = JSON.parse(data.toString());
+      events.push(event);
+      respond(event, socket);
+    });
+  });
+
+  const close = async () => {
+    for (const client of server.clients) {
+      client.terminate();
+    }
+    await new Promise(resolve => server.close(resolve));
+  };
+
+  return { url: `ws://127.0.0.1:${server.address().port}/v1/realtime`, events, close };
+}
+
+function createClient(url, reconnect = { maxAttempts: 0 }) {
+  return new OpenAIRealtimeClient({
+    apiKey: '',
+    url,
+    authMode: 'none',
+    model: 'gpt-realtime',
+    transcriptionModel: 'gpt-4o-mini-transcribe',
+    session: {
+      instructions: 'Test',
+      tools: [],
+      voice: 'alloy',
+      turnDetection: {
+        type: 'server_vad',
+        threshold: 0.5,
+        prefixPaddingMs: 300,
+        silenceDurationMs: 800,
+        eagerness: 'auto',
+      },
+    },
+    turnMode: 'ptt',
+    reconnect,
+  });
+}
+
+function send(socket, event) {
+  socket.send(JSON.stringify(event));
+}
+
+test('a timed-out response is cancelled while it is still the active one', async () => {
+  const server = await createServer((event, socket) => {
+    if (event.type === 'response.create') {
+      send(socket, { type: 'response.created', response: { id: 'resp_slow', metadata: event.response.metadata } });
+    }
+  });
+  const client = createClient(server.url);
+
+  try {
+    await client.connect();
+    await assert.rejects(client.runResponse({ modalities: ['text'] }, {}, 100), /Response timeout/);
+    await new Promise(resolve => setTimeout(resolve, 50));
+
+    assert.ok(server.events.some(event => event.type === 'response.cancel'));
+  } finally {
+    client.disconnect();
+    await server.close();
+  }
+});
+
+test('a timed-out response does not cancel a response that replaced it', async () => {
+  const server = await createServer((event, socket) => {
+    if (event.type === 'response.create') {
+      send(socket, { type: 'response.created', response: { id: 'resp_slow', metadata: event.response.metadata } });
+      // The server moves on to a voice turn before the first response finishes
+      send(socket, { type: 'response.created', response: { id: 'resp_voice' } });
+    }
+  });
+  const client = createClient(server.url);
+
+  try {
+    await client.connect();
+    await assert.rejects(client.runResponse({ modalities: ['text'] }, {}, 100), /Response timeout/);
+    await new Promise(resolve => setTimeout(resolve, 50));
+
+    assert.strictEqual(client.getActiveResponseId(), 'resp_voice');
+    assert.ok(!server.events.some(event => event.type === 'response.cancel'));
+  } finally {
+    client.disconnect();
+    await server.close();
+  }
+});
+
+// Drops the server under a connected client and collects the delays until it gives up
+async function reconnectDelays(t, random) {
+  const server = await createServer(() => undefined);
+  const client = createClient(server.url, { initialDelayMs: 10, maxDelayMs: 40, maxAttempts: 4 });
+  await client.connect();
+
+  t.mock.method(Math, 'random', () => random);
+  const timers = t.mock.method(globalThis, 'setTimeout');
+  const states = [];
+  const gaveUp = new Promise(resolve => client.on('connection_state', (event) => {
+    states.push(event.state);
+    if (event.state === 'disconnected') {
+      resolve();
+    }
+  }));
+
+  await server.close();
+  await gaveUp;
+  t.mock.restoreAll();
+
+  return { delays: timers.mock.calls.map(call => call.arguments[1]), states };
+}
+
+test('reconnect delays double from the initial delay up to the cap, then it gives up', async (t) => {
+  const { delays, states } = await reconnectDelays(t, 1);
+
+  assert.deepStrictEqual(delays, [10, 20, 40, 40]);
+  assert.deepStrictEqual(states, ['reconnecting', 'disconnected']);
+});
+
+test('reconnect jitter keeps at least half of each delay', async (t) => {
+  const { delays } = await reconnectDelays(t, 0);
+
+  assert.deepStrictEqual(delays, [5, 10, 20, 20]);
+});
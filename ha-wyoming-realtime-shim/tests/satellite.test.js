@@ -0,0 +1,60 @@
+/**
+ * Wyoming Satellite Tests
+ * TTS playback and microphone timestamps with fake audio devices
+ */
+
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { PassThrough, Writable } = require('stream');
+const { LocalSatellite } = require('../dist/satellite');
+
+function createTransport() {
+  const sent = [];
+  return { sent, send: (message) => { sent.push(message); return true; }, onDrain: () => undefined };
+}
+
+test('plays chunks and stop that arrive before the speaker is open', async () => {
+  const played = [];
+  let ended = false;
+  const audioManager = {
+    // The speaker opens a tick later, as a real device does
+    createPlaybackStream: () => new Promise(resolve => setImmediate(() => resolve(new Writable({
+      write(chunk, _encoding, callback) { played.push(chunk); callback(); },
+      final(callback) { ended = true; callback(); },
+    })))),
+  };
+  const transport = createTransport();
+  const satellite = new LocalSatellite(audioManager, transport);
+
+  // One TCP read: all three events are handled synchronously
+  satellite.handleEvent({ type: 'audio-start', data: { rate: 22050, width: 2, channels: 1 } });
+  satellite.handleEvent({ type: 'audio-chunk', payload: Buffer.from([1, 2]) });
+  satellite.handleEvent({ type: 'audio-chunk', payload: Buffer.from([3, 4]) });
+  satellite.handleEvent({ type: 'audio-stop' });
+  assert.deepStrictEqual(transport.sent, []);
+
+  await new Promise(resolve => satellite.once('played', resolve));
+  assert.deepStrictEqual(Buffer.concat(played), Buffer.from([1, 2, 3, 4]));
+  assert.strictEqual(ended, true);
+  assert.deepStrictEqual(transport.sent.map(message => message.type), ['played']);
+});
+
+test('derives microphone timestamps from the bytes sent', async () => {
+  const microphone = new PassThrough();
+  const audioManager = { createCaptureStream: async () => microphone };
+  const transport = createTransport();
+  const satellite = new LocalSatellite(audioManager, transport);
+
+  await satellite.run();
+  // 10.5 ms at 16 kHz 16-bit mono; rounding each chunk would add up to 3300 ms
+  for (let i = 0; i < 300; i++) {
+    microphone.write(Buffer.alloc(336));
+  }
+  await new Promise(resolve => setImmediate(resolve));
+  satellite.stop();
+
+  const stop = transport.sent.filter(message => message.type === 'audio-stop').pop();
+  assert.strictEqual(stop.data.timestamp, 3150);
+});
@@ -0,0 +1,180 @@
+/**
+ * Security Controller Tests
+ * Service calls as Home Assistant receives them after the security checks
+ */
+
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { SecurityController } = require('../dist/security');
+const { HABridge } = require('../dist/ha-bridge');
+
+function createController(config = {}) {
+  const securityController = new SecurityController({
+    allowedDomains: ['light'],
+    entityWhitelist: [],
+    allowedRoutines: [],
+    confirmHighRiskActions: true,
+    confirmTargetThreshold: 5,
+    ...config,
+  });
+  securityController.setTargetExpander(async (target) => ({
+    entityIds: target.area_id.includes('kitchen') ? ['light.ceiling', 'light.counter'] : [],
+    unknown: target.area_id.filter(areaId => areaId !== 'kitchen'),
+  }));
+  return securityController;
+}
+
+/**
+ * HABridge that records the messages it would send instead of sending them
+ */
+function createBridge(securityController) {
+  const bridge = new HABridge({ url: 'ws://localhost:8123/api/websocket', token: 'token', securityController });
+  const sent = [];
+  bridge.sendRequest = async (message) => {
+    sent.push(message);
+    return {};
+  };
+  return { bridge, sent };
+}
+
+test('sends the checked entities instead of the area target', async () => {
+  const { bridge, sent } = createBridge(createController());
+
+  await bridge.callService({ domain: 'light', service: 'turn_on', target: { area_id: 'kitchen' } });
+
+  assert.deepStrictEqual(sent[0].target, { entity_id: ['light.ceiling', 'light.counter'] });
+});
+
+test('refuses targets in the service data', async () => {
+  const securityController = createController({ entityWhitelist: ['light.ceiling'] });
+
+  for (const data of [{ area_id: 'garage' }, { device_id: 'abc' }, { entity_id: 'light.other' }]) {
+    const validation = await securityController.validateServiceCall({
+      domain: 'light',
+      service: 'turn_on',
+      entity_id: 'light.ceiling',
+      data,
+    });
+    assert.strictEqual(validation.allowed, false);
+    assert.match(validation.reason, /as the target, not in the service data/);
+  }
+});
+
+test('refuses targets in the service data of routine calls', async () => {
+  const securityController = createController({ allowedRoutines: ['scene.movie'] });
+
+  const validation = await securityController.validateServiceCall({
+    domain: 'scene',
+    service: 'turn_on',
+    entity_id: 'scene.movie',
+    data: { entity_id: 'scene.party' },
+  });
+  assert.strictEqual(validation.allowed, false);
+});
+
+test('checks script variables on plain service calls', async () => {
+  const securityController = createController({ allowedRoutines: ['script.*'] });
+  securityController.setScriptFieldLookup(async () => [
+    { name: 'delay', required: true },
+    { name: 'room', required: false },
+  ]);
+  const run = (data) => securityController.validateServiceCall({
+    domain: 'script',
+    service: 'turn_on',
+    entity_id: 'script.good_night',
+    ...(data && { data }),
+  });
+
+  assert.match((await run()).reason, /needs delay/);
+  assert.match((await run({ variables: { delay: 5, bogus: 1 } })).reason, /does not take bogus/);
+  assert.strictEqual((await run({ variables: { delay: 5 } })).allowed, true);
+});
+
+test('refuses script runs when their fields cannot be looked up', async () => {
+  const securityController = createController({ allowedRoutines: ['script.*'] });
+
+  const validation = await securityController.validateServiceCall({
+    domain: 'script',
+    service: 'turn_on',
+    entity_id: 'script.good_night',
+  });
+  assert.strictEqual(validation.allowed, false);
+
+  securityController.setScriptFieldLookup(async () => {
+    throw new Error('Request timeout');
+  });
+  const failed = await securityController.validateServiceCall({
+    domain: 'script',
+    service: 'turn_on',
+    entity_id: 'script.good_night',
+  });
+  assert.strictEqual(failed.allowed, false);
+});
+
+const UNLOCK = { domain: 'lock', service: 'unlock', entity_id: 'lock.front_door' };
+
+function requestUnlock(securityController, scope = 'conversation-1') {
+  return securityController.createTicket({
+    tool: 'call_service',
+    arguments: UNLOCK,
+    prompt: 'Unlock the front door?',
+    scope,
+  });
+}
+
+test('a confirmed ticket lets its call through once and cannot be replayed', async () => {
+  const securityController = createController({ allowedDomains: ['lock'] });
+  const ticket = requestUnlock(securityController);
+  securityController.noteUserTurn('conversation-1');
+
+  const confirmed = securityController.confirmTicket(ticket.id, 'conversation-1');
+  const validation = await securityController.validateServiceCall(UNLOCK, { confirmation: confirmed });
+  assert.strictEqual(validation.allowed, true);
+  securityController.closeTicket(confirmed);
+
+  const reused = await securityController.validateServiceCall(UNLOCK, { confirmation: confirmed });
+  assert.strictEqual(reused.allowed, false);
+  assert.strictEqual(reused.requiresConfirmation, true);
+
+  securityController.noteUserTurn('conversation-1');
+  assert.throws(() => securityController.confirmTicket(ticket.id, 'conversation-1'), /Unknown or expired confirmation ticket/);
+});
+
+test('the model cannot confirm a ticket in the turn that asked for it', () => {
+  const securityController = createController({ allowedDomains: ['lock'] });
+  const ticket = requestUnlock(securityController);
+
+  assert.throws(() => securityController.confirmTicket(ticket.id, 'conversation-1'), /The user has not answered yet/);
+
+  // The refusal leaves the ticket waiting for the real answer
+  securityController.noteUserTurn('conversation-1');
+  assert.strictEqual(securityController.confirmTicket(ticket.id, 'conversation-1').id, ticket.id);
+});
+
+test('a ticket cannot be confirmed from another conversation', () => {
+  const securityController = createController({ allowedDomains: ['lock'] });
+  const ticket = requestUnlock(securityController, 'conversation-1');
+  securityController.noteUserTurn('conversation-1');
+  securityController.noteUserTurn('conversation-2');
+
+  assert.throws(() => securityController.confirmTicket(ticket.id, 'conversation-2'), /belongs to another conversation/);
+  assert.throws(() => securityController.confirmTicket({ id: ticket.id }, 'conversation-1'), /Unknown or expired/);
+  assert.strictEqual(securityController.confirmTicket(ticket.id, 'conversation-1').id, ticket.id);
+});
+
+test('tickets expire two minutes after they are issued', (t) => {
+  t.mock.timers.enable({ apis: ['Date'], now: new Date(2026, 0, 15, 12, 0) });
+  const securityController = createController({ allowedDomains: ['lock'] });
+  const early = requestUnlock(securityController);
+  const late = requestUnlock(securityController);
+  securityController.noteUserTurn('conversation-1');
+
+  t.mock.timers.tick(2 * 60 * 1000 - 1);
+  assert.strictEqual(securityController.confirmTicket(early.id, 'conversation-1').id, early.id);
+
+  t.mock.timers.tick(1);
+  assert.throws(() => securityController.confirmTicket(late.id, 'conversation-1'), /Unknown or expired confirmation ticket/);
+  assert.deepStrictEqual(securityController.getPendingTickets(), []);
+});
@@ -0,0 +1,171 @@
+/**
+ * Realtime Simulator Tests
+ * Drives the simulator over loopback the way the realtime client does
+ */
+
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const WebSocket = require('ws');
+const { RealtimeSimulator } = require('../dist/simulator');
+
+const SCENARIO = {
+  fallback: 'Nothing scripted for that.',
+  turns: [
+    { trigger: 'commit', transcript: 'First question', steps: [{ say: 'First answer.' }] },
+    {
+      trigger: 'text',
+      match: 'kitchen',
+      steps: [
+        { say: 'Switching it on.' },
+        { call: 'call_service', arguments: { domain: 'light', service: 'turn_on', entity_id: 'light.kitchen' } },
+        { say: 'The kitchen light is on.' },
+      ],
+    },
+    { trigger: 'text', match: 'story', steps: [{ say: 'Once upon a time '.repeat(20) }] },
+    { trigger: 'commit', transcript: 'Second question', steps: [{ say: 'Second answer.' }] },
+  ],
+};
+
+async function startSimulator(t) {
+  const scenarioPath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'shim-simulator-')), 'scenario.json');
+  fs.writeFileSync(scenarioPath, JSON.stringify(SCENARIO));
+
+  const simulator = new RealtimeSimulator({ port: 0, scenarioPath });
+  const url = await simulator.start();
+  t.after(() => simulator.stop());
+  return url;
+}
+
+/**
+ * Open a session; next(type) resolves with the first event of that type not yet taken
+ */
+async function connect(url) {
+  const socket = new WebSocket(url);
+  const events = [];
+  const taken = new Set();
+  const listeners = new Set();
+
+  socket.on('message', (data) => {
+    events.push(JSON.parse(data.toString()));
+    for (const listener of listeners) {
+      listener();
+    }
+  });
+  await new Promise((resolve, reject) => {
+    socket.once('open', resolve);
+    socket.once('error', reject);
+  });
+
+  const next = (type) => new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      listeners.delete(check);
+      reject(new Error(`No ${type} event`));
+    }, 5000);
+    function check() {
+      const index = events.findIndex((event, position) => event.type === type && !taken.has(position));
+      if (index !== -1) {
+        taken.add(index);
+        listeners.delete(check);
+        clearTimeout(timer);
+        resolve(events[index]);
+      }
+    }
+    listeners.add(check);
+    check();
+  });
+  const send = (event) => socket.send(JSON.stringify(event));
+
+  await next('session.created');
+  return { socket, events, next, send };
+}
+
+async function commitAudio(session) {
+  session.send({ type: 'input_audio_buffer.append', audio: Buffer.alloc(4800).toString('base64') });
+  session.send({ type: 'input_audio_buffer.commit' });
+  return (await session.next('conversation.item.input_audio_transcription.completed')).transcript;
+}
+
+function sendText(session, text) {
+  session.send({
+    type: 'conversation.item.create',
+    item: { type: 'message', role: 'user', content: [{ type: 'input_text', text }] },
+  });
+}
+
+async function respond(session, modalities = ['text']) {
+  session.send({ type: 'response.create', response: { modalities } });
+  return (await session.next('response.done')).response;
+}
+
+function spoken(response) {
+  return response.output.filter(item => item.type === 'message').map(item => item.content[0].text);
+}
+
+test('spoken turns play in scenario order and wrap around', async (t) => {
+  const session = await connect(await startSimulator(t));
+  t.after(() => session.socket.close());
+  session.send({ type: 'session.update', session: { input_audio_transcription: { model: 'whisper-1' } } });
+  await session.next('session.updated');
+
+  const transcripts = [];
+  const answers = [];
+  for (let i = 0; i < 3; i++) {
+    transcripts.push(await commitAudio(session));
+    answers.push(...spoken(await respond(session)));
+  }
+
+  // Typed turns are left out of the rotation
+  assert.deepStrictEqual(transcripts, ['First question', 'Second question', 'First question']);
+  assert.deepStrictEqual(answers, ['First answer.', 'Second answer.', 'First answer.']);
+});
+
+test('a function call ends the response and the turn resumes after it', async (t) => {
+  const session = await connect(await startSimulator(t));
+  t.after(() => session.socket.close());
+  sendText(session, 'Turn on the kitchen light');
+
+  const first = await respond(session);
+  assert.strictEqual(first.status, 'completed');
+  assert.deepStrictEqual(first.output.map(item => item.type), ['message', 'function_call']);
+  assert.strictEqual(first.output[1].name, 'call_service');
+  assert.deepStrictEqual(JSON.parse(first.output[1].arguments), {
+    domain: 'light',
+    service: 'turn_on',
+    entity_id: 'light.kitchen',
+  });
+
+  const second = await respond(session);
+  assert.deepStrictEqual(spoken(second), ['The kitchen light is on.']);
+
+  // The turn is used up, so anything further is the fallback
+  assert.deepStrictEqual(spoken(await respond(session)), ['Nothing scripted for that.']);
+});
+
+test('cancelling mid-audio stops the stream and marks the item incomplete', async (t) => {
+  const session = await connect(await startSimulator(t));
+  t.after(() => session.socket.close());
+  sendText(session, 'Tell me a story');
+
+  session.send({ type: 'response.create', response: { modalities: ['text', 'audio'] } });
+  await session.next('response.audio.delta');
+  session.send({ type: 'response.cancel' });
+
+  const { response } = await session.next('response.done');
+  const itemDone = await session.next('response.output_item.done');
+  assert.strictEqual(response.status, 'cancelled');
+  assert.strictEqual(response.output[0].status, 'incomplete');
+  assert.strictEqual(itemDone.item.status, 'incomplete');
+
+  // 340 characters make 20 seconds of speech, sent in 100ms deltas
+  const deltas = session.events.filter(event => event.type === 'response.audio.delta').length;
+  assert.ok(deltas < 200, `${deltas} audio deltas`);
+
+  session.send({ type: 'response.cancel' });
+  const error = await session.next('error');
+  assert.strictEqual(error.error.code, 'response_cancel_not_active');
+});
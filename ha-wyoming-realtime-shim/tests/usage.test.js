@@ -0,0 +1,119 @@
+/**
+ * Usage Ledger Tests
+ * Period rollover, persistence across restarts and the budget caps
+ */
+
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { UsageLedger, emptyTokenUsage } = require('../dist/usage');
+
+const NO_LIMITS = {
+  dailyTokens: 0,
+  monthlyTokens: 0,
+  sessionTokens: 0,
+  dailyAudioMinutes: 0,
+  warningPercent: 80,
+};
+
+function ledgerPath() {
+  return path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'shim-ledger-')), 'usage.json');
+}
+
+function createLedger(limits = {}, file = ledgerPath()) {
+  return new UsageLedger({ path: file, limits: { ...NO_LIMITS, ...limits } });
+}
+
+function usage(totalTokens) {
+  return { total_tokens: totalTokens, input_tokens: totalTokens, output_tokens: 0 };
+}
+
+test('daily totals start over at local midnight while the month keeps counting', async (t) => {
+  t.mock.timers.enable({ apis: ['Date'], now: new Date(2026, 0, 15, 23, 59) });
+  const ledger = createLedger({ dailyTokens: 1000, monthlyTokens: 5000 });
+  const exceeded = [];
+  ledger.on('budget_exceeded', status => exceeded.push(status.limit));
+
+  ledger.recordResponse(usage(1200));
+  assert.strictEqual(ledger.checkBudget().limit, 'daily_tokens');
+
+  t.mock.timers.tick(2 * 60 * 1000);
+  let summary = ledger.getSummary();
+  assert.strictEqual(summary.date, '2026-01-16');
+  assert.strictEqual(summary.today.totalTokens, 0);
+  assert.strictEqual(summary.monthToDate.totalTokens, 1200);
+  assert.strictEqual(ledger.checkBudget(), null);
+
+  // Each day's cap is reported again once it runs out
+  ledger.recordResponse(usage(1000));
+  assert.deepStrictEqual(exceeded, ['daily_tokens', 'daily_tokens']);
+
+  t.mock.timers.setTime(new Date(2026, 1, 1, 0, 1).getTime());
+  summary = ledger.getSummary();
+  assert.strictEqual(summary.month, '2026-02');
+  assert.strictEqual(summary.monthToDate.totalTokens, 0);
+  await ledger.flush();
+});
+
+test('a used-up cap is reported once per period', async () => {
+  const ledger = createLedger({ dailyTokens: 1000 });
+  const events = [];
+  ledger.on('budget_warning', status => events.push(`warning:${status.limit}`));
+  ledger.on('budget_exceeded', status => events.push(`exceeded:${status.limit}`));
+
+  ledger.recordResponse(usage(850));
+  ledger.recordResponse(usage(100));
+  ledger.recordResponse(usage(100));
+  ledger.recordResponse(usage(100));
+
+  assert.deepStrictEqual(events, ['warning:daily_tokens', 'exceeded:daily_tokens']);
+  await ledger.flush();
+});
+
+test('usage survives a restart through the ledger file', async () => {
+  const file = ledgerPath();
+  const first = createLedger({}, file);
+  first.recordResponse(usage(300));
+  first.recordAudio('input', 30);
+  first.recordSession();
+  await first.flush();
+
+  const second = createLedger({ dailyTokens: 200 }, file);
+  const exceeded = [];
+  second.on('budget_exceeded', status => exceeded.push(status.limit));
+  await second.load();
+
+  const { today } = second.getSummary();
+  assert.strictEqual(today.totalTokens, 300);
+  assert.strictEqual(today.audioInputSeconds, 30);
+  assert.strictEqual(today.sessions, 1);
+  assert.deepStrictEqual(exceeded, ['daily_tokens']);
+});
+
+test('an unreadable ledger file starts empty instead of failing', async () => {
+  const file = ledgerPath();
+  fs.writeFileSync(file, '{ not json');
+
+  const ledger = createLedger({}, file);
+  await ledger.load();
+
+  assert.strictEqual(ledger.getSummary().today.totalTokens, 0);
+});
+
+test('one session is capped by its own token usage', () => {
+  const sessionUsage = { ...emptyTokenUsage(), totalTokens: 499 };
+
+  assert.strictEqual(createLedger().checkSession({ ...sessionUsage, totalTokens: 100000 }), null);
+
+  const ledger = createLedger({ sessionTokens: 500 });
+  assert.strictEqual(ledger.checkSession(sessionUsage), null);
+
+  const status = ledger.checkSession({ ...sessionUsage, totalTokens: 500 });
+  assert.strictEqual(status.limit, 'session_tokens');
+  assert.strictEqual(status.cap, 500);
+  assert.strictEqual(status.percent, 100);
+});
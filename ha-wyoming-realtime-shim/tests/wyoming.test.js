@@ -0,0 +1,144 @@
+/**
+ * Wyoming Codec Tests
+ * Header, data and payload framing across arbitrary TCP reads
+ */
+
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { WyomingDecoder, encodeWyomingEvent, WYOMING_PROTOCOL_VERSION } = require('../dist/wyoming-codec');
+
+function header(fields) {
+  return Buffer.from(JSON.stringify(fields) + '\n', 'utf8');
+}
+
+test('encodes the header line, then the data, then the payload', () => {
+  const payload = Buffer.from([1, 2, 3, 4]);
+  const encoded = encodeWyomingEvent({ type: 'audio-chunk', data: { rate: 16000 }, payload });
+
+  const newline = encoded.indexOf(0x0a);
+  const parsed = JSON.parse(encoded.subarray(0, newline).toString('utf8'));
+  const data = Buffer.from(JSON.stringify({ rate: 16000 }), 'utf8');
+
+  assert.deepStrictEqual(parsed, {
+    type: 'audio-chunk',
+    version: WYOMING_PROTOCOL_VERSION,
+    data_length: data.length,
+    payload_length: 4,
+  });
+  assert.deepStrictEqual(encoded.subarray(newline + 1, newline + 1 + data.length), data);
+  assert.deepStrictEqual(encoded.subarray(newline + 1 + data.length), payload);
+});
+
+test('leaves out empty data and payload', () => {
+  const encoded = encodeWyomingEvent({ type: 'describe', data: {}, payload: Buffer.alloc(0) });
+
+  assert.deepStrictEqual(JSON.parse(encoded.toString('utf8')), { type: 'describe', version: WYOMING_PROTOCOL_VERSION });
+  assert.strictEqual(encoded[encoded.length - 1], 0x0a);
+});
+
+test('decodes what the encoder produces', () => {
+  const decoder = new WyomingDecoder();
+  const payload = Buffer.from('pcm audio');
+  const messages = decoder.push(encodeWyomingEvent({ type: 'audio-chunk', data: { rate: 16000, width: 2 }, payload }));
+
+  assert.strictEqual(messages.length, 1);
+  assert.strictEqual(messages[0].type, 'audio-chunk');
+  assert.deepStrictEqual(messages[0].data, { rate: 16000, width: 2 });
+  assert.deepStrictEqual(messages[0].payload, payload);
+  assert.strictEqual(decoder.bufferedBytes, 0);
+});
+
+test('reassembles events split at every byte and splits several events in one read', () => {
+  const stream = Buffer.concat([
+    encodeWyomingEvent({ type: 'transcribe', data: { language: 'en' } }),
+    encodeWyomingEvent({ type: 'audio-start', data: { rate: 16000, width: 2, channels: 1 } }),
+    encodeWyomingEvent({ type: 'audio-chunk', data: { rate: 16000 }, payload: Buffer.alloc(320, 7) }),
+    encodeWyomingEvent({ type: 'audio-stop' }),
+  ]);
+
+  const byteByByte = new WyomingDecoder();
+  const split = [];
+  for (let i = 0; i < stream.length; i++) {
+    split.push(...byteByByte.push(stream.subarray(i, i + 1)));
+  }
+  const whole = new WyomingDecoder().push(stream);
+
+  assert.deepStrictEqual(split.map(message => message.type), ['transcribe', 'audio-start', 'audio-chunk', 'audio-stop']);
+  assert.deepStrictEqual(split, whole);
+  assert.deepStrictEqual(split[2].payload, Buffer.alloc(320, 7));
+  assert.strictEqual(byteByByte.bufferedBytes, 0);
+});
+
+test('waits for the announced data and payload before emitting', () => {
+  const decoder = new WyomingDecoder();
+  const data = Buffer.from(JSON.stringify({ text: 'hello' }), 'utf8');
+
+  assert.deepStrictEqual(decoder.push(header({ type: 'synthesize', data_length: data.length, payload_length: 2 })), []);
+  assert.deepStrictEqual(decoder.push(data), []);
+  assert.deepStrictEqual(decoder.push(Buffer.from([9])), []);
+  assert.strictEqual(decoder.bufferedBytes, data.length + 1);
+
+  const [message] = decoder.push(Buffer.from([8]));
+  assert.deepStrictEqual(message.data, { text: 'hello' });
+  assert.deepStrictEqual(message.payload, Buffer.from([9, 8]));
+});
+
+test('merges extra data over data inlined in the header', () => {
+  const extra = Buffer.from(JSON.stringify({ voice: 'echo' }), 'utf8');
+  const [message] = new WyomingDecoder().push(Buffer.concat([
+    header({ type: 'synthesize', data: { text: 'hi', voice: 'alloy' }, data_length: extra.length }),
+    extra,
+  ]));
+
+  assert.deepStrictEqual(message.data, { text: 'hi', voice: 'echo' });
+});
+
+test('skips blank lines between events', () => {
+  const messages = new WyomingDecoder().push(Buffer.concat([
+    Buffer.from('\n\r\n'),
+    encodeWyomingEvent({ type: 'ping' }),
+  ]));
+
+  assert.deepStrictEqual(messages.map(message => message.type), ['ping']);
+});
+
+test('rejects garbage and malformed headers', () => {
+  assert.throws(() => new WyomingDecoder().push(Buffer.from('not json\n')), /Invalid Wyoming header JSON/);
+  assert.throws(() => new WyomingDecoder().push(Buffer.from('[1,2]\n')), /header must be a JSON object/);
+  assert.throws(() => new WyomingDecoder().push(header({ data_length: 2 })), /missing event type/);
+  assert.throws(() => new WyomingDecoder().push(header({ type: 'x', payload_length: -1 })), /Invalid Wyoming payload_length/);
+  assert.throws(() => new WyomingDecoder().push(header({ type: 'x', data_length: 1.5 })), /Invalid Wyoming data_length/);
+  assert.throws(() => new WyomingDecoder().push(header({ type: 'x', data_length: '4' })), /Invalid Wyoming data_length/);
+});
+
+test('rejects data that is not a JSON object', () => {
+  const decoder = new WyomingDecoder();
+  assert.throws(
+    () => decoder.push(Buffer.concat([header({ type: 'x', data_length: 3 }), Buffer.from('[1]')])),
+    /data must be a JSON object/
+  );
+});
+
+test('rejects oversize headers, data and payloads before buffering them', () => {
+  assert.throws(() => new WyomingDecoder().push(Buffer.alloc(64 * 1024 + 1, 0x61)), /header exceeds/);
+  assert.throws(
+    () => new WyomingDecoder().push(header({ type: 'x', data_length: 1024 * 1024 + 1 })),
+    /data_length 1048577 exceeds limit/
+  );
+  assert.throws(
+    () => new WyomingDecoder().push(header({ type: 'x', payload_length: 16 * 1024 * 1024 + 1 })),
+    /payload_length 16777217 exceeds limit/
+  );
+});
+
+test('reset drops a partly received event', () => {
+  const decoder = new WyomingDecoder();
+  decoder.push(header({ type: 'audio-chunk', payload_length: 10 }));
+  decoder.push(Buffer.alloc(4));
+  decoder.reset();
+
+  assert.strictEqual(decoder.bufferedBytes, 0);
+  assert.deepStrictEqual(decoder.push(encodeWyomingEvent({ type: 'ping' })).map(message => message.type), ['ping']);
+});
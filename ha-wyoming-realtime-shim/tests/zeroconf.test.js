@@ -0,0 +1,133 @@
+/**
+ * Zeroconf Responder Tests
+ * Queries the responder over loopback the way a legacy unicast mDNS client does
+ */
+
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const dgram = require('dgram');
+const { ZeroconfResponder, WYOMING_SERVICE_TYPE, encodeDnsPacket, decodeDnsPacket } = require('../dist/zeroconf');
+
+const TYPE_PTR = 12;
+
+async function freePort() {
+  const socket = dgram.createSocket('udp4');
+  await new Promise(resolve => socket.bind(0, '127.0.0.1', resolve));
+  const { port } = socket.address();
+  await new Promise(resolve => socket.close(resolve));
+  return port;
+}
+
+function createResponder(port, options = {}) {
+  return new ZeroconfResponder({
+    name: 'openai-realtime',
+    port: 10600,
+    hostname: 'shim',
+    addresses: ['127.0.0.1'],
+    txt: { version: '1.0.0', model: 'gpt-realtime' },
+    interfaceAddress: '127.0.0.1',
+    mdnsPort: port,
+    ...options,
+  });
+}
+
+/**
+ * Send one PTR question from an ephemeral port and wait for the reply
+ */
+async function query(port, name) {
+  const client = dgram.createSocket('udp4');
+  await new Promise(resolve => client.bind(0, '127.0.0.1', resolve));
+
+  try {
+    return await new Promise((resolve, reject) => {
+      const timer = setTimeout(() => reject(new Error('No mDNS reply')), 2000);
+      client.on('message', message => {
+        clearTimeout(timer);
+        resolve(decodeDnsPacket(message));
+      });
+      const packet = encodeDnsPacket({
+        id: 4242,
+        isResponse: false,
+        questions: [{ name, type: TYPE_PTR, unicastResponse: false }],
+        answers: [],
+        additionals: [],
+      });
+      client.send(packet, port, '127.0.0.1');
+    });
+  } finally {
+    client.close();
+  }
+}
+
+test('answers a service query with PTR, SRV, TXT and A records', async () => {
+  const port = await freePort();
+  const responder = createResponder(port);
+  await responder.start();
+
+  try {
+    const reply = await query(port, WYOMING_SERVICE_TYPE);
+    assert.strictEqual(reply.id, 4242);
+    assert.strictEqual(reply.isResponse, true);
+
+    const [ptr] = reply.answers;
+    assert.strictEqual(ptr.data, `openai-realtime.${WYOMING_SERVICE_TYPE}`);
+
+    const srv = reply.additionals.find(record => record.type === 33);
+    assert.deepStrictEqual(srv.data, { priority: 0, weight: 0, port: 10600, target: 'shim.local' });
+
+    const txt = reply.additionals.find(record => record.type === 16);
+    assert.deepStrictEqual(txt.data, ['version=1.0.0', 'model=gpt-realtime']);
+
+    const a = reply.additionals.find(record => record.type === 1);
+    assert.strictEqual(a.data, '127.0.0.1');
+  } finally {
+    await responder.stop();
+  }
+});
+
+test('answers with the updated name and TXT data', async () => {
+  const port = await freePort();
+  const responder = createResponder(port);
+  await responder.start();
+
+  try {
+    responder.update({ name: 'kitchen', txt: { version: '1.0.0', model: 'gpt-realtime-mini' } });
+
+    const reply = await query(port, WYOMING_SERVICE_TYPE);
+    assert.strictEqual(reply.answers[0].data, `kitchen.${WYOMING_SERVICE_TYPE}`);
+    const txt = reply.additionals.find(record => record.type === 16);
+    assert.deepStrictEqual(txt.data, ['version=1.0.0', 'model=gpt-realtime-mini']);
+  } finally {
+    await responder.stop();
+  }
+});
+
+test('ignores queries for other services', async () => {
+  const port = await freePort();
+  const responder = createResponder(port);
+  await responder.start();
+
+  try {
+    await assert.rejects(query(port, '_http._tcp.local'), /No mDNS reply/);
+  } finally {
+    await responder.stop();
+  }
+});
+
+test('rejects start when the port is taken instead of throwing later', async () => {
+  const port = await freePort();
+  // Without reuseAddr the port cannot be shared
+  const holder = dgram.createSocket({ type: 'udp4', reuseAddr: false });
+  await new Promise(resolve => holder.bind(port, resolve));
+
+  try {
+    const responder = createResponder(port);
+    await assert.rejects(responder.start(), { code: 'EADDRINUSE' });
+    // Nothing left bound, so stop is a no-op
+    await responder.stop();
+  } finally {
+    holder.close();
+  }
+});